@@ -36,7 +36,10 @@ module.exports = [
                 clearImmediate: 'readonly',
                 Promise: 'readonly',
                 URL: 'readonly',
-                URLSearchParams: 'readonly'
+                URLSearchParams: 'readonly',
+                AbortController: 'readonly',
+                TextDecoder: 'readonly',
+                TextEncoder: 'readonly'
             }
         },
         rules: {
@@ -67,6 +70,20 @@ module.exports = [
         }
     },
 
+    // Mocha (tdd interface) in the test suite
+    {
+        files: ['src/test/**/*.js'],
+        languageOptions: {
+            globals: {
+                mocha: 'readonly',
+                suite: 'readonly',
+                test: 'readonly',
+                setup: 'readonly',
+                teardown: 'readonly'
+            }
+        }
+    },
+
     // Ignore patterns
     {
         ignores: [
@@ -12,48 +12,51 @@ const mod_deco = require('./features/deco.js');
 const mod_hover = require('./features/hover/hover.js');
 const mod_compile = require('./features/compile.js');
 const mod_formatter = require('./features/formatter.js');
+const mod_artifacts = require('./features/artifacts.js');
+const mod_compile_workspace = require('./features/compile.workspace.js');
+const mod_imports = require('./features/imports.js');
+const mod_navigation = require('./features/navigation.js');
+const mod_outline = require('./features/outline.js');
+const mod_signatures = require('./features/signatures.js');
+const mod_completion = require('./features/completion.js');
+const mod_rename = require('./features/rename.js');
+const mod_lint = require('./features/lint.js');
+const mod_actions = require('./features/actions.js');
+const mod_migrate = require('./features/migrate.js');
+const mod_semantic = require('./features/semantic.js');
+const mod_selectors = require('./features/selectors.js');
+const mod_layout = require('./features/layout.js');
 const settings = require('./settings');
 
 let activeEditor;
 
-const DECORATION_PATTERNS = {
-    warning: [
-        { regex: '^@\\b(public|modifying|nonpayable|payable|external|deploy)\\b', captureGroup: 0 },
-        { regex: '\\b(send|raw_call|selfdestruct|create_forwarder_to|create_minimal_proxy_to|create_copy_of|create_from_blueprint)\\b', captureGroup: 0, hoverMessage: '**potentially unsafe** lowlevel call' },
-        { regex: '\\b(extcall|staticcall)\\b', captureGroup: 0 }
-    ],
-    info: [{ regex: '\\b(\\.balance|msg\\.[\\w]+|block\\.[\\w]+)\\b', captureGroup: 0 }],
-    safe: [{ regex: '^@\\b(private|nonreentrant|constant|internal|view|pure|event)\\b', captureGroup: 0 }],
-    events: [{ regex: '\\b(log)\\.', captureGroup: 1 }, { regex: '\\b(clear)\\b\\(', captureGroup: 1 }],
-    special: [{ regex: '\\b(__init__|__default__)\\b', captureGroup: 0 }]
-};
-
 async function onDidSave(document) {
-    if (!settings.extensionConfig().compile.onSave) return;
     if (document.languageId !== settings.LANGUAGE_ID) return;
+    mod_compile.cancelLiveCompile(document);
+    if (!settings.extensionConfig(document.uri).compile.onSave) return;
     if (document.fileName.split('.').pop() !== 'vy') return;
     mod_compile.compileContractCommand(document);
 }
 
-function applyDecorations() {
-    if (!activeEditor) return;
-    mod_deco.decorateWords(activeEditor, DECORATION_PATTERNS.warning, mod_deco.styles.foreGroundWarning);
-    mod_deco.decorateWords(activeEditor, DECORATION_PATTERNS.info, mod_deco.styles.foreGroundInfoUnderline);
-    mod_deco.decorateWords(activeEditor, DECORATION_PATTERNS.safe, mod_deco.styles.foreGroundOk);
-    mod_deco.decorateWords(activeEditor, DECORATION_PATTERNS.events, mod_deco.styles.foreGroundNewEmit);
-    mod_deco.decorateWords(activeEditor, DECORATION_PATTERNS.special, mod_deco.styles.boldUnderline);
-}
-
-async function onDidChange(_event) {
-    if (!vscode.window.activeTextEditor) return;
-    if (vscode.window.activeTextEditor.document.languageId !== settings.LANGUAGE_ID) return;
-    if (settings.extensionConfig().decoration.enable) applyDecorations();
-}
-
 function onInitModules(context, type) {
-    mod_hover.init(context, type);
+    mod_deco.init(context);
+    mod_hover.init(context, type, { resolve: mod_navigation.resolveToken, storageLocation: mod_layout.storageLocation });
     mod_compile.init(context, type);
     mod_formatter.init(context, type);
+    mod_artifacts.init(context, type);
+    mod_layout.init(context);
+    mod_compile_workspace.init(context, type);
+    mod_imports.init(context, type);
+    mod_navigation.init(context, type);
+    mod_outline.init(context, type);
+    mod_signatures.init(context, type, { resolve: mod_navigation.resolveToken });
+    mod_completion.init(context, type);
+    mod_rename.init(context, type);
+    mod_lint.init(context, type);
+    mod_actions.init(context, type);
+    mod_migrate.init(context, type);
+    mod_semantic.init(context, type, { resolve: mod_navigation.resolveToken });
+    mod_selectors.init(context, type, { resolveType: mod_navigation.resolveType });
 }
 
 function registerDocType(context, type) {
@@ -74,19 +77,11 @@ function registerDocType(context, type) {
     }
 
     onInitModules(context, type);
-    onDidChange();
     if (activeEditor && activeEditor.document) onDidSave(activeEditor.document);
 
-    context.subscriptions.push(
-        vscode.window.onDidChangeActiveTextEditor(editor => {
-            activeEditor = editor;
-            if (editor) onDidChange();
-        })
-    );
-
     context.subscriptions.push(
         vscode.workspace.onDidChangeTextDocument(event => {
-            if (activeEditor && event.document === activeEditor.document) onDidChange(event);
+            if (event.contentChanges.length > 0) mod_compile.scheduleLiveCompile(event.document);
         })
     );
 
@@ -97,6 +92,10 @@ function registerDocType(context, type) {
     context.subscriptions.push(
         vscode.workspace.onDidOpenTextDocument(document => onDidSave(document))
     );
+
+    context.subscriptions.push(
+        vscode.workspace.onDidCloseTextDocument(document => mod_compile.cancelLiveCompile(document))
+    );
 }
 
 function onActivate(context) {
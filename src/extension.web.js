@@ -13,8 +13,10 @@ const vscode = require('vscode');
 const mod_deco = require('./features/deco.js');
 const settings = require('./settings');
 const mod_hover = require('./features/hover/hover.js');
-/** global vars */
-let activeEditor;
+const mod_signatures = require('./features/signatures.js');
+const mod_lint = require('./features/lint.js');
+const mod_semantic = require('./features/semantic.js');
+const mod_selectors = require('./features/selectors.js');
 
 /** classdecs */
 
@@ -37,65 +39,18 @@ async function onDidSave(document) {
     }
 }
 
-async function onDidChange(_event) {
-    if (vscode.window.activeTextEditor.document.languageId !== settings.LANGUAGE_ID) {
-        return;
-    }
-
-    if(settings.extensionConfig().decoration.enable){
-        mod_deco.decorateWords(activeEditor, [
-            {
-                regex:'^@\\b(public|nonpayable|modifying|payable|external|deploy)\\b',
-                captureGroup: 0
-            },
-            {
-                regex:'\\b(send|raw_call|selfdestruct|create_forwarder_to|create_minimal_proxy_to|create_copy_of|create_from_blueprint)\\b',
-                captureGroup: 0,
-                hoverMessage: '❗**potentially unsafe** lowlevel call'
-            },
-            {
-                regex:'\\b(extcall|staticcall)\\b',
-                captureGroup: 0
-            }
-        ], mod_deco.styles.foreGroundWarning);
-        mod_deco.decorateWords(activeEditor, [
-            {
-                regex:'\\b(\\.balance|msg\\.[\\w]+|block\\.[\\w]+)\\b',
-                captureGroup: 0
-            }
-        ], mod_deco.styles.foreGroundInfoUnderline);
-        mod_deco.decorateWords(activeEditor, [
-            {
-                regex:'^@\\b(private|nonreentrant|constant|internal|view|pure|event)\\b',
-                captureGroup: 0
-            }
-        ], mod_deco.styles.foreGroundOk);
-        mod_deco.decorateWords(activeEditor, [
-            {
-                regex:'\\b(log)\\.',
-                captureGroup: 1
-            },
-            {
-                regex:'\\b(clear)\\b\\(',
-                captureGroup: 1
-            }
-        ], mod_deco.styles.foreGroundNewEmit);
-        mod_deco.decorateWords(activeEditor, [
-            {
-                regex:'\\b(__init__|__default__)\\b',
-                captureGroup: 0
-            }
-        ], mod_deco.styles.boldUnderline);
-    }
-}
 function onInitModules(context, type) {
+    mod_deco.init(context);
     mod_hover.init(context, type);
+    mod_signatures.init(context, type);
+    mod_lint.init(context, type);
+    mod_semantic.init(context, type);
+    mod_selectors.init(context, type);
 }
 
 function onActivate(context) {
 
     const active = vscode.window.activeTextEditor;
-    activeEditor = active;
 
     registerDocType(settings.LANGUAGE_ID);
 
@@ -120,23 +75,9 @@ function onActivate(context) {
         }
         /** module init */
         onInitModules(context, type);
-        onDidChange();
-        onDidSave(active.document);
+        if (active) onDidSave(active.document);
 
         /** event setup */
-        /***** OnChange */
-        vscode.window.onDidChangeActiveTextEditor(editor => {
-            activeEditor = editor;
-            if (editor) {
-                onDidChange();
-            }
-        }, null, context.subscriptions);
-        /***** OnChange */
-        vscode.workspace.onDidChangeTextDocument(event => {
-            if (activeEditor && event.document === activeEditor.document) {
-                onDidChange(event);
-            }
-        }, null, context.subscriptions);
         /***** OnSave */
 
         vscode.workspace.onDidSaveTextDocument(document => {
@@ -148,17 +89,6 @@ function onActivate(context) {
             onDidSave(document);
         }, null, context.subscriptions);
 
-        /***** SignatureHelper */
-        /*
-        context.subscriptions.push(
-            vscode.languages.registerSignatureHelpProvider(
-                { language: type },
-                new mod_signatures.VyperSignatureHelpProvider(),
-                '(', ','
-            )
-        );
-        */
-
     }
 }
 
@@ -0,0 +1,162 @@
+'use strict';
+/**
+ * @file abi.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Canonical ABI signatures, function selectors and event topics of the
+ * declarations of a contract, computed without the compiler:
+ *
+ *     transfer(address,uint256)            0xa9059cbb
+ *     Transfer(address,address,uint256)    0xddf252ad...
+ *
+ * User defined types are looked up with a `lookup(name)` function returning
+ * `{resolved: {uri, symbol, module?}, lookup}` (see navigation.js), where
+ * `lookup` resolves names in the file declaring the type.
+ */
+
+const { splitTopLevel } = require('./parser');
+const { keccak256 } = require('./keccak');
+const { TYPES } = require('./builtins');
+
+const VALUE_TYPES = new Set(TYPES.map(type => type.name).filter(name => /^(?:u?int\d+|bytes\d+|address|bool)$/.test(name)));
+// interfaces shipped with the compiler, imported without a file to resolve
+const INTERFACE_NAMESPACES = ['ethereum.ercs', 'vyper.interfaces'];
+
+function typeArguments(type) {
+    const match = /^([\w.]+)\s*\[([\s\S]*)\]$/.exec(type.trim());
+    return match ? { base: match[1], args: splitTopLevel(match[2]).map(arg => arg.text.trim()) } : null;
+}
+
+/**
+ * Value of an array length, a literal or a constant.
+ */
+async function arrayLength(length, lookup) {
+    if (/^\d+$/.test(length)) return length;
+    const found = /^\w+$/.test(length) ? await lookup(length) : null;
+    const symbol = found && found.resolved.symbol;
+    return symbol && symbol.kind === 'constant' && /^\d+$/.test(symbol.value || '') ? symbol.value : null;
+}
+
+/**
+ * ABI type of a vyper type.
+ * @param {boolean} legacy - vyper before 0.4, where `decimal` is `fixed168x10`
+ * @returns {Promise<?string>} null if the type is unknown
+ */
+async function abiType(type, lookup, legacy) {
+    const name = type.trim();
+    if (VALUE_TYPES.has(name)) return name;
+    if (name === 'decimal') return legacy ? 'fixed168x10' : 'int168';
+
+    const generic = typeArguments(name);
+    if (generic) {
+        if (generic.base === 'Bytes') return 'bytes';
+        if (generic.base === 'String') return 'string';
+        if (generic.base === 'DynArray') {
+            const element = await abiType(generic.args[0] || '', lookup, legacy);
+            return element && `${element}[]`;
+        }
+        if (generic.base === 'HashMap') return null;
+        const element = await abiType(generic.base, lookup, legacy);
+        const length = await arrayLength(generic.args[0] || '', lookup);
+        return element && length ? `${element}[${length}]` : null;
+    }
+
+    const found = /^\w+(?:\.\w+)?$/.test(name) ? await lookup(name) : null;
+    if (!found) return null;
+    const { resolved } = found;
+    // an interface is an address, so is a `.vyi` module used as one
+    if (resolved.module || resolved.symbol.kind === 'interface') return 'address';
+    if (resolved.symbol.kind === 'flag') return 'uint256';
+    if (resolved.symbol.kind === 'import') {
+        const statement = resolved.symbol.statement;
+        return statement.kind === 'from' && INTERFACE_NAMESPACES.includes(statement.module) ? 'address' : null;
+    }
+    if (resolved.symbol.kind === 'struct') {
+        const members = [];
+        for (const member of resolved.symbol.members) {
+            const memberType = await abiType(member.type, found.lookup, legacy);
+            if (!memberType) return null;
+            members.push(memberType);
+        }
+        return `(${members.join(',')})`;
+    }
+    return null;
+}
+
+async function signature(name, types, lookup, legacy) {
+    const abiTypes = [];
+    for (const type of types) {
+        const abi = await abiType(type, lookup, legacy);
+        if (!abi) return null;
+        abiTypes.push(abi);
+    }
+    return `${name}(${abiTypes.join(',')})`;
+}
+
+/**
+ * Signatures of an external function, one per number of default arguments
+ * passed (the compiler generates an entry point for each).
+ * @returns {Promise<?string[]>}
+ */
+async function functionSignatures(fn, lookup, legacy) {
+    const required = fn.params.filter(param => param.default === null).length;
+    const signatures = [];
+    for (let count = required; count <= fn.params.length; count++) {
+        const found = await signature(fn.name, fn.params.slice(0, count).map(param => param.type), lookup, legacy);
+        if (!found) return null;
+        signatures.push(found);
+    }
+    return signatures;
+}
+
+/**
+ * Signature of the getter of a public variable: one argument per `HashMap`
+ * key and array index.
+ * @returns {Promise<?string>}
+ */
+async function getterSignature(variable, lookup, legacy) {
+    const args = [];
+    let type = variable.type;
+    let generic;
+    while ((generic = typeArguments(type)) && !['Bytes', 'String'].includes(generic.base)) {
+        if (generic.base === 'HashMap') {
+            args.push(generic.args[0] || '');
+            type = generic.args[1] || '';
+        } else {
+            args.push('uint256');
+            type = generic.base === 'DynArray' ? generic.args[0] || '' : generic.base;
+        }
+    }
+    return signature(variable.name, args, lookup, legacy);
+}
+
+/**
+ * @returns {Promise<?string>}
+ */
+function eventSignature(event, lookup, legacy) {
+    return signature(event.name, event.members.map(member => member.type), lookup, legacy);
+}
+
+/**
+ * 4 byte function selector of a signature, `0x` prefixed.
+ */
+function selector(signature) {
+    return '0x' + keccak256(signature).slice(0, 8);
+}
+
+/**
+ * Event topic (topic0) of a signature, `0x` prefixed.
+ */
+function topic(signature) {
+    return '0x' + keccak256(signature);
+}
+
+module.exports = {
+    abiType,
+    functionSignatures,
+    getterSignature,
+    eventSignature,
+    selector,
+    topic
+};
@@ -0,0 +1,479 @@
+'use strict';
+/**
+ * @file actions.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Code actions.
+ *
+ * Quick fixes for lint findings (see lint.js):
+ * - `missing-pragma`   insert a `# pragma version` for the installed compiler
+ * - `reentrancy`       add `@nonreentrant` to the function
+ * - `send`             replace `send(to, value)` by a `raw_call` reverting on failure
+ * - `natspec-missing`  generate the docstring or add the missing `@param` / `@return` tags
+ * - any finding        suppress it on this line or in the whole file
+ * - `unused-suppression`  remove the suppression
+ *
+ * Quick fixes for compiler errors:
+ * - missing `extcall` / `staticcall` keyword (vyper 0.4)
+ * - undeclared interface or module: import it from `ethereum.ercs` or the workspace
+ *
+ * Refactorings:
+ * - extract the selected statements to an internal function
+ * - convert a literal to a constant
+ * - generate a NatSpec docstring for a function without one
+ */
+
+const vscode = require('vscode');
+const path = require('path');
+const mod_symbols = require('./symbols');
+const mod_imports = require('./imports');
+const mod_session = require('./compile.session');
+const { matchingBracket, splitTopLevel } = require('./parser');
+const { targetVersion } = require('./builtins');
+const { parseVersion } = require('./compile.versions');
+const { UNUSED_SUPPRESSION } = require('./lint');
+const { parseNatspec } = require('./natspec');
+const { returnCount } = require('./natspec.rules');
+
+const LINT_SOURCE = 'vyper-ex';
+const COMPILER_SOURCE = 'vyper';
+const ERC_INTERFACES = ['IERC20', 'IERC20Detailed', 'IERC165', 'IERC721', 'IERC4626'];
+const LEGACY_INTERFACES = ['ERC20', 'ERC20Detailed', 'ERC165', 'ERC721', 'ERC4626'];
+
+function isLegacy(version) {
+    return Boolean(version) && version.major === 0 && version.minor < 4;
+}
+
+function quickFix(title, diagnostic, edit) {
+    const action = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+    action.diagnostics = [diagnostic];
+    action.edit = edit;
+    return action;
+}
+
+function insertEdit(uri, position, text) {
+    const edit = new vscode.WorkspaceEdit();
+    edit.insert(uri, position, text);
+    return edit;
+}
+
+function lineIndent(document, line) {
+    return /^\s*/.exec(document.lineAt(line).text)[0];
+}
+
+/**
+ * First line after the pragma, the module docstring and the imports, where
+ * new module level code goes.
+ */
+function headerEnd(model) {
+    let line = 0;
+    while (line < model.lineStarts.length) {
+        const start = model.lineStarts[line];
+        const end = line + 1 < model.lineStarts.length ? model.lineStarts[line + 1] : model.text.length;
+        if (model.code.slice(start, end).trim() !== '') break;
+        line += 1;
+    }
+    if (model.docstring && model.docstring.line === line) line = model.docstring.endLine + 1;
+    return line;
+}
+
+/**
+ * Line after the last import statement, or after the header if there are none.
+ */
+function importLine(model) {
+    const imports = model.statements.filter(statement => statement.indent === 0 && /^(?:from|import)\b/.test(statement.text));
+    return imports.length ? imports[imports.length - 1].endLine + 1 : headerEnd(model);
+}
+
+async function pragmaFix(document, diagnostic) {
+    let version = null;
+    try {
+        version = parseVersion((await mod_session.sessionFor(document.uri.fsPath).defaultCompiler()).version);
+    } catch {
+        // no compiler installed, fall back to the current release line
+    }
+    const release = version ? `${version.major}.${version.minor}.${version.patch}` : '0.4.0';
+    const line = isLegacy(version) ? `# @version ^${release}` : `# pragma version ~=${release}`;
+    return quickFix(`Insert \`${line}\``, diagnostic, insertEdit(document.uri, new vscode.Position(0, 0), `${line}\n`));
+}
+
+function nonreentrantFix(document, model, diagnostic, fixed) {
+    const line = diagnostic.range.start.line;
+    const fn = model.declarations.find(declaration => declaration.kind === 'function' && line >= declaration.startLine && line <= declaration.endLine);
+    if (!fn || fixed.has(fn)) return null;
+    fixed.add(fn);
+    const decorator = isLegacy(targetVersion(model.text)) ? '@nonreentrant("lock")' : '@nonreentrant';
+    return quickFix(
+        `Add \`${decorator}\` to \`${fn.name}\``,
+        diagnostic,
+        insertEdit(document.uri, new vscode.Position(fn.line, 0), `${lineIndent(document, fn.line)}${decorator}\n`)
+    );
+}
+
+function sendFix(document, model, diagnostic) {
+    const start = document.offsetAt(diagnostic.range.start);
+    const open = model.code.indexOf('(', start);
+    if (open === -1) return null;
+    const close = matchingBracket(model.code, open);
+    const args = splitTopLevel(model.text.slice(open + 1, close)).map(arg => arg.text.trim());
+    if (args.length < 2) return null;
+
+    const gas = args.slice(2).find(arg => /^gas\s*=/.test(arg));
+    const call = `raw_call(${args[0]}, b"", value=${args[1]}${gas ? `, ${gas}` : ''})`;
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(document.uri, new vscode.Range(document.positionAt(start), document.positionAt(close + 1)), call);
+    return quickFix('Replace `send` with `raw_call` (reverts on failure)', diagnostic, edit);
+}
+
+function suppressFixes(document, model, diagnostic) {
+    const rule = diagnostic.code;
+    // the pragma finding is on the first line, a comment above it would move it
+    if (rule === 'missing-pragma') return [fileSuppression(document, model, diagnostic)];
+
+    const line = diagnostic.range.start.line;
+    const actions = [];
+    const previous = line > 0 ? document.lineAt(line - 1).text : '';
+    const nextLine = /^(\s*#\s*vyper-ex:\s*disable-next-line\b)(.*)$/.exec(previous);
+    actions.push(quickFix(
+        `Suppress \`${rule}\` on this line`,
+        diagnostic,
+        nextLine
+            ? insertEdit(document.uri, new vscode.Position(line - 1, previous.trimEnd().length), nextLine[2].trim() ? `, ${rule}` : ` ${rule}`)
+            : insertEdit(document.uri, new vscode.Position(line, 0), `${lineIndent(document, line)}# vyper-ex: disable-next-line ${rule}\n`)
+    ));
+
+    actions.push(fileSuppression(document, model, diagnostic));
+    return actions;
+}
+
+function fileSuppression(document, model, diagnostic) {
+    const rule = diagnostic.code;
+    const fileComment = model.comments.find(comment => /^\s*vyper-ex:\s*disable-file\b/.test(comment.value));
+    const firstLine = /^[ \t]*#[ \t]*(?:@version|pragma[ \t]+version)\b/.test(document.lineAt(0).text) ? 1 : 0;
+    return quickFix(
+        `Suppress \`${rule}\` in this file`,
+        diagnostic,
+        fileComment
+            ? insertEdit(document.uri, document.positionAt(commentEnd(fileComment)), /disable-file\s*$/.test(fileComment.value) ? ` ${rule}` : `, ${rule}`)
+            : insertEdit(document.uri, new vscode.Position(firstLine, 0), `# vyper-ex: disable-file ${rule}\n`)
+    );
+}
+
+/**
+ * End of a comment without trailing whitespace.
+ */
+function commentEnd(comment) {
+    return comment.start + 1 + comment.value.trimEnd().length;
+}
+
+function removeSuppressionFix(document, model, diagnostic) {
+    const offset = document.offsetAt(diagnostic.range.start);
+    const comment = model.comments.find(candidate => candidate.start <= offset && offset <= candidate.end);
+    if (!comment) return null;
+
+    const rules = /^\s*vyper-ex:\s*disable-(?:next-line|file)\b(.*)$/.exec(comment.value)[1];
+    const edit = new vscode.WorkspaceEdit();
+    if (offset === comment.start || rules.split(/[\s,]+/).filter(Boolean).length <= 1) {
+        // remove the whole comment, and its line if nothing else is on it
+        const line = diagnostic.range.start.line;
+        const before = document.lineAt(line).text.slice(0, document.positionAt(comment.start).character);
+        edit.delete(document.uri, before.trim() === ''
+            ? document.lineAt(line).rangeIncludingLineBreak
+            : new vscode.Range(document.positionAt(comment.start - (before.length - before.trimEnd().length)), document.positionAt(comment.end)));
+    } else {
+        // remove the rule and the comma separating it from its neighbour
+        const text = model.text;
+        let start = document.offsetAt(diagnostic.range.start);
+        let end = document.offsetAt(diagnostic.range.end);
+        const after = /^\s*,\s*/.exec(text.slice(end, comment.end));
+        const before = /\s*,\s*$/.exec(text.slice(comment.start, start));
+        if (after) end += after[0].length;
+        else if (before) start -= before[0].length;
+        edit.delete(document.uri, new vscode.Range(document.positionAt(start), document.positionAt(end)));
+    }
+    return quickFix('Remove unused suppression', diagnostic, edit);
+}
+
+/**
+ * Docstring scaffold with `@notice` and the tags the signature calls for.
+ */
+function natspecEdit(document, fn) {
+    const indent = lineIndent(document, fn.bodyLine);
+    const tags = ['@notice']
+        .concat(fn.params.map(param => `@param ${param.name}`))
+        .concat(Array.from({ length: returnCount(fn) }, () => '@return'));
+    const lines = ['"""'].concat(tags, ['"""']).map(line => `${indent}${line}\n`);
+    return insertEdit(document.uri, new vscode.Position(fn.bodyLine, 0), lines.join(''));
+}
+
+/**
+ * `@param` and `@return` tags missing in the docstring of `fn`, inserted
+ * before its closing quotes.
+ */
+function missingTagsEdit(document, model, fn) {
+    const natspec = parseNatspec(fn.docstring.value);
+    const tags = fn.params.filter(param => !Object.prototype.hasOwnProperty.call(natspec.params, param.name)).map(param => `@param ${param.name}`)
+        .concat(Array.from({ length: Math.max(0, returnCount(fn) - natspec.returns.length) }, () => '@return'));
+    const string = model.strings.find(candidate => model.lineStarts[fn.docstring.line] + fn.docstring.column === candidate.start);
+    if (tags.length === 0 || !string) return null;
+
+    const indent = lineIndent(document, fn.docstring.line);
+    const close = string.end - (/^(?:"""|''')/.test(model.text.slice(string.start, string.start + 3)) ? 3 : 1);
+    const position = document.positionAt(close);
+    // closing quotes on a line of their own: insert the tags above them
+    if (position.line > fn.docstring.line && document.lineAt(position.line).text.slice(0, position.character).trim() === '') {
+        return insertEdit(document.uri, new vscode.Position(position.line, 0), tags.map(tag => `${indent}${tag}\n`).join(''));
+    }
+    return insertEdit(document.uri, position, tags.map(tag => `\n${indent}${tag}`).join('') + `\n${indent}`);
+}
+
+function natspecFix(document, model, diagnostic, documented) {
+    const fn = mod_symbols.enclosingFunction(model, diagnostic.range.start.line);
+    if (!fn || documented.has(fn)) return null;
+    documented.add(fn);
+    if (!fn.docstring) return quickFix(`Generate NatSpec docstring for \`${fn.name}\``, diagnostic, natspecEdit(document, fn));
+    const edit = missingTagsEdit(document, model, fn);
+    return edit ? quickFix(`Add missing NatSpec tags to \`${fn.name}\``, diagnostic, edit) : null;
+}
+
+/**
+ * "Generate NatSpec docstring" on the decorators or the signature of a function without docstring.
+ */
+function generateNatspec(document, model, range, documented) {
+    const fn = mod_symbols.enclosingFunction(model, range.start.line);
+    if (!fn || fn.docstring || documented.has(fn) || range.start.line >= fn.bodyLine) return null;
+    // `def f(): pass` has no body block to put a docstring in
+    if (fn.bodyLine > fn.endLine || lineIndent(document, fn.bodyLine).length <= lineIndent(document, fn.line).length) return null;
+    const action = new vscode.CodeAction('Generate NatSpec docstring', vscode.CodeActionKind.RefactorRewrite.append('natspec'));
+    action.edit = natspecEdit(document, fn);
+    return action;
+}
+
+function callKeywordFix(document, diagnostic) {
+    const keyword = /`?\b(extcall|staticcall)\b`?/.exec(diagnostic.message);
+    if (!keyword || !/\bmust\b|\buse\b|\bmissing\b/i.test(diagnostic.message)) return null;
+    const rest = document.lineAt(diagnostic.range.start.line).text.slice(diagnostic.range.start.character);
+    if (/^(?:extcall|staticcall)\b/.test(rest)) return null;
+    return quickFix(`Add \`${keyword[1]}\``, diagnostic, insertEdit(document.uri, diagnostic.range.start, `${keyword[1]} `));
+}
+
+/**
+ * `from a.b import X` for a workspace module, relative to the closest search path.
+ */
+function importStatementFor(document, fsPath, name) {
+    const directory = path.dirname(fsPath);
+    if (directory === path.dirname(document.uri.fsPath)) return `from . import ${name}`;
+
+    const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+    const roots = mod_imports.searchPathsFor(document.uri).concat(folder ? [folder.uri.fsPath] : []);
+    const relative = roots
+        .map(root => path.relative(root, directory))
+        .filter(candidate => !candidate.startsWith('..') && !path.isAbsolute(candidate))
+        .sort((a, b) => a.length - b.length)[0];
+    if (relative === undefined) return null;
+    return relative === '' ? `import ${name}` : `from ${relative.split(path.sep).join('.')} import ${name}`;
+}
+
+async function importFixes(document, model, diagnostic) {
+    const name = /'([A-Za-z_]\w*)'/.exec(diagnostic.message);
+    if (!name || !/UndeclaredDefinition|UnknownType|InvalidType|NamespaceCollision|UnknownAttribute/.test(String(diagnostic.code))) return [];
+
+    const statements = [];
+    if (ERC_INTERFACES.includes(name[1])) statements.push(`from ethereum.ercs import ${name[1]}`);
+    if (LEGACY_INTERFACES.includes(name[1])) statements.push(`from vyper.interfaces import ${name[1]}`);
+    const sources = await mod_symbols.workspaceSources();
+    sources
+        .filter(uri => path.basename(uri.fsPath).replace(/\.vyi?$/, '') === name[1] && uri.fsPath !== document.uri.fsPath)
+        .forEach(uri => {
+            const statement = importStatementFor(document, uri.fsPath, name[1]);
+            if (statement && !statements.includes(statement)) statements.push(statement);
+        });
+
+    const line = importLine(model);
+    return statements.map(statement => quickFix(
+        `Add \`${statement}\``,
+        diagnostic,
+        insertEdit(document.uri, new vscode.Position(line, 0), `${statement}\n`)
+    ));
+}
+
+function uniqueName(model, base, separator) {
+    let name = base;
+    for (let index = 2; model.tokens.some(token => token.name === name); index++) name = `${base}${separator}${index}`;
+    return name;
+}
+
+/**
+ * Extract whole statements of a function body into a new internal function.
+ * Not offered when the statements return, assign variables of the function
+ * or declare variables used after them.
+ */
+function extractFunction(document, model, range) {
+    if (range.isEmpty) return null;
+    const fn = mod_symbols.enclosingFunction(model, range.start.line);
+    const lastLine = range.end.character === 0 && range.end.line > range.start.line ? range.end.line - 1 : range.end.line;
+    if (!fn || range.start.line < fn.bodyLine || lastLine > fn.endLine) return null;
+
+    const body = fn.statements.filter(statement => !(statement === fn.statements[0] && fn.docstring));
+    const selected = body.filter(statement => statement.line >= range.start.line && statement.endLine <= lastLine);
+    if (selected.length === 0) return null;
+    if (body.some(statement => statement.line <= lastLine && statement.endLine >= range.start.line && !selected.includes(statement))) return null;
+
+    const first = selected[0];
+    const last = selected[selected.length - 1];
+    if (selected.some(statement => statement.indent < first.indent)) return null;
+    const code = model.code.slice(first.start, last.end);
+    if (/(?:^|\n)\s*return\b/.test(code) || /\bmsg\.value\b/.test(code)) return null;
+    if (/(?:^|\n)\s*(?:break|continue)\b/.test(code) && !/(?:^|\n)\s*for\b/.test(code)) return null;
+
+    const outer = fn.params.concat(fn.locals.filter(local => local.line < first.line));
+    const tokens = model.tokens.filter(token => token.offset >= first.start && token.offset < last.end && !token.qualifier);
+    const used = outer.filter(symbol => tokens.some(token => token.name === symbol.name));
+    const assignsOuter = used.some(symbol =>
+        new RegExp(`(?:^|\\n)\\s*${symbol.name}\\b(?:\\s*\\[[^\\n=]*\\]|\\.\\w+)*\\s*(?:[-+*/%&|^]|//|\\*\\*|<<|>>)?=(?!=)|\\b${symbol.name}\\.(?:append|pop)\\s*\\(`).test(code)
+    );
+    if (assignsOuter) return null;
+    const declared = fn.locals.filter(local => local.line >= first.line && local.line <= last.endLine);
+    const usedAfter = declared.some(local => model.tokens.some(token =>
+        token.name === local.name && !token.qualifier && token.offset >= last.end && token.line <= fn.endLine
+    ));
+    if (usedAfter) return null;
+
+    const name = uniqueName(model, '_extracted', '_');
+    const indent = ' '.repeat(first.indent);
+    const lines = model.text.slice(model.lineStarts[first.line], last.end).split(/\r?\n/)
+        .map(text => (text.startsWith(indent) ? '    ' + text.slice(indent.length) : text));
+    const decorators = ['@internal'].concat(['view', 'pure'].includes(fn.mutability) ? [`@${fn.mutability}`] : []);
+    const definition = decorators.concat([`def ${name}(${used.map(symbol => `${symbol.name}: ${symbol.type}`).join(', ')}):`], lines).join('\n');
+
+    const edit = new vscode.WorkspaceEdit();
+    const endOfFunction = document.lineAt(fn.endLine).range.end;
+    edit.insert(document.uri, endOfFunction, `\n\n\n${definition}`);
+    edit.replace(
+        document.uri,
+        new vscode.Range(first.line, 0, last.endLine, document.lineAt(last.endLine).text.length),
+        `${indent}self.${name}(${used.map(symbol => symbol.name).join(', ')})`
+    );
+    const action = new vscode.CodeAction(`Extract to internal function \`${name}\``, vscode.CodeActionKind.RefactorExtract.append('function'));
+    action.edit = edit;
+    return action;
+}
+
+/**
+ * Type of a literal, from the annotation of the assignment it initializes if there is one.
+ */
+function literalType(statement, literal) {
+    const annotated = /^\s*\w+\s*:\s*([^=]+?)\s*=\s*([\s\S]*)$/.exec(statement.text);
+    if (annotated && annotated[2].trim() === literal.code.trim()) return annotated[1];
+    const text = literal.text;
+    if (/^b["']/.test(text)) return `Bytes[${Math.max(1, text.length - 3)}]`;
+    if (/^["']/.test(text)) return `String[${Math.max(1, text.length - 2)}]`;
+    if (/^0x[0-9a-fA-F]{40}$/.test(text)) return 'address';
+    if (/^0x[0-9a-fA-F]{64}$/.test(text)) return 'bytes32';
+    if (/\./.test(text)) return 'decimal';
+    return /^-/.test(text) ? 'int256' : 'uint256';
+}
+
+/**
+ * The number or string literal at `offset`.
+ */
+function literalAt(model, offset) {
+    const string = model.strings.find(candidate => candidate.start <= offset && offset < candidate.end);
+    if (string) {
+        const start = /[bB]$/.test(model.text[string.start - 1] || '') ? string.start - 1 : string.start;
+        return { start, end: string.end, text: model.text.slice(start, string.end), code: model.code.slice(start, string.end) };
+    }
+    const pattern = /(?<![\w.])-?(?:0x[0-9a-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:e\d+)?)\b/g;
+    const line = model.lineStarts.filter(start => start <= offset).length - 1;
+    const lineStart = model.lineStarts[line];
+    const lineText = model.code.slice(lineStart, model.lineStarts[line + 1] || model.code.length);
+    let match;
+    while ((match = pattern.exec(lineText)) !== null) {
+        const start = lineStart + match.index;
+        if (start <= offset && offset <= start + match[0].length) {
+            return { start, end: start + match[0].length, text: match[0], code: match[0] };
+        }
+    }
+    return null;
+}
+
+function extractConstant(document, model, range) {
+    const offset = document.offsetAt(range.start);
+    const fn = mod_symbols.enclosingFunction(model, range.start.line);
+    if (!fn || range.start.line < fn.bodyLine) return null;
+    const statement = fn.statements.find(candidate => candidate.start <= offset && offset <= candidate.end);
+    const literal = statement && literalAt(model, offset);
+    if (!literal || (fn.docstring && statement === fn.statements[0])) return null;
+
+    const name = uniqueName(model, 'NEW_CONSTANT', '_');
+    const declaration = `${name}: constant(${literalType(statement, literal)}) = ${literal.text}\n`;
+    const constants = model.declarations.filter(candidate => candidate.kind === 'constant');
+    const firstDeclaration = model.declarations.find(candidate => candidate.kind !== 'import');
+
+    const edit = new vscode.WorkspaceEdit();
+    if (constants.length) {
+        edit.insert(document.uri, new vscode.Position(constants[constants.length - 1].endLine + 1, 0), declaration);
+    } else {
+        const line = firstDeclaration ? firstDeclaration.startLine : importLine(model);
+        edit.insert(document.uri, new vscode.Position(line, 0), `${declaration}\n`);
+    }
+    edit.replace(document.uri, new vscode.Range(document.positionAt(literal.start), document.positionAt(literal.end)), name);
+    const action = new vscode.CodeAction(`Convert \`${literal.text}\` to a constant`, vscode.CodeActionKind.RefactorExtract.append('constant'));
+    action.edit = edit;
+    return action;
+}
+
+class VyperCodeActionProvider {
+    async provideCodeActions(document, range, context) {
+        const model = mod_symbols.documentModel(document);
+        const fixes = [];
+        const suppressions = [];
+        const fixedFunctions = new Set();
+        const documented = new Set();
+
+        for (const diagnostic of context.diagnostics) {
+            if (diagnostic.source === LINT_SOURCE) {
+                if (diagnostic.code === UNUSED_SUPPRESSION) {
+                    fixes.push(removeSuppressionFix(document, model, diagnostic));
+                    continue;
+                }
+                if (diagnostic.code === 'missing-pragma') fixes.push(await pragmaFix(document, diagnostic));
+                if (diagnostic.code === 'reentrancy') fixes.push(nonreentrantFix(document, model, diagnostic, fixedFunctions));
+                if (diagnostic.code === 'send') fixes.push(sendFix(document, model, diagnostic));
+                if (diagnostic.code === 'natspec-missing') fixes.push(natspecFix(document, model, diagnostic, documented));
+                suppressions.push(...suppressFixes(document, model, diagnostic));
+            } else if (diagnostic.source === COMPILER_SOURCE) {
+                fixes.push(callKeywordFix(document, diagnostic));
+                fixes.push(...await importFixes(document, model, diagnostic));
+            }
+        }
+        // suppressing a finding is never the preferred way to deal with it
+        const actions = fixes.filter(Boolean);
+        if (actions.length === 1) actions[0].isPreferred = true;
+        actions.push(...suppressions);
+
+        if (!context.only || context.only.contains(vscode.CodeActionKind.RefactorExtract) || vscode.CodeActionKind.RefactorExtract.contains(context.only)) {
+            actions.push(extractFunction(document, model, range));
+            actions.push(extractConstant(document, model, range));
+        }
+        if (!context.only || context.only.contains(vscode.CodeActionKind.RefactorRewrite) || vscode.CodeActionKind.RefactorRewrite.contains(context.only)) {
+            actions.push(generateNatspec(document, model, range, documented));
+        }
+        return actions.filter(Boolean);
+    }
+}
+
+function init(context, type) {
+    context.subscriptions.push(
+        vscode.languages.registerCodeActionsProvider(
+            { language: type },
+            new VyperCodeActionProvider(),
+            { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix, vscode.CodeActionKind.RefactorExtract, vscode.CodeActionKind.RefactorRewrite] }
+        )
+    );
+}
+
+module.exports = {
+    init
+};
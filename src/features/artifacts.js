@@ -0,0 +1,233 @@
+'use strict';
+/**
+ * @file artifacts.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Compiler artifacts viewer.
+ * Shows the outputs of `vyper -f <format>` (abi, bytecode, storage layout, ...)
+ * in read-only virtual documents that refresh after every successful compile.
+ * Outputs of that compile are reused, only the other formats are compiled.
+ *
+ * `natspec` is not a compiler format: it renders `userdoc` and `devdoc` as
+ * markdown, shown in the markdown preview by `vyper.previewNatspec`.
+ */
+
+const vscode = require('vscode');
+const path = require('path');
+const settings = require('../settings');
+const mod_compile = require('./compile.js');
+const { documentationMarkdown } = require('./natspec');
+
+const SCHEME = 'vyper-output';
+
+const FORMATS = {
+    abi: { label: 'ABI', extension: '.json' },
+    bytecode: { label: 'Bytecode', extension: '.txt' },
+    bytecode_runtime: { label: 'Runtime bytecode', extension: '.txt' },
+    method_identifiers: { label: 'Method identifiers', extension: '.json' },
+    layout: { label: 'Storage layout', extension: '.json' },
+    interface: { label: 'Interface', extension: '.vyi' },
+    external_interface: { label: 'External interface', extension: '.vyi' },
+    userdoc: { label: 'User documentation (NatSpec)', extension: '.json' },
+    devdoc: { label: 'Developer documentation (NatSpec)', extension: '.json' },
+    natspec: {
+        label: 'NatSpec documentation',
+        extension: '.md',
+        sources: ['userdoc', 'devdoc'],
+        render: (outputs, sourceUri) => documentationMarkdown(
+            JSON.parse(outputs.userdoc), JSON.parse(outputs.devdoc), path.basename(sourceUri.path, '.vy')
+        )
+    }
+};
+
+/**
+ * Virtual document uri of one output format of a source file, e.g.
+ * `vyper-output:/path/Token.vy.abi.json?<source uri>`
+ */
+function outputUri(sourceUri, format) {
+    const extension = (FORMATS[format] || { extension: '.txt' }).extension;
+    return vscode.Uri.from({
+        scheme: SCHEME,
+        path: `${sourceUri.path}.${format}${extension}`,
+        query: JSON.stringify({ source: sourceUri.toString(), format })
+    });
+}
+
+function parseOutputUri(uri) {
+    try {
+        const { source, format } = JSON.parse(uri.query);
+        return { sourceUri: vscode.Uri.parse(source), format };
+    } catch {
+        return null;
+    }
+}
+
+function prettyPrint(format, output) {
+    if (FORMATS[format] && FORMATS[format].extension === '.json') {
+        try {
+            return JSON.stringify(JSON.parse(output), null, 2) + '\n';
+        } catch {
+            return output;
+        }
+    }
+    return output.endsWith('\n') ? output : output + '\n';
+}
+
+function render(format, outputs, sourceUri) {
+    if (!FORMATS[format] || !FORMATS[format].render) return prettyPrint(format, outputs[format]);
+    try {
+        return FORMATS[format].render(outputs, sourceUri);
+    } catch (error) {
+        return `# ${FORMATS[format].label} not available\n\n${error.message}\n`;
+    }
+}
+
+class VyperOutputProvider {
+    constructor() {
+        this.emitter = new vscode.EventEmitter();
+        this.onDidChange = this.emitter.event;
+        // output uri -> { source: source uri, text: rendered content }
+        this.contents = new Map();
+    }
+
+    /**
+     * Compile `sourceUri` once for all `formats` and cache the rendered outputs.
+     * @param {object} [compiled] - see `compileOutputs`, its outputs are not compiled again
+     */
+    async load(sourceUri, formats, compiled) {
+        const sources = formats.flatMap(format => (FORMATS[format] && FORMATS[format].sources) || [format]);
+        const { outputs, errors, compiler } = await mod_compile.compileOutputs(sourceUri.fsPath, Array.from(new Set(sources)), compiled);
+        formats.forEach(format => {
+            const missing = ((FORMATS[format] && FORMATS[format].sources) || [format]).filter(source => !(source in outputs));
+            const text = missing.length === 0
+                ? render(format, outputs, sourceUri)
+                : `# ${FORMATS[format] ? FORMATS[format].label : format} not available (vyper ${compiler.version})\n\n${missing.map(source => errors[source] || '').join('\n')}`;
+            this.contents.set(outputUri(sourceUri, format).toString(), { source: sourceUri.toString(), text });
+        });
+    }
+
+    async provideTextDocumentContent(uri) {
+        const key = uri.toString();
+        if (!this.contents.has(key)) {
+            const parsed = parseOutputUri(uri);
+            if (!parsed) return '';
+            try {
+                await this.load(parsed.sourceUri, [parsed.format]);
+            } catch (error) {
+                return `# Compilation failed\n\n${error.stderr || error.message}`;
+            }
+        }
+        return this.contents.get(key).text;
+    }
+
+    /**
+     * Reload every open output document of `sourceUri` after it compiled.
+     * @param {object} compiled - the compilation, see `compileOutputs`
+     */
+    async refresh(sourceUri, compiled) {
+        // outputs of closed documents are stale now, they are recompiled when reopened
+        Array.from(this.contents.entries())
+            .filter(([, entry]) => entry.source === sourceUri.toString())
+            .forEach(([key]) => this.contents.delete(key));
+
+        const open = vscode.workspace.textDocuments
+            .filter(doc => doc.uri.scheme === SCHEME)
+            .map(doc => ({ uri: doc.uri, parsed: parseOutputUri(doc.uri) }))
+            .filter(entry => entry.parsed && entry.parsed.sourceUri.toString() === sourceUri.toString());
+        if (open.length === 0) return;
+
+        try {
+            await this.load(sourceUri, open.map(entry => entry.parsed.format), compiled);
+        } catch (error) {
+            console.log(`Refreshing compiler outputs failed: ${error.message}`);
+            return;
+        }
+        open.forEach(entry => this.emitter.fire(entry.uri));
+    }
+
+    dispose() {
+        this.emitter.dispose();
+    }
+}
+
+async function showCompilationOutput(provider, input) {
+    const sourceUri = input && input.fsPath ? input : vscode.window.activeTextEditor?.document.uri;
+    if (!sourceUri || path.extname(sourceUri.fsPath) !== '.vy') {
+        vscode.window.showErrorMessage('[Compiler Error] Open a vyper contract to show its compilation output');
+        return;
+    }
+
+    const configured = settings.extensionConfig(sourceUri).output.formats;
+    const picks = await vscode.window.showQuickPick(
+        configured.map(format => ({
+            label: format,
+            description: FORMATS[format] ? FORMATS[format].label : '',
+            picked: true
+        })),
+        { canPickMany: true, placeHolder: 'Select the compiler outputs to show' }
+    );
+    if (!picks || picks.length === 0) return;
+    const formats = picks.map(pick => pick.label);
+
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Window,
+        title: 'Vyper: compiling outputs'
+    }, async () => {
+        try {
+            await provider.load(sourceUri, formats);
+        } catch (error) {
+            vscode.window.showErrorMessage('[Compiler Error] ' + (error.stderr || error.message));
+        }
+    });
+
+    for (const format of formats) {
+        const document = await vscode.workspace.openTextDocument(outputUri(sourceUri, format));
+        await vscode.window.showTextDocument(document, {
+            viewColumn: vscode.ViewColumn.Beside,
+            preview: false,
+            preserveFocus: true
+        });
+    }
+}
+
+async function previewNatspec(provider, input) {
+    const sourceUri = input && input.fsPath ? input : vscode.window.activeTextEditor?.document.uri;
+    if (!sourceUri || path.extname(sourceUri.fsPath) !== '.vy') {
+        vscode.window.showErrorMessage('[Compiler Error] Open a vyper contract to preview its NatSpec documentation');
+        return;
+    }
+
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Window,
+        title: 'Vyper: compiling documentation'
+    }, async () => {
+        try {
+            await provider.load(sourceUri, ['natspec']);
+        } catch (error) {
+            vscode.window.showErrorMessage('[Compiler Error] ' + (error.stderr || error.message));
+        }
+    });
+    await vscode.commands.executeCommand('markdown.showPreviewToSide', outputUri(sourceUri, 'natspec'));
+}
+
+function init(context) {
+    const provider = new VyperOutputProvider();
+    context.subscriptions.push(provider);
+    context.subscriptions.push(
+        vscode.workspace.registerTextDocumentContentProvider(SCHEME, provider)
+    );
+    context.subscriptions.push(
+        vscode.commands.registerCommand('vyper.showCompilationOutput', input => showCompilationOutput(provider, input)),
+        vscode.commands.registerCommand('vyper.previewNatspec', input => previewNatspec(provider, input))
+    );
+    context.subscriptions.push(
+        mod_compile.onDidCompile(({ uri, contract }) => provider.refresh(uri, contract))
+    );
+}
+
+module.exports = {
+    init,
+    SCHEME,
+    outputUri
+};
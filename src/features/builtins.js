@@ -0,0 +1,485 @@
+'use strict';
+/**
+ * @file builtins.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Database of the Vyper builtins: functions, environment variables, address
+ * members, types, decorators and keywords.
+ *
+ * Every entry has a `description` and may have
+ * - `since`, `deprecated`, `removed`: compiler versions (`'0.3.8'`)
+ * - `replacement`: what to use instead of a deprecated or removed builtin
+ * - `security`: notes shown with the documentation
+ *
+ * Parameters with `keyword: true` can only be passed as keyword arguments
+ * (e.g. `raw_call(to, data, max_outsize=32)`), `variadic: true` parameters
+ * take any number of positional arguments.
+ */
+
+const { parseVersionPragma, parseVersion, compareVersions } = require('./compile.versions');
+
+const DOCS = 'https://docs.vyperlang.org/en/stable';
+
+const param = (name, type, extra = {}) => ({ name, type, ...extra });
+const keyword = (name, type, defaultValue) => ({ name, type, default: defaultValue, keyword: true });
+
+const RANDOMNESS = 'Do not use block values as a source of randomness, block proposers can influence them to some degree.';
+const LOW_LEVEL = 'Low level call: check the success flag (or keep `revert_on_failure=True`), the callee runs arbitrary code and may re-enter the contract.';
+const DEPLOYMENT = 'The deployed contract is not verified, make sure `target` is trusted. Deployments with a `salt` revert if the address is taken.';
+
+const FUNCTIONS = {
+    // math
+    abs: { params: [param('value', 'int256')], returns: 'int256', description: 'Absolute value of a signed integer.', since: '0.3.1' },
+    ceil: { params: [param('value', 'decimal')], returns: 'int256', description: 'Round a decimal up to the nearest integer.' },
+    floor: { params: [param('value', 'decimal')], returns: 'int256', description: 'Round a decimal down to the nearest integer.' },
+    max: { params: [param('a', 'numeric'), param('b', 'numeric')], returns: 'numeric', description: 'The larger of two values of the same type.' },
+    min: { params: [param('a', 'numeric'), param('b', 'numeric')], returns: 'numeric', description: 'The smaller of two values of the same type.' },
+    max_value: { params: [param('type_', 'type')], returns: 'type_', description: 'Largest value representable by a numeric type.', since: '0.3.2' },
+    min_value: { params: [param('type_', 'type')], returns: 'type_', description: 'Smallest value representable by a numeric type.', since: '0.3.2' },
+    epsilon: { params: [param('type_', 'type')], returns: 'type_', description: 'Smallest non-zero value of a decimal type.', since: '0.3.4' },
+    pow_mod256: { params: [param('a', 'uint256'), param('b', 'uint256')], returns: 'uint256', description: '`a ** b` modulo 2**256 (wraps around instead of reverting).', since: '0.3.4' },
+    sqrt: { params: [param('d', 'decimal')], returns: 'decimal', description: 'Square root of a decimal (babylonian method).' },
+    isqrt: { params: [param('x', 'uint256')], returns: 'uint256', description: 'Integer square root, rounded down.', since: '0.3.2' },
+    uint256_addmod: { params: [param('a', 'uint256'), param('b', 'uint256'), param('c', 'uint256')], returns: 'uint256', description: '`(a + b) % c` with arbitrary precision addition.' },
+    uint256_mulmod: { params: [param('a', 'uint256'), param('b', 'uint256'), param('c', 'uint256')], returns: 'uint256', description: '`(a * b) % c` with arbitrary precision multiplication.' },
+    unsafe_add: {
+        params: [param('x', 'integer'), param('y', 'integer')], returns: 'integer', description: '`x + y` without overflow checks (wraps around).', since: '0.3.4',
+        security: ['The result silently wraps around, only use it where an overflow is impossible.']
+    },
+    unsafe_sub: {
+        params: [param('x', 'integer'), param('y', 'integer')], returns: 'integer', description: '`x - y` without underflow checks (wraps around).', since: '0.3.4',
+        security: ['The result silently wraps around, only use it where an underflow is impossible.']
+    },
+    unsafe_mul: {
+        params: [param('x', 'integer'), param('y', 'integer')], returns: 'integer', description: '`x * y` without overflow checks (wraps around).', since: '0.3.4',
+        security: ['The result silently wraps around, only use it where an overflow is impossible.']
+    },
+    unsafe_div: {
+        params: [param('x', 'integer'), param('y', 'integer')], returns: 'integer', description: '`x / y` without overflow or division by zero checks, rounds towards zero.', since: '0.3.4',
+        security: ['Division by zero returns zero instead of reverting.']
+    },
+    shift: {
+        params: [param('x', 'uint256 | int256'), param('_shift', 'integer')], returns: 'uint256 | int256',
+        description: 'Bitwise shift, positive `_shift` shifts left, negative shifts right.',
+        deprecated: '0.3.8', removed: '0.4.0', replacement: '`x << n` and `x >> n`'
+    },
+    bitwise_and: { params: [param('x', 'uint256'), param('y', 'uint256')], returns: 'uint256', description: 'Bitwise and.', deprecated: '0.3.4', removed: '0.4.0', replacement: '`x & y`' },
+    bitwise_or: { params: [param('x', 'uint256'), param('y', 'uint256')], returns: 'uint256', description: 'Bitwise or.', deprecated: '0.3.4', removed: '0.4.0', replacement: '`x | y`' },
+    bitwise_xor: { params: [param('x', 'uint256'), param('y', 'uint256')], returns: 'uint256', description: 'Bitwise xor.', deprecated: '0.3.4', removed: '0.4.0', replacement: '`x ^ y`' },
+    bitwise_not: { params: [param('x', 'uint256')], returns: 'uint256', description: 'Bitwise not.', deprecated: '0.3.4', removed: '0.4.0', replacement: '`~x`' },
+
+    // chain interaction
+    raw_call: {
+        params: [
+            param('to', 'address'),
+            param('data', 'Bytes'),
+            keyword('max_outsize', 'uint256', '0'),
+            keyword('gas', 'uint256', 'gasLeft'),
+            keyword('value', 'uint256', '0'),
+            keyword('is_delegate_call', 'bool', 'False'),
+            keyword('is_static_call', 'bool', 'False'),
+            keyword('revert_on_failure', 'bool', 'True')
+        ],
+        returns: 'Bytes[max_outsize] | (bool, Bytes[max_outsize]) | bool',
+        description: 'Low level CALL (or DELEGATECALL/STATICCALL). With `revert_on_failure=False` the success flag is returned as well.',
+        security: [LOW_LEVEL, 'A DELEGATECALL runs foreign code with access to the storage of this contract.']
+    },
+    raw_log: { params: [param('topics', 'bytes32[4]'), param('data', 'Bytes | bytes32')], returns: '', description: 'Emit a log with explicit topics and data.' },
+    raw_revert: { params: [param('data', 'Bytes')], returns: '', description: 'Revert with the given raw return data.', since: '0.3.2' },
+    raw_create: {
+        params: [
+            param('initcode', 'Bytes'),
+            param('args', 'any', { variadic: true }),
+            keyword('value', 'uint256', '0'),
+            keyword('revert_on_failure', 'bool', 'True'),
+            keyword('salt', 'bytes32', 'None')
+        ],
+        returns: 'address',
+        description: 'Deploy a contract from raw initcode, ABI-encoding `args` as constructor arguments.',
+        since: '0.4.1',
+        security: [DEPLOYMENT]
+    },
+    send: {
+        params: [param('to', 'address'), param('value', 'uint256'), keyword('gas', 'uint256', '0')], returns: '',
+        description: 'Send ether to an address, forwards no gas stipend unless `gas` is given. Reverts on failure.',
+        security: ['Prefer a withdraw pattern where recipients pull their funds, a reverting recipient blocks the sender.']
+    },
+    selfdestruct: {
+        params: [param('to', 'address')], returns: '',
+        description: 'Send the contract balance to `to` and, before Cancun, destroy the contract.',
+        deprecated: '0.3.8',
+        security: ['Since Cancun (EIP-6780) the code and storage are only removed when called in the creating transaction.']
+    },
+    create_minimal_proxy_to: {
+        params: [param('target', 'address'), keyword('value', 'uint256', '0'), keyword('revert_on_failure', 'bool', 'True'), keyword('salt', 'bytes32', 'None')],
+        returns: 'address',
+        description: 'Deploy an EIP-1167 minimal proxy forwarding to `target`.',
+        since: '0.3.4',
+        security: [DEPLOYMENT]
+    },
+    create_forwarder_to: {
+        params: [param('target', 'address'), keyword('value', 'uint256', '0'), keyword('salt', 'bytes32', 'None')],
+        returns: 'address',
+        description: 'Deploy an EIP-1167 minimal proxy forwarding to `target`.',
+        deprecated: '0.3.4', removed: '0.4.0', replacement: '`create_minimal_proxy_to`'
+    },
+    create_copy_of: {
+        params: [param('target', 'address'), keyword('value', 'uint256', '0'), keyword('revert_on_failure', 'bool', 'True'), keyword('salt', 'bytes32', 'None')],
+        returns: 'address',
+        description: 'Deploy a byte-for-byte copy of the runtime code of `target`.',
+        since: '0.3.4',
+        security: [DEPLOYMENT]
+    },
+    create_from_blueprint: {
+        params: [
+            param('target', 'address'),
+            param('args', 'any', { variadic: true }),
+            keyword('value', 'uint256', '0'),
+            keyword('raw_args', 'bool', 'False'),
+            keyword('code_offset', 'uint256', '0'),
+            keyword('revert_on_failure', 'bool', 'True'),
+            keyword('salt', 'bytes32', 'None')
+        ],
+        returns: 'address',
+        description: 'Deploy a contract from an ERC-5202 blueprint, passing `args` to its constructor.',
+        since: '0.3.4',
+        security: [DEPLOYMENT]
+    },
+    blockhash: {
+        params: [param('block_num', 'uint256')], returns: 'bytes32',
+        description: 'Hash of one of the 256 most recent blocks, excluding the current one.',
+        security: [RANDOMNESS, 'Older blocks revert, the hash of the current block is not available.']
+    },
+    blobhash: { params: [param('index', 'uint256')], returns: 'bytes32', description: 'Versioned hash of the `index`-th blob of the transaction (EIP-4844).', since: '0.4.0' },
+
+    // cryptography
+    ecadd: { params: [param('a', 'uint256[2]'), param('b', 'uint256[2]')], returns: 'uint256[2]', description: 'Add two points on the alt_bn128 curve.' },
+    ecmul: { params: [param('point', 'uint256[2]'), param('scalar', 'uint256')], returns: 'uint256[2]', description: 'Multiply a point on the alt_bn128 curve by a scalar.' },
+    ecrecover: {
+        params: [param('hash', 'bytes32'), param('v', 'uint256 | uint8'), param('r', 'uint256 | bytes32'), param('s', 'uint256 | bytes32')],
+        returns: 'address',
+        description: 'Recover the signer of a message hash, `empty(address)` for invalid signatures.',
+        security: [
+            'Check the result against `empty(address)` and guard against signature replay (nonces, chain id).',
+            'Before 0.3.10 invalid inputs could return an undefined, possibly non-zero, value (GHSA-f5x6-7qgp-jhf3).'
+        ]
+    },
+    keccak256: { params: [param('_value', 'Bytes | bytes32 | String')], returns: 'bytes32', description: 'Keccak-256 hash.' },
+    sha256: { params: [param('_value', 'Bytes | bytes32 | String')], returns: 'bytes32', description: 'SHA-256 hash.' },
+
+    // data manipulation
+    concat: { params: [param('a', 'Bytes | String'), param('b', 'Bytes | String'), param('args', 'Bytes | String', { variadic: true })], returns: 'Bytes | String', description: 'Concatenate byte or string values.' },
+    convert: { params: [param('value', 'any'), param('type_', 'type')], returns: 'type_', description: 'Convert a value to another type, reverting if it does not fit.' },
+    uint2str: { params: [param('value', 'uint256')], returns: 'String', description: 'Decimal string representation of an unsigned integer.', since: '0.3.4' },
+    extract32: { params: [param('b', 'Bytes'), param('start', 'uint256'), keyword('output_type', 'type', 'bytes32')], returns: 'output_type', description: 'Extract 32 bytes starting at `start`.' },
+    slice: { params: [param('b', 'Bytes | bytes32 | String'), param('start', 'uint256'), param('length', 'uint256')], returns: 'Bytes | String', description: 'Copy a slice of a byte or string value.' },
+    len: { params: [param('b', 'Bytes | String | DynArray')], returns: 'uint256', description: 'Length of a dynamic value.' },
+    empty: { params: [param('typename', 'type')], returns: 'typename', description: 'The default (zero) value of a type.' },
+    method_id: { params: [param('method', 'String'), keyword('output_type', 'type', 'Bytes[4]')], returns: 'Bytes[4] | bytes4', description: 'The 4 byte function selector of a signature such as `"transfer(address,uint256)"`.' },
+    abi_encode: {
+        params: [param('args', 'any', { variadic: true }), keyword('ensure_tuple', 'bool', 'True'), keyword('method_id', 'Bytes[4] | bytes4', 'None')],
+        returns: 'Bytes[N]',
+        description: 'ABI-encode the arguments, optionally prefixed by a method id.',
+        since: '0.4.0'
+    },
+    abi_decode: {
+        params: [param('b', 'Bytes'), param('output_type', 'type'), keyword('unwrap_tuple', 'bool', 'True')],
+        returns: 'output_type',
+        description: 'ABI-decode `b` into `output_type`, reverting on malformed input.',
+        since: '0.4.0'
+    },
+    _abi_encode: {
+        params: [param('args', 'any', { variadic: true }), keyword('ensure_tuple', 'bool', 'True'), keyword('method_id', 'Bytes[4] | bytes4', 'None')],
+        returns: 'Bytes[N]',
+        description: 'ABI-encode the arguments, optionally prefixed by a method id.',
+        deprecated: '0.4.0', replacement: '`abi_encode`'
+    },
+    _abi_decode: {
+        params: [param('b', 'Bytes'), param('output_type', 'type'), keyword('unwrap_tuple', 'bool', 'True')],
+        returns: 'output_type',
+        description: 'ABI-decode `b` into `output_type`.',
+        since: '0.3.0', deprecated: '0.4.0', replacement: '`abi_decode`'
+    },
+    as_wei_value: { params: [param('value', 'numeric'), param('unit', 'String')], returns: 'uint256', description: 'Convert an amount of `unit` (e.g. `"ether"`, `"gwei"`) to wei.' },
+    range: {
+        params: [param('start', 'integer'), param('stop', 'integer'), keyword('bound', 'integer', 'None')],
+        returns: 'iterator',
+        description: '`range(stop)` or `range(start, stop, bound=N)`, `bound` is required for non-constant ranges.',
+        security: ['Unbounded loops over user controlled data can run out of gas and lock funds.']
+    },
+    print: {
+        params: [param('args', 'any', { variadic: true }), keyword('hardhat_compat', 'bool', 'False')], returns: '',
+        description: 'Debug print (for test networks only).',
+        since: '0.3.2',
+        security: ['Remove before deploying, `print` is not meant for production contracts.']
+    }
+};
+
+const MSG = 'All members of `msg` change with every external call.';
+
+/**
+ * Members of the environment variables `msg`, `block`, `tx` and `chain`.
+ */
+const ENVIRONMENT = {
+    msg: [
+        { name: 'sender', type: 'address', description: 'Sender of the current call.', security: [MSG] },
+        { name: 'value', type: 'uint256', description: 'Wei sent with the current call, only accessible in `@payable` functions.', security: [MSG] },
+        { name: 'data', type: 'Bytes', description: 'Calldata, only usable in `len()` and `slice()`.' },
+        { name: 'gas', type: 'uint256', description: 'Remaining gas.' },
+        { name: 'mana', type: 'uint256', description: 'Remaining gas (alias of `msg.gas`).', since: '0.4.0' }
+    ],
+    block: [
+        { name: 'number', type: 'uint256', description: 'Current block number.', security: [RANDOMNESS] },
+        { name: 'timestamp', type: 'uint256', description: 'Current block timestamp in seconds since the unix epoch.', security: [RANDOMNESS, 'Block proposers can shift the timestamp by a few seconds.'] },
+        { name: 'coinbase', type: 'address', description: 'Current block proposer.' },
+        { name: 'gaslimit', type: 'uint256', description: 'Current block gas limit.' },
+        { name: 'basefee', type: 'uint256', description: 'Current block base fee (EIP-1559).', since: '0.3.0' },
+        { name: 'blobbasefee', type: 'uint256', description: 'Current block blob base fee (EIP-7516).', since: '0.4.0' },
+        { name: 'prevhash', type: 'bytes32', description: 'Hash of the previous block.', security: [RANDOMNESS] },
+        { name: 'prevrandao', type: 'bytes32', description: 'Randomness beacon of the beacon chain (EIP-4399).', since: '0.3.8', security: [RANDOMNESS] },
+        { name: 'difficulty', type: 'uint256', description: 'Alias of `block.prevrandao` since the merge.', deprecated: '0.3.8', replacement: '`block.prevrandao`' }
+    ],
+    tx: [
+        { name: 'origin', type: 'address', description: 'Sender of the transaction (full call chain).', security: ['Never use `tx.origin` for authorization, any contract the user calls can act on their behalf.'] },
+        { name: 'gasprice', type: 'uint256', description: 'Gas price of the transaction.' }
+    ],
+    chain: [
+        { name: 'id', type: 'uint256', description: 'Chain id (EIP-155).' }
+    ]
+};
+
+/**
+ * Members of every `address` value, e.g. `self.balance` or `target.codehash`.
+ */
+const ADDRESS_MEMBERS = [
+    { name: 'balance', type: 'uint256', description: 'Balance of the address in wei.' },
+    {
+        name: 'codehash', type: 'bytes32', description: 'Keccak-256 hash of the code at the address.',
+        security: ['The code hash is empty while a contract is being constructed, it can not tell contracts and accounts apart.']
+    },
+    { name: 'codesize', type: 'uint256', description: 'Size of the code at the address in bytes.' },
+    {
+        name: 'is_contract', type: 'bool', description: 'Whether code is deployed at the address.',
+        security: ['False for contracts under construction, do not use it to keep contracts out.']
+    },
+    { name: 'code', type: 'Bytes', description: 'Code at the address, only usable in `slice()`.', since: '0.3.6' }
+];
+
+/**
+ * Builtin types, `snippet` is inserted for parametrized types.
+ */
+const BITS = Array.from({ length: 32 }, (_, index) => 256 - index * 8);
+const TYPES = [
+    { name: 'address', description: '20 byte Ethereum address.' },
+    { name: 'bool', description: 'Boolean, `True` or `False`.' },
+    {
+        name: 'decimal', description: 'Fixed point number with 10 decimal places.',
+        security: ['Since 0.4.0 decimals have to be enabled with `# pragma enable-decimals`.']
+    },
+    { name: 'Bytes', snippet: 'Bytes[${1:32}]', description: 'Byte array with a maximum length, `Bytes[N]`.' },
+    { name: 'String', snippet: 'String[${1:32}]', description: 'String with a maximum length, `String[N]`.' },
+    { name: 'DynArray', snippet: 'DynArray[${1:uint256}, ${2:10}]', description: 'Dynamic array with a maximum length, `DynArray[T, N]`.', since: '0.3.2' },
+    { name: 'HashMap', snippet: 'HashMap[${1:address}, ${2:uint256}]', description: 'Mapping, only valid as a storage variable, `HashMap[K, V]`.' }
+].concat(
+    BITS.map(bits => ({ name: `uint${bits}`, description: `Unsigned ${bits} bit integer, reverts on overflow.` })),
+    BITS.map(bits => ({ name: `int${bits}`, description: `Signed ${bits} bit integer, reverts on overflow.` })),
+    Array.from({ length: 32 }, (_, index) => ({ name: `bytes${32 - index}`, description: `Fixed size array of ${32 - index} bytes.` }))
+);
+
+/**
+ * Function decorators.
+ */
+const DECORATORS = {
+    external: {
+        description: 'Part of the contract interface, callable by transactions and other contracts but not internally.',
+        security: ['Anyone can call an external function, authorize callers where needed.']
+    },
+    internal: { description: 'Only callable from within the contract (or from modules using it) as `self.f()`.' },
+    deploy: { description: 'The constructor `__init__`, executed once at deployment.', since: '0.4.0' },
+    view: { description: 'Reads but does not modify state.' },
+    pure: {
+        description: 'Neither reads nor modifies state, nor reads environment variables.',
+        security: ['The EVM can only enforce that no state is written, reading is only prevented by the compiler.']
+    },
+    payable: { description: 'Accepts ether, `msg.value` is only accessible in payable functions.' },
+    nonpayable: { description: 'Reverts if ether is sent (the default).' },
+    nonreentrant: {
+        description: 'Guards against re-entrancy with a lock, since 0.4.0 a single global lock without a key argument.',
+        security: ['Only functions with the decorator share the lock, unguarded functions can still be re-entered.']
+    },
+    public: { description: 'Callable from outside the contract.', removed: '0.2.0', replacement: '`@external`' },
+    private: { description: 'Only callable from within the contract.', removed: '0.2.0', replacement: '`@internal`' },
+    constant: { description: 'Does not modify state.', removed: '0.2.0', replacement: '`@view`' }
+};
+
+/**
+ * Keywords and statements with documentation.
+ */
+const KEYWORDS = {
+    self: { description: 'The current contract, convertible to `address`. `self.x` accesses storage variables and internal functions.' },
+    assert: {
+        description: '`assert cond, reason`: revert with the optional reason if `cond` is false.',
+        security: ['`assert cond, UNREACHABLE` raises an invalid opcode and consumes all remaining gas.']
+    },
+    raise: { description: '`raise reason`: revert with the optional reason. `raise UNREACHABLE` raises an invalid opcode.' },
+    UNREACHABLE: { description: 'Reason of `assert` or `raise` that raises an invalid opcode instead of reverting.' },
+    for: {
+        description: '`for i: T in range(...)` or `for x: T in array`: bounded loop.',
+        security: ['Loops over user controlled data can run out of gas (locked funds, denial of service).']
+    },
+    log: { description: '`log Event(...)`: emit an event.' },
+    extcall: { description: '`extcall I(addr).f(...)`: call of a state changing external function.', since: '0.4.0', security: ['The callee runs arbitrary code and may re-enter the contract.'] },
+    staticcall: { description: '`staticcall I(addr).f(...)`: call of a `view` or `pure` external function.', since: '0.4.0' },
+    implements: { description: '`implements: I`: check that the contract implements the interface `I`.' },
+    uses: { description: '`uses: m`: the contract reads or writes the state of module `m` without initializing it.', since: '0.4.0' },
+    initializes: { description: '`initializes: m`: the contract owns the state of module `m` and calls its `__init__`.', since: '0.4.0' },
+    exports: { description: '`exports: m.f`: expose external functions of a module.', since: '0.4.0' },
+    flag: { description: 'Set of named flags combinable with `|`, `&` and `in`.', since: '0.4.0' },
+    enum: { description: 'Set of named flags.', deprecated: '0.4.0', replacement: '`flag`' },
+    transient: { description: '`x: transient(T)`: storage cleared at the end of each transaction (EIP-1153).', since: '0.4.0' },
+    immutable: { description: '`x: immutable(T)`: set once in the constructor and stored in the runtime code.', since: '0.3.1' },
+    constant: { description: '`X: constant(T) = value`: compile time constant.' },
+    public: { description: '`x: public(T)`: generates an external getter.' }
+};
+
+/**
+ * Lowest compiler version allowed by the version pragma of `text`, null without pragma.
+ */
+function targetVersion(text) {
+    const pragma = parseVersionPragma(text);
+    return pragma ? parseVersion(pragma.constraint) : null;
+}
+
+/**
+ * Availability of an entry for a compiler version, the latest version if `version` is null.
+ * @returns {?{status: 'unavailable'|'removed'|'deprecated', version: string}} null if the entry is usable
+ */
+function lifecycle(entry, version) {
+    const reached = release => release && (!version || compareVersions(version, parseVersion(release)) >= 0);
+    if (entry.since && version && !reached(entry.since)) return { status: 'unavailable', version: entry.since };
+    if (reached(entry.removed)) return { status: 'removed', version: entry.removed };
+    if (reached(entry.deprecated)) return { status: 'deprecated', version: entry.deprecated };
+    return null;
+}
+
+/**
+ * Markdown note about deprecation, removal or availability, empty if the entry is usable.
+ */
+function lifecycleNote(entry, version) {
+    const state = lifecycle(entry, version);
+    if (!state) return '';
+    const instead = entry.replacement ? `, use ${entry.replacement} instead` : '';
+    switch (state.status) {
+        case 'unavailable':
+            return `⛔ available since ${state.version}` + (version ? ` (this file targets ${version.raw})` : '');
+        case 'removed':
+            return `⛔ removed in ${state.version}${instead}`;
+        default:
+            return `⚠️ deprecated since ${state.version}${instead}`;
+    }
+}
+
+/**
+ * The entry documenting an identifier.
+ * @param {string} name
+ * @param {?string} qualifier - name left of the `.`, `'<expr>'` for calls and subscripts
+ * @param {{decorator?: boolean}} [options] - `decorator` if the identifier follows an `@`
+ * @returns {?{kind: string, name: string, entry: object, reference: string}} `name` is qualified, e.g. `msg.sender`
+ */
+function lookup(name, qualifier, options = {}) {
+    if (options.decorator) {
+        return DECORATORS[name] ? { kind: 'decorator', name: `@${name}`, entry: DECORATORS[name], reference: `${DOCS}/control-structures.html#decorators-reference` } : null;
+    }
+    if (qualifier) {
+        const member = ENVIRONMENT[qualifier]
+            ? ENVIRONMENT[qualifier].find(candidate => candidate.name === name)
+            : ADDRESS_MEMBERS.find(candidate => candidate.name === name);
+        if (!member) return null;
+        return {
+            kind: ENVIRONMENT[qualifier] ? 'environment' : 'address',
+            name: ENVIRONMENT[qualifier] ? `${qualifier}.${name}` : `<address>.${name}`,
+            entry: member,
+            reference: `${DOCS}/constants-and-vars.html#environment-variables`
+        };
+    }
+    if (FUNCTIONS[name]) return { kind: 'function', name, entry: FUNCTIONS[name], reference: `${DOCS}/built-in-functions.html#${name}` };
+    const type = TYPES.find(candidate => candidate.name === name);
+    if (type) return { kind: 'type', name, entry: type, reference: `${DOCS}/types.html` };
+    if (ENVIRONMENT[name]) {
+        return { kind: 'environment', name, entry: { description: `Environment variable, members: ${ENVIRONMENT[name].map(member => `\`${member.name}\``).join(', ')}.` }, reference: `${DOCS}/constants-and-vars.html#environment-variables` };
+    }
+    if (KEYWORDS[name]) return { kind: 'keyword', name, entry: KEYWORDS[name], reference: `${DOCS}/statements.html` };
+    return null;
+}
+
+/**
+ * Code line declaring a builtin found by `lookup`, e.g. `msg.sender: address`.
+ */
+function declarationOf(found) {
+    switch (found.kind) {
+        case 'function':
+            return signatureLabel(found.name, found.entry.params, found.entry.returns).label;
+        case 'environment':
+        case 'address':
+            return found.entry.type ? `${found.name}: ${found.entry.type}` : found.name;
+        default:
+            return found.name;
+    }
+}
+
+/**
+ * Markdown documentation of a builtin found by `lookup`: lifecycle note,
+ * description, security notes and a link to the Vyper documentation.
+ * @param {?object} version - target version of the file (see `targetVersion`)
+ */
+function documentationOf(found, version) {
+    const entry = found.entry;
+    const text = [];
+    const note = lifecycleNote(entry, version);
+    if (note) text.push(note);
+    text.push(entry.description + (entry.since && !note ? ` _(since ${entry.since})_` : ''));
+    if (entry.security && entry.security.length) text.push(entry.security.map(security => `* ❗ ${security}`).join('\n'));
+    text.push(`🌎 [more...](${found.reference})`);
+    return text.join('\n\n');
+}
+
+/**
+ * `name(a: T, b: U = x, *, c: V = y) -> R`
+ * @returns {{label: string, offsets: Array<[number, number]>}} label and the
+ *          [start, end] offsets of each parameter inside it
+ */
+function signatureLabel(name, params, returns) {
+    let label = `${name}(`;
+    const offsets = [];
+    let keywordsStarted = false;
+    params.forEach((entry, index) => {
+        if (index > 0) label += ', ';
+        if (entry.keyword && !keywordsStarted && !params.some(other => other.variadic)) {
+            label += '*, ';
+        }
+        if (entry.keyword) keywordsStarted = true;
+        const text = (entry.variadic ? '*' : '') + entry.name + (entry.type ? `: ${entry.type}` : '') +
+            (entry.default !== undefined && entry.default !== null ? ` = ${entry.default}` : '');
+        offsets.push([label.length, label.length + text.length]);
+        label += text;
+    });
+    label += ')' + (returns ? ` -> ${returns}` : '');
+    return { label, offsets };
+}
+
+module.exports = {
+    FUNCTIONS,
+    ENVIRONMENT,
+    ADDRESS_MEMBERS,
+    TYPES,
+    DECORATORS,
+    KEYWORDS,
+    targetVersion,
+    lifecycle,
+    lifecycleNote,
+    lookup,
+    declarationOf,
+    documentationOf,
+    signatureLabel
+};
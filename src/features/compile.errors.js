@@ -0,0 +1,157 @@
+'use strict';
+/**
+ * @file compile.errors.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Parser for the human readable error output of the vyper compiler.
+ *
+ * Vyper reports each problem as an exception header followed by one or more
+ * source frames, e.g.:
+ *
+ *     vyper.exceptions.UndeclaredDefinition: 'x' has not been declared.
+ *
+ *       contract "contracts/Foo.vy:7", function "foo", line 7:11
+ *            6 def foo() -> uint256:
+ *       ---> 7     return x
+ *       ------------------^
+ *            8
+ *
+ *       (hint: did you mean `y`?)
+ *
+ * The parser is independent of vscode so it can be reused by other features.
+ */
+
+// `vyper.exceptions.TypeMismatch: ...`, `/path/warnings.py:12: VyperWarning: ...`, `Warning: ...`
+const HEADER_PATTERN = /^(?:\S+:\d+:\s+)?(vyper\.(?:exceptions|warnings)\.)?([A-Z]\w*):\s*(.*)$/;
+// `contract "a.vy:7", function "foo", line 7:11` (every part but the line is optional)
+const FRAME_PATTERN = /^(?:(?:contract|file|module) "(.+?)(?::\d+)?",\s*)?(?:(?:function|interface|event|struct) "([^"]*)",\s*)?line (\d+)(?::(\d+))?/;
+// legacy inline location: `line 5:0 Invalid top-level statement`
+const INLINE_LOCATION_PATTERN = /^line (\d+):(\d+)\s*(.*)$/;
+// python syntax errors: `invalid syntax (<unknown>, line 3)`
+const SYNTAX_LOCATION_PATTERN = /\(<unknown>, line (\d+)\)/;
+const HINT_PATTERN = /^\(hint: (.*)\)$/;
+// annotated source lines and the caret marker below them
+const CONTEXT_PATTERN = /^(?:--->|-*\^\s*$|\d+(?:\s|$))/;
+
+function isHeader(match) {
+    return match !== null && (Boolean(match[1]) || /(?:Exception|Error|Warning)$/.test(match[2]));
+}
+
+function createProblem(name, message) {
+    return {
+        severity: /Warning$/.test(name) ? 'warning' : 'error',
+        code: name,
+        message: message.trim(),
+        hints: [],
+        frames: []
+    };
+}
+
+function addFrame(problem, frame) {
+    const duplicate = problem.frames.some(other =>
+        other.file === frame.file && other.line === frame.line && other.column === frame.column
+    );
+    if (!duplicate) problem.frames.push(frame);
+}
+
+/**
+ * Skip a python traceback. Its `File "...", line N` frames point into the
+ * compiler itself and must not be mistaken for contract locations.
+ * @param {string[]} lines
+ * @param {number} index - index of the `Traceback` line
+ * @returns {number} index of the first line after the traceback
+ */
+function skipTraceback(lines, index) {
+    let next = index + 1;
+    while (next < lines.length && /^\s+/.test(lines[next])) next++;
+    return next;
+}
+
+/**
+ * Parse the output of a failed (or warning emitting) vyper run.
+ *
+ * Line numbers are 1-based, columns 0-based (as reported by vyper). `file`
+ * is the path exactly as printed by the compiler (usually relative to the
+ * working directory) or `null` if the frame refers to the compiled file.
+ *
+ * @param {string} output - stderr of the compiler
+ * @returns {Array<{severity: string, code: string, message: string, hints: string[],
+ *           frames: Array<{file: ?string, line: number, column: ?number, scope: ?string}>}>}
+ */
+function parseCompilerOutput(output) {
+    const lines = String(output || '').split(/\r?\n/);
+    const problems = [];
+    let current = null;
+    let inMessage = false;
+
+    for (let index = 0; index < lines.length; index++) {
+        const raw = lines[index];
+        const line = raw.trim();
+
+        if (line.startsWith('Traceback (most recent call last)')) {
+            index = skipTraceback(lines, index) - 1;
+            continue;
+        }
+
+        const header = HEADER_PATTERN.exec(line);
+        if (isHeader(header)) {
+            current = createProblem(header[2], header[3]);
+            problems.push(current);
+            inMessage = true;
+
+            const inline = INLINE_LOCATION_PATTERN.exec(current.message);
+            if (inline) {
+                current.message = inline[3].trim();
+                addFrame(current, { file: null, line: parseInt(inline[1], 10), column: parseInt(inline[2], 10), scope: null });
+            }
+            continue;
+        }
+
+        if (!current) continue;
+
+        if (line === '') {
+            inMessage = false;
+            continue;
+        }
+
+        const frame = FRAME_PATTERN.exec(line);
+        if (frame) {
+            inMessage = false;
+            addFrame(current, {
+                file: frame[1] || null,
+                line: parseInt(frame[3], 10),
+                column: frame[4] !== undefined ? parseInt(frame[4], 10) : null,
+                scope: frame[2] || null
+            });
+            continue;
+        }
+
+        const hint = HINT_PATTERN.exec(line);
+        if (hint) {
+            current.hints.push(hint[1]);
+            continue;
+        }
+
+        if (CONTEXT_PATTERN.test(line)) {
+            inMessage = false;
+            continue;
+        }
+
+        if (inMessage) current.message += '\n' + line;
+    }
+
+    problems.forEach(problem => {
+        if (problem.frames.length > 0) return;
+        const syntax = SYNTAX_LOCATION_PATTERN.exec(problem.message);
+        if (syntax) {
+            problem.frames.push({ file: null, line: parseInt(syntax[1], 10), column: null, scope: null });
+        }
+    });
+
+    return problems;
+}
+
+module.exports = {
+    parseCompilerOutput
+};
@@ -0,0 +1,196 @@
+'use strict';
+/**
+ * @file compile.installations.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Discovery of vyper compiler installations.
+ * Sources (in order of preference):
+ * - the `vyper.compilers` setting mapping versions to executables
+ * - the `vyper.command` setting
+ * - virtualenvs inside the workspace folder
+ * - pipx installations
+ * - `vyper` in PATH
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const settings = require('../settings');
+const { parseVersion, compareVersions, satisfies } = require('./compile.versions');
+
+const execAsync = promisify(exec);
+
+// Common venv paths to check for vyper
+const VENV_PATHS = [
+    '.venv/bin/vyper',
+    'venv/bin/vyper',
+    '.virtualenv/bin/vyper',
+    'virtualenv/bin/vyper',
+    'env/bin/vyper',
+    '.env/bin/vyper',
+    '.venv/Scripts/vyper.exe',
+    'venv/Scripts/vyper.exe'
+];
+
+const PROBE_TIMEOUT = 15000;
+
+/**
+ * Escape a string for safe use in shell commands (POSIX).
+ * Wraps the string in single quotes and escapes any embedded single quotes.
+ * @param {string} str - The string to escape
+ * @returns {string} - Shell-safe escaped string
+ */
+function shellEscape(str) {
+    // Replace single quotes with '\'' (end quote, escaped quote, start quote)
+    return "'" + str.replace(/'/g, "'\\''") + "'";
+}
+
+/**
+ * Quote a file system path (executable or argument) for use in a shell command.
+ */
+function quotePath(fsPath) {
+    return process.platform.startsWith('win') ? `"${fsPath}"` : shellEscape(fsPath);
+}
+
+/**
+ * Get the vyper command - checks venv first, then falls back to configured/default
+ * @param {string} workspacePath
+ * @param {vscode.WorkspaceConfiguration} [config] - `vyper` configuration of the folder
+ */
+function getVyperCommand(workspacePath, config = settings.extensionConfig()) {
+    const configuredCommand = config.command;
+
+    // If user explicitly configured a command (not default), use it
+    if (configuredCommand && configuredCommand !== 'vyper') {
+        return configuredCommand;
+    }
+
+    // Try to find vyper in common venv locations
+    if (workspacePath) {
+        for (const venvPath of VENV_PATHS) {
+            const fullPath = path.join(workspacePath, venvPath);
+            if (fs.existsSync(fullPath)) {
+                console.log(`Found vyper in venv: ${fullPath}`);
+                return quotePath(fullPath);
+            }
+        }
+    }
+
+    return configuredCommand || 'vyper';
+}
+
+/**
+ * vyper executables installed with pipx (`pipx install vyper==0.3.10 --suffix=@0.3.10`)
+ */
+function pipxExecutables() {
+    const home = os.homedir();
+    const venvRoots = [
+        process.env.PIPX_HOME && path.join(process.env.PIPX_HOME, 'venvs'),
+        path.join(home, '.local', 'pipx', 'venvs'),
+        path.join(home, '.local', 'share', 'pipx', 'venvs'),
+        path.join(home, 'pipx', 'venvs')
+    ].filter(Boolean);
+
+    const executables = [];
+    venvRoots.forEach(root => {
+        let entries;
+        try {
+            entries = fs.readdirSync(root);
+        } catch {
+            return;
+        }
+        entries.filter(name => name.startsWith('vyper')).forEach(name => {
+            ['bin/vyper', 'Scripts/vyper.exe'].forEach(binary => {
+                const fullPath = path.join(root, name, binary);
+                if (fs.existsSync(fullPath)) executables.push(fullPath);
+            });
+        });
+    });
+    return executables;
+}
+
+/**
+ * Run `<command> --version`.
+ * @returns {Promise<?string>} the reported version or null if the command is not usable
+ */
+async function probeVersion(command, cwd) {
+    try {
+        const { stdout } = await execAsync(`${command} --version`, {
+            cwd: cwd || undefined,
+            timeout: PROBE_TIMEOUT
+        });
+        return stdout.trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Candidate commands for a workspace folder, without probing them.
+ * @returns {Array<{command: string, source: string, version?: string}>}
+ */
+function candidateCommands(workspacePath, config) {
+    const candidates = [];
+    const seen = new Set();
+    const add = (command, source, version) => {
+        if (!command || seen.has(command)) return;
+        seen.add(command);
+        candidates.push(version ? { command, source, version } : { command, source });
+    };
+
+    const configured = config.compilers || {};
+    Object.keys(configured).forEach(version => add(configured[version], 'vyper.compilers', version));
+
+    const configuredCommand = config.command;
+    if (configuredCommand && configuredCommand !== 'vyper') add(configuredCommand, 'vyper.command');
+
+    if (workspacePath) {
+        VENV_PATHS
+            .map(venvPath => path.join(workspacePath, venvPath))
+            .filter(fullPath => fs.existsSync(fullPath))
+            .forEach(fullPath => add(quotePath(fullPath), 'virtualenv'));
+    }
+
+    pipxExecutables().forEach(fullPath => add(quotePath(fullPath), 'pipx'));
+    add('vyper', 'PATH');
+    return candidates;
+}
+
+/**
+ * Discover all usable compiler installations for a workspace folder.
+ * Versions given in `vyper.compilers` are trusted, everything else is probed.
+ * @param {string} workspacePath
+ * @param {vscode.WorkspaceConfiguration} [config] - `vyper` configuration of the folder
+ * @returns {Promise<Array<{command: string, source: string, version: string}>>} sorted by version, newest first
+ */
+async function discoverInstallations(workspacePath, config = settings.extensionConfig()) {
+    const probed = await Promise.all(candidateCommands(workspacePath, config).map(async candidate => {
+        const version = candidate.version || await probeVersion(candidate.command, workspacePath);
+        return version ? { command: candidate.command, source: candidate.source, version } : null;
+    }));
+
+    return probed
+        .filter(installation => installation && parseVersion(installation.version))
+        .sort((a, b) => compareVersions(parseVersion(b.version), parseVersion(a.version)));
+}
+
+/**
+ * Pick the newest installation satisfying a pragma constraint.
+ * @returns {?{command: string, source: string, version: string}}
+ */
+function selectInstallation(installations, constraint) {
+    return installations.find(installation => satisfies(installation.version, constraint)) || null;
+}
+
+module.exports = {
+    VENV_PATHS,
+    shellEscape,
+    quotePath,
+    getVyperCommand,
+    probeVersion,
+    discoverInstallations,
+    selectInstallation
+};
@@ -8,6 +8,7 @@
  * Features:
  * - Auto-detects vyper in common venv locations
  * - Supports Vyper 0.3.x and 0.4.x
+ * - Selects the installed compiler matching each file's version pragma
  * - Reports errors to VSCode Problems panel
  */
 
@@ -17,67 +18,33 @@ const fs = require('fs');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const settings = require('../settings');
+const { parseCompilerOutput } = require('./compile.errors');
+const { CompileQueue } = require('./compile.queue');
+const { parseVersionPragma } = require('./compile.versions');
+const { shellEscape, quotePath, selectInstallation } = require('./compile.installations');
+const mod_session = require('./compile.session');
 
 const execAsync = promisify(exec);
 
-/**
- * Escape a string for safe use in shell commands (POSIX).
- * Wraps the string in single quotes and escapes any embedded single quotes.
- * @param {string} str - The string to escape
- * @returns {string} - Shell-safe escaped string
- */
-function shellEscape(str) {
-    // Replace single quotes with '\'' (end quote, escaped quote, start quote)
-    return "'" + str.replace(/'/g, "'\\''") + "'";
-}
-
-const compiler = {
-    name: settings.LANGUAGE_ID,
-    version: null
-};
-
 let VYPER_ID = null;
 
 const diagnosticCollections = {
     compiler: null
 };
 
-// Common venv paths to check for vyper
-const VENV_PATHS = [
-    '.venv/bin/vyper',
-    'venv/bin/vyper',
-    '.virtualenv/bin/vyper',
-    'virtualenv/bin/vyper',
-    'env/bin/vyper',
-    '.env/bin/vyper',
-    '.venv/Scripts/vyper.exe',
-    'venv/Scripts/vyper.exe'
-];
+// source file uri -> uris that received diagnostics from its last compilation
+const publishedUris = new Map();
 
-/**
- * Get the vyper command - checks venv first, then falls back to configured/default
- */
-function getVyperCommand(workspacePath) {
-    const configuredCommand = settings.extensionConfig().command;
+// document uri -> pending as-you-type compilation timer
+const liveTimers = new Map();
+let shadowCounter = 0;
+let queue = null;
 
-    // If user explicitly configured a command (not default), use it
-    if (configuredCommand && configuredCommand !== 'vyper') {
-        return configuredCommand;
-    }
+// fired with the uri of a file after it compiled successfully from disk
+const compiledEmitter = new vscode.EventEmitter();
 
-    // Try to find vyper in common venv locations
-    if (workspacePath) {
-        for (const venvPath of VENV_PATHS) {
-            const fullPath = path.join(workspacePath, venvPath);
-            if (fs.existsSync(fullPath)) {
-                console.log(`Found vyper in venv: ${fullPath}`);
-                return fullPath;
-            }
-        }
-    }
-
-    return configuredCommand || 'vyper';
-}
+// output formats vyper prints on more than one line, they need a run of their own
+const MULTILINE_FORMATS = ['interface', 'external_interface'];
 
 function displayPaths(paths, options) {
     if (options.quiet === true) return;
@@ -90,44 +57,122 @@ function displayPaths(paths, options) {
     });
 }
 
-function workspaceForFile(fpath) {
-    const workspace = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(fpath));
-    return workspace ? workspace.uri.fsPath : '';
+/**
+ * Options shared by every compiler process: working directory, the
+ * configured timeout and the abort signal of the scheduled run.
+ */
+function processOptions(session, signal) {
+    const timeout = session.config.compile.timeout;
+    return {
+        cwd: session.folderPath || undefined,
+        timeout: timeout > 0 ? timeout * 1000 : 0,
+        signal
+    };
+}
+
+function isAbortError(error) {
+    return Boolean(error) && (error.name === 'AbortError' || error.code === 'ABORT_ERR');
 }
 
-async function checkVyper(sourceFile) {
-    const workspacePath = workspaceForFile(sourceFile);
-    const vyperCommand = getVyperCommand(workspacePath);
+function isTimeoutError(error, signal) {
+    return Boolean(error) && error.killed === true && !(signal && signal.aborted);
+}
 
+function readSource(sourcePath, contents) {
+    if (typeof contents === 'string') return contents;
     try {
-        const { stdout } = await execAsync(
-            `${vyperCommand} --version`,
-            { cwd: workspacePath || undefined }
-        );
-        compiler.version = stdout.trim();
-        console.log(`Vyper version: ${compiler.version}`);
-    } catch (error) {
-        const errorMsg = error.stderr || error.message;
-        if (errorMsg.includes('not found') || errorMsg.includes('ENOENT')) {
-            throw new Error(
-                'Vyper not found. Checked:\n' +
-                `- Command: ${vyperCommand}\n` +
-                `- Workspace: ${workspacePath}\n\n` +
-                'Install vyper with: pip install vyper\n' +
-                'Or activate your virtualenv before opening VSCode.'
-            );
-        }
-        throw new Error(`Error executing vyper:\n${errorMsg}`);
+        return fs.readFileSync(sourcePath, 'utf8');
+    } catch {
+        return '';
     }
 }
 
-async function execVyper(sourcePath) {
-    const workspacePath = workspaceForFile(sourcePath);
-    const vyperCommand = getVyperCommand(workspacePath);
+/**
+ * Error reported on the pragma line when no installed compiler satisfies it.
+ */
+function versionMismatchError(sourcePath, pragma, installations) {
+    const installed = installations.length > 0
+        ? installations.map(installation => `${installation.version} (${installation.source})`).join(', ')
+        : 'none';
+    const message = `No installed vyper compiler satisfies the version pragma "${pragma.constraint}". Installed: ${installed}.`;
+    const failure = new Error(`${message}\nCompilation of ${sourcePath} failed.`);
+    failure.problems = [{
+        severity: 'error',
+        code: 'VersionMismatch',
+        message,
+        hints: ['install a matching compiler or map one in the `vyper.compilers` setting'],
+        frames: [{ file: null, line: pragma.line + 1, column: pragma.column, scope: null }]
+    }];
+    return failure;
+}
+
+/**
+ * Choose the compiler for a contract: the newest installation of its folder's
+ * session matching the version pragma, or the default command if the
+ * contract has no pragma.
+ * @returns {Promise<{command: string, version: string, capabilities: object}>}
+ */
+async function selectCompiler(sourcePath, contents) {
+    const session = mod_session.sessionFor(sourcePath);
+    const pragma = parseVersionPragma(readSource(sourcePath, contents));
+
+    if (!pragma) return session.defaultCompiler();
+
+    const installations = await session.installations();
+    const selected = selectInstallation(installations, pragma.constraint);
+    if (!selected) throw versionMismatchError(sourcePath, pragma, installations);
+    return selected;
+}
+
+/**
+ * Write unsaved editor contents next to the original file so that relative
+ * imports still resolve. Returns the path of the temporary copy, its name
+ * matches `SHADOW_PATTERN` of symbols.js so other features skip it.
+ */
+function writeShadowCopy(sourcePath, contents) {
+    const extension = path.extname(sourcePath);
+    const basename = path.basename(sourcePath, extension);
+    shadowCounter += 1;
+    const shadowPath = path.join(
+        path.dirname(sourcePath),
+        `.${basename}.vyperex-${process.pid}-${shadowCounter}${extension}`
+    );
+    fs.writeFileSync(shadowPath, contents, 'utf8');
+    return shadowPath;
+}
 
-    const formats = compiler.version && compiler.version.startsWith('0.4')
-        ? ['annotated_ast']
-        : ['bytecode'];
+/**
+ * Compile `sourcePath`, or the unsaved `options.contents` of that file if given.
+ * @param {string} sourcePath
+ * @param {object} [options]
+ * @param {string} [options.contents] - unsaved editor contents
+ * @param {AbortSignal} [options.signal] - kills the compiler process when aborted
+ * @param {{command: string, version: string, capabilities: object}} options.compiler - installation to use
+ * @param {string[]} [options.formats] - `-f` output formats, defaults to what the compiler needs for diagnostics
+ */
+async function execVyper(sourcePath, options = {}) {
+    const { contents, signal } = options;
+    if (typeof contents === 'string') {
+        const shadowPath = writeShadowCopy(sourcePath, contents);
+        // report locations against the real file, not the temporary copy
+        const unshadow = text => text && text.split(path.basename(shadowPath)).join(path.basename(sourcePath));
+        try {
+            const output = await execVyper(shadowPath, { ...options, contents: undefined });
+            output.stderr = unshadow(output.stderr);
+            return output;
+        } catch (error) {
+            error.stderr = unshadow(error.stderr);
+            error.message = unshadow(error.message);
+            throw error;
+        } finally {
+            fs.unlink(shadowPath, () => {});
+        }
+    }
+
+    const session = mod_session.sessionFor(sourcePath);
+    const workspacePath = session.folderPath;
+    const vyperCommand = options.compiler.command;
+    const formats = options.formats || options.compiler.capabilities.formats;
 
     let escapedTarget;
     if (process.platform.startsWith('win')) {
@@ -139,17 +184,33 @@ async function execVyper(sourcePath) {
         escapedTarget = shellEscape(sourcePath);
     }
 
-    const command = `${vyperCommand} -f${formats.join(',')} ${escapedTarget}`;
+    const searchPaths = session.searchPathsFor(options.compiler)
+        .map(searchPath => `-p ${quotePath(searchPath)}`)
+        .join(' ');
+    const command = `${vyperCommand} -f${formats.join(',')} ${searchPaths ? searchPaths + ' ' : ''}${escapedTarget}`;
 
     try {
-        const { stdout } = await execAsync(command, { cwd: workspacePath || undefined });
-        const outputs = stdout.split(/\r?\n/);
-        return outputs.reduce((contract, output, index) => {
+        const { stdout, stderr } = await execAsync(command, processOptions(session, signal));
+        // one line per format, unless a single (possibly multi-line) format was requested
+        const outputs = formats.length === 1 ? [stdout.trimEnd()] : stdout.split(/\r?\n/);
+        const contract = outputs.reduce((contract, output, index) => {
             if (formats[index]) contract[formats[index]] = output;
             return contract;
         }, {});
+        return { contract, stderr, cwd: workspacePath };
     } catch (error) {
-        throw new Error(`${error.stderr || error.message}\nCompilation of ${sourcePath} failed.`);
+        if (isAbortError(error)) throw error;
+        if (isTimeoutError(error, signal)) {
+            const timeout = session.config.compile.timeout;
+            const failure = new Error(`Compilation of ${sourcePath} timed out after ${timeout}s.`);
+            failure.timedOut = true;
+            failure.cwd = workspacePath;
+            throw failure;
+        }
+        const failure = new Error(`${error.stderr || error.message}\nCompilation of ${sourcePath} failed.`);
+        failure.stderr = error.stderr || error.message;
+        failure.cwd = workspacePath;
+        throw failure;
     }
 }
 
@@ -159,10 +220,13 @@ async function compileAll(options) {
 
     const contracts = await Promise.all(
         options.paths.map(async (sourcePath) => {
-            await execVyper(sourcePath);
+            const contents = options.contents ? options.contents[sourcePath] : undefined;
+            const selected = await selectCompiler(sourcePath, contents);
+            const { contract, stderr, cwd } = await execVyper(sourcePath, { contents, signal: options.signal, compiler: selected });
             const extension = path.extname(sourcePath);
             const basename = path.basename(sourcePath, extension);
-            return { contract_name: basename, sourcePath, compiler };
+            const compiler = { name: 'vyper', version: selected.version };
+            return { contract_name: basename, sourcePath, compiler, outputs: contract, stderr, cwd };
         })
     );
 
@@ -171,44 +235,170 @@ async function compileAll(options) {
         return acc;
     }, {});
 
-    return { result, paths: options.paths, compilerInfo: { name: 'vyper', version: compiler.version } };
+    return { result, paths: options.paths, compilerInfo: contracts.length > 0 ? contracts[0].compiler : null };
+}
+
+/**
+ * Run one group of formats. If the group fails and holds more than one
+ * format, each format is retried on its own, so a format the selected
+ * compiler does not support only fails by itself.
+ */
+async function compileFormatGroup(sourcePath, compiler, group, outputs, errors) {
+    try {
+        const { contract } = await execVyper(sourcePath, { compiler, formats: group });
+        Object.assign(outputs, contract);
+    } catch (error) {
+        if (group.length > 1) {
+            for (const format of group) await compileFormatGroup(sourcePath, compiler, [format], outputs, errors);
+            return;
+        }
+        errors[group[0]] = error.stderr || error.message;
+    }
+}
+
+/**
+ * Request compiler outputs (`-f` formats) for a file on disk.
+ * Formats that fail are reported in `errors` instead of failing the whole request.
+ * @param {string} sourcePath
+ * @param {string[]} formats
+ * @param {{outputs: Object<string, string>, compiler: object}} [compiled] - result of the compilation that
+ *        fired `onDidCompile`, its outputs are reused and only the other formats are compiled
+ * @returns {Promise<{outputs: Object<string, string>, errors: Object<string, string>, compiler: object}>}
+ */
+async function compileOutputs(sourcePath, formats, compiled) {
+    const outputs = {};
+    formats
+        .filter(format => compiled && compiled.outputs && format in compiled.outputs)
+        .forEach(format => {
+            outputs[format] = compiled.outputs[format];
+        });
+    const missing = formats.filter(format => !(format in outputs));
+    if (missing.length === 0) return { outputs, errors: {}, compiler: compiled.compiler };
+
+    const selected = await selectCompiler(sourcePath);
+    const groups = missing
+        .filter(format => MULTILINE_FORMATS.includes(format))
+        .map(format => [format]);
+    const singleLine = missing.filter(format => !MULTILINE_FORMATS.includes(format));
+    if (singleLine.length > 0) groups.unshift(singleLine);
+
+    const errors = {};
+    for (const group of groups) {
+        await compileFormatGroup(sourcePath, selected, group, outputs, errors);
+    }
+    return { outputs, errors, compiler: { name: 'vyper', version: selected.version } };
 }
 
 async function compileVyper(options) {
     if (options.paths.length === 0) {
         return { result: {}, paths: [], compilerInfo: null };
     }
-    await checkVyper(options.paths[0]);
     return compileAll(options);
 }
 
-function extractLineNumber(errormsg) {
-    let lineNr = 1;
-    const lineMatches = /(?:line\s+(\d+))/gm.exec(errormsg);
-    if (lineMatches && lineMatches.length === 2) {
-        lineNr = parseInt(lineMatches[1], 10);
+/**
+ * Read the lines of a file referenced by a compiler frame, preferring the
+ * (possibly unsaved) open document.
+ */
+function readSourceLines(uri) {
+    const open = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === uri.toString());
+    if (open) return open.getText().split(/\r?\n/);
+    try {
+        return fs.readFileSync(uri.fsPath, 'utf8').split(/\r?\n/);
+    } catch {
+        return [];
     }
-    return lineNr;
 }
 
-function parseErrorMessage(errormsg) {
-    const lines = errormsg.split(/\r?\n/);
-    let shortmsg = lines[0];
-    let lineNr = extractLineNumber(errormsg);
-
-    if (lines.indexOf('SyntaxError: invalid syntax') > -1) {
-        const matches = /line (\d+)/gm.exec(errormsg);
-        if (matches && matches.length >= 2) lineNr = parseInt(matches[1], 10);
-        shortmsg = 'SyntaxError: invalid syntax';
-    } else {
-        const vyperMatch = /vyper\.exceptions\.\w+Exception:\s+(?:line\s+(\d+)).*$/gm.exec(errormsg);
-        if (vyperMatch && vyperMatch.length > 0) {
-            shortmsg = vyperMatch[0];
-            if (vyperMatch.length >= 2) lineNr = parseInt(vyperMatch[1], 10);
-        }
+/**
+ * Range of the token the compiler points at. Vyper only reports the start
+ * column, so the range is widened to the identifier (or the rest of the line).
+ */
+function frameRange(sourceLines, frame) {
+    const lineNr = Math.max(frame.line - 1, 0);
+    const text = sourceLines[lineNr] || '';
+    let column = frame.column;
+    if (column === null || column === undefined) {
+        column = text.length - text.trimStart().length;
     }
+    const word = /^\w+/.exec(text.slice(column));
+    const end = word ? column + word[0].length : Math.max(text.trimEnd().length, column + 1);
+    return new vscode.Range(lineNr, column, lineNr, end);
+}
 
-    return { shortmsg, lineNr };
+function frameUri(frame, sourceUri, cwd) {
+    if (!frame.file) return sourceUri;
+    const fullPath = path.resolve(cwd || path.dirname(sourceUri.fsPath), frame.file);
+    return vscode.Uri.file(fullPath);
+}
+
+/**
+ * Convert parsed compiler problems into diagnostics grouped by file.
+ * Each problem is reported at its first frame inside the compiled file (or
+ * the first frame at all if it only occurs in imported modules); all other
+ * frames become related information.
+ * @returns {Map<string, {uri: vscode.Uri, diagnostics: vscode.Diagnostic[]}>}
+ */
+function problemsToDiagnostics(problems, sourceUri, cwd) {
+    const byUri = new Map();
+    const linesCache = new Map();
+    const linesFor = uri => {
+        const key = uri.toString();
+        if (!linesCache.has(key)) linesCache.set(key, readSourceLines(uri));
+        return linesCache.get(key);
+    };
+    const add = (uri, diagnostic) => {
+        const key = uri.toString();
+        if (!byUri.has(key)) byUri.set(key, { uri, diagnostics: [] });
+        byUri.get(key).diagnostics.push(diagnostic);
+    };
+
+    problems.forEach(problem => {
+        const located = problem.frames.map(frame => ({ frame, uri: frameUri(frame, sourceUri, cwd) }));
+        const primary = located.find(item => item.uri.toString() === sourceUri.toString()) || located[0];
+
+        const uri = primary ? primary.uri : sourceUri;
+        const range = primary
+            ? frameRange(linesFor(primary.uri), primary.frame)
+            : frameRange(linesFor(sourceUri), { line: 1, column: null });
+        const message = [problem.message || problem.code, ...problem.hints.map(hint => `hint: ${hint}`)].join('\n');
+
+        const diagnostic = new vscode.Diagnostic(
+            range,
+            message,
+            problem.severity === 'warning' ? vscode.DiagnosticSeverity.Warning : vscode.DiagnosticSeverity.Error
+        );
+        diagnostic.code = problem.code;
+        diagnostic.source = 'vyper';
+        diagnostic.relatedInformation = located
+            .filter(item => item !== primary)
+            .map(item => new vscode.DiagnosticRelatedInformation(
+                new vscode.Location(item.uri, frameRange(linesFor(item.uri), item.frame)),
+                item.frame.scope ? `in ${item.frame.scope}` : 'see here'
+            ));
+        add(uri, diagnostic);
+    });
+
+    return byUri;
+}
+
+/**
+ * Replace the diagnostics produced by the previous compilation of `sourceUri`.
+ */
+function publishDiagnostics(sourceUri, byUri) {
+    const collection = diagnosticCollections.compiler;
+    if (!collection) return;
+
+    const key = sourceUri.toString();
+    (publishedUris.get(key) || []).forEach(uri => collection.delete(uri));
+    collection.delete(sourceUri);
+
+    const uris = [];
+    byUri.forEach(entry => {
+        collection.set(entry.uri, entry.diagnostics);
+        uris.push(entry.uri);
+    });
+    publishedUris.set(key, uris);
 }
 
 /**
@@ -237,45 +427,135 @@ async function compileActiveFileCommand(input) {
         return;
     }
 
-    try {
-        const success = await compileActiveFile(contractFile);
+    await reportCompilation(contractFile);
+}
 
-        if (diagnosticCollections.compiler) {
-            diagnosticCollections.compiler.delete(contractFile.uri);
-        }
+/**
+ * Compile a document and publish the outcome to the problems panel.
+ * @param {vscode.TextDocument} contractFile
+ * @param {object} [options]
+ * @param {boolean} [options.unsaved] - compile the editor buffer instead of the file on disk
+ * @param {boolean} [options.batch] - part of a multi-file compilation, no per-file messages
+ * @param {function(): boolean} [options.isCurrent] - results are dropped if this returns false
+ * @returns {Promise<string>} 'success', 'failed' or 'cancelled'
+ */
+async function reportCompilation(contractFile, options = {}) {
+    const isCurrent = options.isCurrent || (() => true);
+    const interactive = !options.unsaved && !options.batch;
+    const config = settings.extensionConfig(contractFile.uri);
+
+    // a compilation from disk supersedes the live one, never the other way round
+    if (!options.unsaved) queue.cancel(liveKey(contractFile.uri));
+    const outcome = await queue.run(
+        options.unsaved ? liveKey(contractFile.uri) : contractFile.uri.toString(),
+        vscode.workspace.asRelativePath(contractFile.uri),
+        signal => compileActiveFile(contractFile, { ...options, signal })
+    );
+    // superseded by a newer run of the same document: last writer wins
+    if (!outcome.current || outcome.cancelled || isAbortError(outcome.error)) return 'cancelled';
+    if (!isCurrent()) return 'cancelled';
+
+    if (!outcome.error) {
+        const success = outcome.value;
 
-        if (settings.extensionConfig().compile.verbose) {
+        // a successful run may still print warnings
+        const contract = Object.values(success)[0] || {};
+        const warnings = parseCompilerOutput(contract.stderr);
+        publishDiagnostics(contractFile.uri, problemsToDiagnostics(warnings, contractFile.uri, contract.cwd));
+        if (!options.unsaved) compiledEmitter.fire({ uri: contractFile.uri, contract });
+
+        if (!interactive) return 'success';
+        if (config.compile.verbose) {
             vscode.window.showInformationMessage('[Compiler success] ' + Object.keys(success).join(','));
         } else {
             vscode.window.setStatusBarMessage('Vyper: Compiled successfully', 3000);
         }
-    } catch (errormsg) {
-        const errorString = String(errormsg);
-
-        if (settings.extensionConfig().compile.verbose) {
-            vscode.window.showErrorMessage('[Compiler Error] ' + errorString);
+        return 'success';
+    } else {
+        const error = outcome.error;
+        if (interactive && config.compile.verbose) {
+            vscode.window.showErrorMessage('[Compiler Error] ' + String(error));
         }
 
-        if (diagnosticCollections.compiler && contractFile.uri) {
-            diagnosticCollections.compiler.delete(contractFile.uri);
-            const { shortmsg, lineNr } = parseErrorMessage(errorString);
-
-            diagnosticCollections.compiler.set(contractFile.uri, [{
-                code: '',
-                message: shortmsg,
-                range: new vscode.Range(
-                    new vscode.Position(lineNr - 1, 0),
-                    new vscode.Position(lineNr - 1, 255)
-                ),
-                severity: vscode.DiagnosticSeverity.Error,
-                source: errorString,
-                relatedInformation: []
-            }]);
+        const output = error.stderr || error.message || String(error);
+        let problems = error.problems || parseCompilerOutput(output);
+        if (problems.length === 0) {
+            const firstLine = output.split(/\r?\n/).find(line => line.trim() !== '') || 'Compilation failed';
+            problems = [{
+                severity: 'error',
+                code: error.timedOut ? 'timeout' : '',
+                message: firstLine.trim(),
+                hints: [],
+                frames: []
+            }];
         }
+        publishDiagnostics(contractFile.uri, problemsToDiagnostics(problems, contractFile.uri, error.cwd));
+        return 'failed';
     }
 }
 
-async function compileActiveFile(contractFile) {
+/**
+ * Compile a file on disk without opening it in an editor and publish the result.
+ * @param {vscode.Uri} uri
+ * @param {object} [options] - see `reportCompilation`
+ * @returns {Promise<string>} 'success', 'failed' or 'cancelled'
+ */
+function compileFile(uri, options = {}) {
+    return reportCompilation({ uri, fileName: uri.fsPath, languageId: VYPER_ID }, options);
+}
+
+/**
+ * Abort the compilation in flight for `uri`, if any.
+ */
+function cancelCompile(uri) {
+    if (queue) queue.cancel(uri.toString());
+}
+
+/**
+ * Queue key of the as-you-type compilation of `uri`, separate from the
+ * compilation from disk so that neither aborts the other by accident.
+ */
+function liveKey(uri) {
+    return `${uri.toString()}#live`;
+}
+
+/**
+ * Drop the pending and abort the running as-you-type compilation of a document.
+ */
+function cancelLiveCompile(document) {
+    const key = document.uri.toString();
+    if (liveTimers.has(key)) {
+        clearTimeout(liveTimers.get(key));
+        liveTimers.delete(key);
+    }
+    if (queue) queue.cancel(liveKey(document.uri));
+}
+
+/**
+ * Debounced as-you-type compilation of the unsaved editor contents.
+ * Results are only published while the buffer still differs from the file
+ * on disk, so they never replace the diagnostics of a save-time compilation.
+ */
+function scheduleLiveCompile(document) {
+    const config = settings.extensionConfig(document.uri);
+    if (!config.compile.onType) return;
+    if (document.languageId !== VYPER_ID || document.uri.scheme !== 'file') return;
+    if (path.extname(document.fileName) !== '.vy') return;
+
+    cancelLiveCompile(document);
+    liveTimers.set(document.uri.toString(), setTimeout(() => {
+        liveTimers.delete(document.uri.toString());
+        if (!document.isDirty || document.isClosed) return;
+
+        const version = document.version;
+        reportCompilation(document, {
+            unsaved: true,
+            isCurrent: () => !document.isClosed && document.isDirty && document.version === version
+        });
+    }, config.compile.onTypeDelay));
+}
+
+async function compileActiveFile(contractFile, compileOptions = {}) {
     if (!contractFile || contractFile.languageId !== VYPER_ID) {
         throw new Error('Not a vyper source file');
     }
@@ -289,8 +569,13 @@ async function compileActiveFile(contractFile) {
         contractsDirectory: './contracts',
         working_directory: '',
         all: true,
-        paths: [contractFile.uri.fsPath]
+        paths: [contractFile.uri.fsPath],
+        quiet: Boolean(compileOptions.unsaved || compileOptions.batch),
+        signal: compileOptions.signal
     };
+    if (compileOptions.unsaved) {
+        options.contents = { [contractFile.uri.fsPath]: contractFile.getText() };
+    }
 
     const { result } = await compileVyper(options);
     return result;
@@ -300,10 +585,21 @@ function init(context, type) {
     VYPER_ID = type;
     diagnosticCollections.compiler = vscode.languages.createDiagnosticCollection('Vyper Compiler');
     context.subscriptions.push(diagnosticCollections.compiler);
+    queue = new CompileQueue();
+    context.subscriptions.push(queue);
+    context.subscriptions.push(compiledEmitter);
+    mod_session.init(context);
 }
 
 module.exports = {
     init,
     compileContractCommand: compileActiveFileCommand,
-    compileContract: compileActiveFile
+    compileContract: compileActiveFile,
+    compileOutputs,
+    compileFile,
+    reportCompilation,
+    cancelCompile,
+    onDidCompile: compiledEmitter.event,
+    scheduleLiveCompile,
+    cancelLiveCompile
 };
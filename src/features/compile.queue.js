@@ -0,0 +1,81 @@
+'use strict';
+/**
+ * @file compile.queue.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Per-document compile scheduler.
+ * - a new run for a document aborts the one still in flight (killing the process)
+ * - only the most recently started run of a document may report its result
+ * - shows a status bar item while compilations are running
+ */
+
+const vscode = require('vscode');
+
+class CompileQueue {
+    constructor() {
+        this.runs = new Map();
+        this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 0);
+        this.statusBarItem.name = 'Vyper Compiler';
+    }
+
+    /**
+     * Schedule `task` for the document identified by `key`.
+     * The task receives an AbortSignal that fires when the run is superseded.
+     * @param {string} key - document uri
+     * @param {string} label - shown in the status bar tooltip
+     * @param {function(AbortSignal): Promise<any>} task
+     * @returns {Promise<{current: boolean, cancelled: boolean, value?: any, error?: any}>}
+     */
+    async run(key, label, task) {
+        this.cancel(key);
+
+        const run = { label, controller: new AbortController() };
+        this.runs.set(key, run);
+        this.updateStatus();
+
+        const isCurrent = () => this.runs.get(key) === run;
+        try {
+            const value = await task(run.controller.signal);
+            return { current: isCurrent(), cancelled: run.controller.signal.aborted, value };
+        } catch (error) {
+            return { current: isCurrent(), cancelled: run.controller.signal.aborted, error };
+        } finally {
+            if (isCurrent()) this.runs.delete(key);
+            this.updateStatus();
+        }
+    }
+
+    /**
+     * Abort the run in flight for `key`, if any.
+     */
+    cancel(key) {
+        const previous = this.runs.get(key);
+        if (!previous) return;
+        previous.controller.abort();
+        this.runs.delete(key);
+        this.updateStatus();
+    }
+
+    updateStatus() {
+        if (this.runs.size === 0) {
+            this.statusBarItem.hide();
+            return;
+        }
+        const labels = Array.from(this.runs.values()).map(run => run.label);
+        this.statusBarItem.text = this.runs.size > 1
+            ? `$(sync~spin) Vyper: compiling ${this.runs.size} files`
+            : '$(sync~spin) Vyper: compiling';
+        this.statusBarItem.tooltip = labels.join('\n');
+        this.statusBarItem.show();
+    }
+
+    dispose() {
+        Array.from(this.runs.keys()).forEach(key => this.cancel(key));
+        this.statusBarItem.dispose();
+    }
+}
+
+module.exports = {
+    CompileQueue
+};
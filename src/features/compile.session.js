@@ -0,0 +1,239 @@
+'use strict';
+/**
+ * @file compile.session.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Per workspace folder compiler sessions.
+ *
+ * A session holds everything that is expensive to figure out and specific to
+ * one folder of a (multi-root) workspace: the resolved default command, the
+ * discovered installations with their versions and capabilities and the
+ * import search paths. Sessions are cached and dropped when the folder's
+ * virtualenv changes or its `vyper.*` settings are modified.
+ */
+
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+const settings = require('../settings');
+const { parseVersion } = require('./compile.versions');
+const {
+    VENV_PATHS,
+    getVyperCommand,
+    probeVersion,
+    discoverInstallations
+} = require('./compile.installations');
+
+// workspace folder uri ('' outside of any folder) -> CompilerSession
+const sessions = new Map();
+
+// folders commonly holding contracts and shared modules
+const COMMON_ROOTS = ['src', 'contracts', 'lib'];
+
+/**
+ * What a compiler version supports.
+ * @param {string} version - output of `vyper --version`
+ */
+function capabilitiesFor(version) {
+    const parsed = parseVersion(version);
+    // 0.4 introduced modules: annotated_ast stops before the global constraint checker,
+    // which a module that is only meant to be imported would fail.
+    const modules = Boolean(parsed) && (parsed.major > 0 || parsed.minor >= 4);
+    return {
+        modules,
+        formats: modules ? ['annotated_ast'] : ['bytecode'],
+        multipleSearchPaths: modules
+    };
+}
+
+function isDirectory(fsPath) {
+    try {
+        return fs.statSync(fsPath).isDirectory();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * `site-packages` of the folder's virtualenvs, where pip installed modules like snekmate live.
+ */
+function sitePackages(folderPath) {
+    const venvDirectories = Array.from(new Set(VENV_PATHS.map(venvPath => venvPath.split('/')[0])));
+    const found = [];
+    venvDirectories.forEach(venv => {
+        const windows = path.join(folderPath, venv, 'Lib', 'site-packages');
+        if (isDirectory(windows)) found.push(windows);
+
+        let entries;
+        try {
+            entries = fs.readdirSync(path.join(folderPath, venv, 'lib'));
+        } catch {
+            return;
+        }
+        entries
+            .filter(name => name.startsWith('python'))
+            .map(name => path.join(folderPath, venv, 'lib', name, 'site-packages'))
+            .filter(isDirectory)
+            .forEach(directory => found.push(directory));
+    });
+    return found;
+}
+
+/**
+ * Import search paths of a folder: the configured `vyper.compile.searchPaths`
+ * (relative to the folder) followed by the auto-detected ones.
+ * @returns {{configured: string[], all: string[]}}
+ */
+function resolveSearchPaths(folderPath, config) {
+    const expand = entry => {
+        const replaced = entry.replace(/\$\{workspaceFolder\}/g, folderPath);
+        return path.isAbsolute(replaced) ? replaced : path.join(folderPath, replaced);
+    };
+    const configured = (config.compile.searchPaths || []).map(expand);
+    if (!folderPath) return { configured, all: configured };
+
+    const detected = [folderPath]
+        .concat(COMMON_ROOTS.map(root => path.join(folderPath, root)).filter(isDirectory))
+        .concat(sitePackages(folderPath));
+    const all = Array.from(new Set(configured.concat(detected).map(entry => path.normalize(entry))));
+    return { configured, all };
+}
+
+class CompilerSession {
+    /**
+     * @param {?vscode.WorkspaceFolder} folder
+     */
+    constructor(folder) {
+        this.folder = folder;
+        this.folderPath = folder ? folder.uri.fsPath : '';
+        this.config = settings.extensionConfig(folder ? folder.uri : undefined);
+        const searchPaths = resolveSearchPaths(this.folderPath, this.config);
+        this.searchPaths = searchPaths.all;
+        this.configuredSearchPaths = searchPaths.configured;
+        this.defaultPromise = null;
+        this.installationsPromise = null;
+    }
+
+    withCapabilities(installation) {
+        return { ...installation, capabilities: capabilitiesFor(installation.version) };
+    }
+
+    /**
+     * The compiler used for files without a version pragma.
+     * @returns {Promise<{command: string, source: string, version: string, capabilities: object}>}
+     */
+    defaultCompiler() {
+        if (!this.defaultPromise) {
+            this.defaultPromise = this.resolveDefault();
+            // do not cache failures, vyper might get installed later on
+            this.defaultPromise.catch(() => {
+                this.defaultPromise = null;
+            });
+        }
+        return this.defaultPromise;
+    }
+
+    async resolveDefault() {
+        const command = getVyperCommand(this.folderPath, this.config);
+        const version = await probeVersion(command, this.folderPath);
+        if (!version) {
+            throw new Error(
+                'Vyper not found. Checked:\n' +
+                `- Command: ${command}\n` +
+                `- Workspace: ${this.folderPath}\n\n` +
+                'Install vyper with: pip install vyper\n' +
+                'Or activate your virtualenv before opening VSCode.'
+            );
+        }
+        console.log(`Vyper version: ${version} (${this.folderPath || 'no workspace folder'})`);
+        return this.withCapabilities({ command, source: 'default', version });
+    }
+
+    /**
+     * All installations usable from this folder, newest first.
+     * @returns {Promise<Array<{command: string, source: string, version: string, capabilities: object}>>}
+     */
+    installations() {
+        if (!this.installationsPromise) {
+            this.installationsPromise = discoverInstallations(this.folderPath, this.config)
+                .then(installations => installations.map(installation => this.withCapabilities(installation)));
+        }
+        return this.installationsPromise;
+    }
+
+    /**
+     * Search path arguments for a compiler invocation. 0.4 takes any number
+     * of `-p` paths, older versions a single import root.
+     * @param {{capabilities: object}} installation
+     * @returns {string[]} unquoted paths, each to be passed as `-p <path>`
+     */
+    searchPathsFor(installation) {
+        if (installation.capabilities.multipleSearchPaths) return this.searchPaths;
+        return this.configuredSearchPaths.slice(0, 1);
+    }
+}
+
+function folderKey(folder) {
+    return folder ? folder.uri.toString() : '';
+}
+
+/**
+ * Get the (cached) session of the workspace folder containing `sourcePath`.
+ * @param {string} sourcePath
+ * @returns {CompilerSession}
+ */
+function sessionFor(sourcePath) {
+    const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(sourcePath));
+    const key = folderKey(folder);
+    if (!sessions.has(key)) sessions.set(key, new CompilerSession(folder));
+    return sessions.get(key);
+}
+
+/**
+ * Drop the session of the folder containing `uri` (or all sessions).
+ * @param {vscode.Uri} [uri]
+ */
+function invalidate(uri) {
+    if (!uri) {
+        sessions.clear();
+        return;
+    }
+    sessions.delete(folderKey(vscode.workspace.getWorkspaceFolder(uri)));
+}
+
+function init(context) {
+    // a (re)created or removed virtualenv changes the available compilers
+    const venvDirectories = Array.from(new Set(VENV_PATHS.map(venvPath => venvPath.split('/')[0])));
+    const watcher = vscode.workspace.createFileSystemWatcher(
+        `**/{${venvDirectories.join(',')}}/{bin,Scripts}/vyper*`
+    );
+    watcher.onDidCreate(uri => invalidate(uri));
+    watcher.onDidChange(uri => invalidate(uri));
+    watcher.onDidDelete(uri => invalidate(uri));
+    context.subscriptions.push(watcher);
+
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeConfiguration(event => {
+            Array.from(sessions.values()).forEach(session => {
+                const scope = session.folder ? session.folder.uri : undefined;
+                if (event.affectsConfiguration(settings.LANGUAGE_ID, scope)) {
+                    sessions.delete(folderKey(session.folder));
+                }
+            });
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeWorkspaceFolders(event => {
+            event.removed.forEach(folder => sessions.delete(folderKey(folder)));
+        })
+    );
+}
+
+module.exports = {
+    init,
+    sessionFor,
+    invalidate,
+    capabilitiesFor
+};
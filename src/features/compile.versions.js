@@ -0,0 +1,136 @@
+'use strict';
+/**
+ * @file compile.versions.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Version pragma parsing and constraint matching.
+ *
+ * Vyper accepts npm style ranges (`# @version ^0.3.10`) as well as PEP 440
+ * specifiers (`# pragma version ~=0.4.0`, `>=0.3.10,<0.5`), both are
+ * supported here.
+ */
+
+const PRAGMA_PATTERN = /^[ \t]*#[ \t]*(?:@version|pragma[ \t]+version)[ \t]+([^\r\n#]*?)[ \t]*$/m;
+
+/**
+ * Find the version pragma of a contract.
+ * @param {string} text - contract source
+ * @returns {?{constraint: string, line: number, column: number}} 0-based position of the constraint
+ */
+function parseVersionPragma(text) {
+    const match = PRAGMA_PATTERN.exec(text);
+    if (!match || match[1] === '') return null;
+
+    const line = text.slice(0, match.index).split(/\r?\n/).length - 1;
+    const column = match[0].lastIndexOf(match[1]);
+    return { constraint: match[1], line, column };
+}
+
+/**
+ * Parse `0.3.10`, `0.4.0rc3`, `0.4.0+commit.e9db8d9f` or the output of `vyper --version`.
+ * @returns {?{major: number, minor: number, patch: number, pre: ?string, raw: string}}
+ */
+function parseVersion(text) {
+    const match = /(\d+)\.(\d+)(?:\.(\d+))?(?:[-.]?((?:a|b|rc|alpha|beta|dev)\.?\d*))?/.exec(String(text || ''));
+    if (!match) return null;
+    return {
+        major: parseInt(match[1], 10),
+        minor: parseInt(match[2], 10),
+        patch: match[3] !== undefined ? parseInt(match[3], 10) : 0,
+        pre: match[4] || null,
+        raw: match[0]
+    };
+}
+
+function compareVersions(a, b) {
+    if (a.major !== b.major) return a.major - b.major;
+    if (a.minor !== b.minor) return a.minor - b.minor;
+    if (a.patch !== b.patch) return a.patch - b.patch;
+    // pre-releases sort before the final release
+    if (a.pre && !b.pre) return -1;
+    if (!a.pre && b.pre) return 1;
+    if (a.pre && b.pre) return a.pre < b.pre ? -1 : a.pre > b.pre ? 1 : 0;
+    return 0;
+}
+
+/**
+ * Upper bound of a compatible release clause:
+ * npm `^0.3.10` -> `<0.4.0`, npm `~0.3.1` -> `<0.4.0`, PEP 440 `~=0.4.0` -> `<0.5.0`, `~=1.2` -> `<2.0`
+ */
+function upperBound(operator, version, precision) {
+    if (operator === '^') {
+        if (version.major > 0) return { major: version.major + 1, minor: 0, patch: 0, pre: null };
+        if (version.minor > 0) return { major: 0, minor: version.minor + 1, patch: 0, pre: null };
+        return { major: 0, minor: 0, patch: version.patch + 1, pre: null };
+    }
+    if (operator === '~=' && precision === 2) {
+        return { major: version.major + 1, minor: 0, patch: 0, pre: null };
+    }
+    return { major: version.major, minor: version.minor + 1, patch: 0, pre: null };
+}
+
+/**
+ * Check a single clause like `>=0.3.10`, `==0.4.*` or `^0.3.0`.
+ */
+function satisfiesClause(version, clause) {
+    const match = /^(\^|~=|~|===|==|!=|>=|<=|>|<|=)?\s*v?([\d.x*]+(?:[-.]?(?:a|b|rc|alpha|beta|dev)\.?\d*)?)$/.exec(clause);
+    if (!match) return false;
+
+    const operator = match[1] || '==';
+    const text = match[2];
+
+    // wildcards: `0.4.*`, `0.3.x`, `*`
+    if (/[x*]/.test(text)) {
+        const parts = text.split('.');
+        const fixed = parts.slice(0, parts.findIndex(part => part === 'x' || part === '*'));
+        const keys = ['major', 'minor', 'patch'];
+        const matches = fixed.every((part, index) => version[keys[index]] === parseInt(part, 10));
+        return operator === '!=' ? !matches : matches;
+    }
+
+    const target = parseVersion(text);
+    if (!target) return false;
+    const precision = text.split(/[-+a-z]/)[0].split('.').length;
+    const diff = compareVersions(version, target);
+
+    switch (operator) {
+        case '^':
+        case '~':
+        case '~=':
+            return diff >= 0 && compareVersions(version, upperBound(operator, target, precision)) < 0;
+        case '>=': return diff >= 0;
+        case '<=': return diff <= 0;
+        case '>': return diff > 0;
+        case '<': return diff < 0;
+        case '!=': return diff !== 0;
+        default: return diff === 0;
+    }
+}
+
+/**
+ * Check whether `version` satisfies a pragma constraint.
+ * Clauses separated by `,` or whitespace must all hold, `||` separates alternatives.
+ * @param {string|object} version - version string or the result of `parseVersion`
+ * @param {string} constraint
+ * @returns {boolean}
+ */
+function satisfies(version, constraint) {
+    const parsed = typeof version === 'string' ? parseVersion(version) : version;
+    if (!parsed) return false;
+
+    return constraint.split('||').some(alternative => {
+        const clauses = alternative
+            .replace(/(\^|~=|~|===|==|!=|>=|<=|>|<|=)\s+/g, '$1')
+            .split(/[\s,]+/)
+            .filter(clause => clause !== '');
+        return clauses.length > 0 && clauses.every(clause => satisfiesClause(parsed, clause));
+    });
+}
+
+module.exports = {
+    parseVersionPragma,
+    parseVersion,
+    compareVersions,
+    satisfies
+};
@@ -0,0 +1,106 @@
+'use strict';
+/**
+ * @file compile.workspace.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * "Vyper: Compile All Contracts" - compiles every contract of the workspace
+ * (or of a folder picked in the explorer) and fills the problems panel.
+ */
+
+const vscode = require('vscode');
+const settings = require('../settings');
+const mod_compile = require('./compile.js');
+const { matchesGlob } = require('./glob');
+const { SHADOW_PATTERN } = require('./symbols');
+
+/**
+ * Find the contracts to compile below `folderUri` (or in the whole workspace).
+ * `files.exclude` is honored by `findFiles`, `vyper.compile.exclude` is applied on top.
+ * Temporary copies of a running compile-on-type are skipped.
+ * @returns {Promise<vscode.Uri[]>}
+ */
+async function discoverContracts(folderUri) {
+    const config = settings.extensionConfig(folderUri);
+    const include = folderUri
+        ? new vscode.RelativePattern(folderUri, config.compile.include)
+        : config.compile.include;
+    const exclude = config.compile.exclude || [];
+
+    const uris = await vscode.workspace.findFiles(include);
+    return uris
+        .filter(uri => uri.fsPath.endsWith('.vy') && !SHADOW_PATTERN.test(uri.path))
+        .filter(uri => !matchesGlob(vscode.workspace.asRelativePath(uri, false), exclude))
+        .sort((a, b) => a.fsPath.localeCompare(b.fsPath));
+}
+
+/**
+ * Run `worker` for all items, at most `limit` at a time, until cancelled.
+ */
+async function runBounded(items, limit, token, worker) {
+    let next = 0;
+    const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+        while (next < items.length && !token.isCancellationRequested) {
+            const item = items[next];
+            next += 1;
+            await worker(item);
+        }
+    });
+    await Promise.all(lanes);
+}
+
+async function compileAllCommand(input) {
+    const folderUri = input && input.fsPath ? input : undefined;
+    const contracts = await discoverContracts(folderUri);
+    if (contracts.length === 0) {
+        vscode.window.showInformationMessage('Vyper: no contracts found to compile');
+        return;
+    }
+
+    const parallel = settings.extensionConfig(folderUri).compile.parallel;
+    const counts = { success: 0, failed: 0, cancelled: 0 };
+
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Vyper: compiling contracts',
+        cancellable: true
+    }, async (progress, token) => {
+        const running = new Set();
+        token.onCancellationRequested(() => running.forEach(uri => mod_compile.cancelCompile(uri)));
+
+        await runBounded(contracts, parallel, token, async uri => {
+            running.add(uri);
+            const status = await mod_compile.compileFile(uri, { batch: true });
+            running.delete(uri);
+
+            counts[status] += 1;
+            const done = counts.success + counts.failed;
+            progress.report({
+                increment: 100 / contracts.length,
+                message: `${done}/${contracts.length} ${vscode.workspace.asRelativePath(uri, false)}`
+            });
+        });
+    });
+
+    const skipped = contracts.length - counts.success - counts.failed;
+    const summary = `Vyper: ${counts.success} passed, ${counts.failed} failed` +
+        (skipped > 0 ? `, ${skipped} cancelled` : '') + ` (${contracts.length} contracts)`;
+
+    if (counts.failed === 0) {
+        vscode.window.showInformationMessage(summary);
+        return;
+    }
+    const choice = await vscode.window.showWarningMessage(summary, 'Show Problems');
+    if (choice) vscode.commands.executeCommand('workbench.actions.view.problems');
+}
+
+function init(context) {
+    context.subscriptions.push(
+        vscode.commands.registerCommand('vyper.compileAll', compileAllCommand)
+    );
+}
+
+module.exports = {
+    init,
+    discoverContracts
+};
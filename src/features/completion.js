@@ -0,0 +1,253 @@
+'use strict';
+/**
+ * @file completion.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Context aware completion.
+ *
+ * - `self.`            storage variables and internal functions
+ * - `log `             declared events, with their fields as placeholders
+ * - `extcall x.` / `staticcall x.`  methods of the interface of `x` with a matching mutability
+ * - `module.`, `Struct`, `Flag.`    members of modules, structs and flags
+ * - `msg.`, `block.`, `tx.`, `chain.`  environment members
+ * - `@`                decorators
+ * - type positions     builtin and declared types
+ * - anywhere else      locals, parameters, module level declarations and builtin functions
+ *
+ * Builtins follow the version pragma of the file: builtins that are not
+ * available are left out, deprecated ones are marked as such.
+ */
+
+const vscode = require('vscode');
+const mod_symbols = require('./symbols');
+const mod_navigation = require('./navigation');
+const { FUNCTIONS, ENVIRONMENT, ADDRESS_MEMBERS, TYPES, DECORATORS, lookup, lifecycle, documentationOf, targetVersion } = require('./builtins');
+
+const TYPE_WRAPPERS = ['public', 'constant', 'immutable', 'transient'];
+const TYPE_POSITION = /(?:^\s*(?:for\s+)?(?!else\b)\w+\s*:\s*|[(,]\s*\w+\s*:\s*|->\s*\(?\s*|\b(?:HashMap|DynArray)\[\s*(?:[^\]]*,\s*)?|\b(?:public|constant|immutable|transient|indexed|empty)\(\s*)(\w*)$/;
+const KIND = {
+    function: vscode.CompletionItemKind.Function,
+    method: vscode.CompletionItemKind.Method,
+    variable: vscode.CompletionItemKind.Field,
+    constant: vscode.CompletionItemKind.Constant,
+    immutable: vscode.CompletionItemKind.Constant,
+    event: vscode.CompletionItemKind.Event,
+    struct: vscode.CompletionItemKind.Struct,
+    flag: vscode.CompletionItemKind.Enum,
+    interface: vscode.CompletionItemKind.Interface,
+    import: vscode.CompletionItemKind.Module,
+    field: vscode.CompletionItemKind.Field,
+    member: vscode.CompletionItemKind.EnumMember,
+    parameter: vscode.CompletionItemKind.Variable,
+    local: vscode.CompletionItemKind.Variable
+};
+
+/**
+ * Completion of a builtin, null if it is not available in the target version.
+ * @param {?object} found - result of `builtins.lookup`
+ */
+function builtinItem(label, kind, found, version) {
+    if (!found) return null;
+    const state = lifecycle(found.entry, version);
+    if (state && state.status !== 'deprecated') return null;
+
+    const item = new vscode.CompletionItem(label, kind);
+    if (state) item.tags = [vscode.CompletionItemTag.Deprecated];
+    item.documentation = new vscode.MarkdownString(documentationOf(found, version));
+    return item;
+}
+
+function callSnippet(name, params) {
+    const positional = params.filter(param => !param.keyword && !param.variadic && (param.default === undefined || param.default === null));
+    const args = positional.map((param, index) => `\${${index + 1}:${param.name}}`).join(', ');
+    return new vscode.SnippetString(`${name}(${args})`);
+}
+
+function keywordSnippet(name, members) {
+    const args = members.map((member, index) => `${member.name}=\${${index + 1}:${member.type || member.name}}`).join(', ');
+    return new vscode.SnippetString(`${name}(${args})`);
+}
+
+function detailOf(symbol) {
+    switch (symbol.kind) {
+        case 'function':
+        case 'method':
+            return `(${symbol.params.map(param => `${param.name}: ${param.type}`).join(', ')})` +
+                (symbol.returns ? ` -> ${symbol.returns}` : '') + (symbol.mutability ? ` ${symbol.mutability}` : '');
+        case 'struct':
+        case 'event':
+        case 'flag':
+        case 'interface':
+            return symbol.kind;
+        case 'import':
+            return symbol.statement.module ? `${symbol.statement.module}.${symbol.imported.name}` : symbol.imported.name;
+        default:
+            return symbol.type || '';
+    }
+}
+
+function symbolItem(symbol) {
+    const item = new vscode.CompletionItem(symbol.name, KIND[symbol.kind] || vscode.CompletionItemKind.Variable);
+    item.detail = detailOf(symbol);
+    if (symbol.kind === 'function' || symbol.kind === 'method') {
+        item.insertText = callSnippet(symbol.name, symbol.params);
+    } else if (symbol.kind === 'struct') {
+        item.insertText = keywordSnippet(symbol.name, symbol.members);
+    }
+    if (symbol.docstring) item.documentation = new vscode.MarkdownString(symbol.docstring.value.trim());
+    return item;
+}
+
+function typeItems(model, topLevel, version) {
+    const items = [];
+    TYPES.forEach(type => {
+        const item = builtinItem(type.name, vscode.CompletionItemKind.TypeParameter, lookup(type.name), version);
+        if (!item) return;
+        if (type.snippet) item.insertText = new vscode.SnippetString(type.snippet);
+        items.push(item);
+    });
+    model.declarations
+        .filter(declaration => ['struct', 'flag', 'interface', 'import'].includes(declaration.kind))
+        .forEach(declaration => items.push(symbolItem(declaration)));
+    if (topLevel) {
+        TYPE_WRAPPERS.forEach(wrapper => {
+            const item = new vscode.CompletionItem(wrapper, vscode.CompletionItemKind.Keyword);
+            item.insertText = new vscode.SnippetString(`${wrapper}(\${1})`);
+            items.push(item);
+        });
+    }
+    return items;
+}
+
+function eventItems(model) {
+    return model.declarations
+        .filter(declaration => declaration.kind === 'event')
+        .map(declaration => {
+            const item = symbolItem(declaration);
+            item.insertText = keywordSnippet(declaration.name, declaration.members);
+            return item;
+        });
+}
+
+function environmentItems(name, version) {
+    return ENVIRONMENT[name]
+        .map(member => {
+            const item = builtinItem(member.name, vscode.CompletionItemKind.Property, lookup(member.name, name), version);
+            if (item) item.detail = member.type;
+            return item;
+        })
+        .filter(Boolean);
+}
+
+function decoratorItems(version) {
+    return Object.keys(DECORATORS)
+        .map(name => builtinItem(name, vscode.CompletionItemKind.Keyword, lookup(name, null, { decorator: true }), version))
+        .filter(Boolean);
+}
+
+/**
+ * Members of a resolved container: module members, interface methods,
+ * struct fields or flag members.
+ */
+async function memberItems(container, callKind) {
+    if (container.module) {
+        const model = await mod_symbols.fileModel(container.uri);
+        if (!model) return [];
+        return model.declarations.filter(declaration => declaration.kind !== 'import').map(symbolItem);
+    }
+    let members = container.symbol.members || [];
+    if (container.symbol.kind === 'interface' && callKind) {
+        const readOnly = ['view', 'pure'];
+        members = members.filter(member => (callKind === 'staticcall') === readOnly.includes(member.mutability));
+    }
+    return members.map(symbolItem);
+}
+
+function selfItems(model, version) {
+    const items = model.declarations
+        .filter(declaration =>
+            declaration.kind === 'variable' ||
+            (declaration.kind === 'function' && declaration.visibility === 'internal')
+        )
+        .map(symbolItem);
+    ADDRESS_MEMBERS.forEach(member => {
+        const item = builtinItem(member.name, vscode.CompletionItemKind.Property, lookup(member.name, 'self'), version);
+        if (!item) return;
+        item.detail = member.type;
+        items.push(item);
+    });
+    return items;
+}
+
+function scopeItems(model, line, version) {
+    const items = [];
+    const scope = mod_symbols.enclosingFunction(model, line);
+    if (scope) {
+        scope.params.concat(scope.locals.filter(local => local.line <= line)).forEach(symbol => items.push(symbolItem(symbol)));
+    }
+    model.declarations
+        .filter(declaration => !['variable', 'function', 'event'].includes(declaration.kind))
+        .forEach(declaration => items.push(symbolItem(declaration)));
+    Object.keys(FUNCTIONS).forEach(name => {
+        const item = builtinItem(name, vscode.CompletionItemKind.Function, lookup(name), version);
+        if (!item) return;
+        item.detail = 'builtin';
+        item.insertText = callSnippet(name, FUNCTIONS[name].params);
+        items.push(item);
+    });
+    Object.keys(ENVIRONMENT).concat(['self']).forEach(name => {
+        items.push(new vscode.CompletionItem(name, vscode.CompletionItemKind.Variable));
+    });
+    return items;
+}
+
+class VyperCompletionItemProvider {
+    async provideCompletionItems(document, position, token, context) {
+        const model = mod_symbols.documentModel(document);
+        const offset = document.offsetAt(position);
+        const prefix = document.lineAt(position.line).text.slice(0, position.character);
+        const version = targetVersion(model.text);
+
+        // nothing to complete in comments and strings
+        if (model.comments.some(comment => comment.start < offset && offset <= comment.end)) return undefined;
+        if (model.strings.some(string => string.start < offset && offset < string.end)) return undefined;
+
+        if (/\blog\s+\w*$/.test(prefix)) return eventItems(model);
+        if (/^\s*@\w*$/.test(prefix)) return decoratorItems(version);
+
+        const member = /(\w+|\)|\])\s*\.(\w*)$/.exec(prefix);
+        if (member) {
+            if (ENVIRONMENT[member[1]]) return environmentItems(member[1], version);
+            if (member[1] === 'self') return selfItems(model, version);
+
+            const dot = offset - member[2].length - 1;
+            const container = await mod_navigation.resolveContainer(document.uri, model, dot);
+            if (!container) return undefined;
+            const call = /\b(extcall|staticcall)\s+[^=]*$/.exec(prefix);
+            return memberItems(container, call ? call[1] : null);
+        }
+
+        if (TYPE_POSITION.test(prefix) && !/\bdef\s+\w*$/.test(prefix)) {
+            return typeItems(model, !mod_symbols.enclosingFunction(model, position.line) && /^\w+\s*:/.test(prefix), version);
+        }
+
+        // a space only triggers `log ` and type completions
+        if (context && context.triggerCharacter === ' ') return undefined;
+        return scopeItems(model, position.line, version);
+    }
+}
+
+function init(context, type) {
+    context.subscriptions.push(
+        vscode.languages.registerCompletionItemProvider(
+            { language: type },
+            new VyperCompletionItemProvider(),
+            '.', ' ', '@'
+        )
+    );
+}
+
+module.exports = {
+    init
+};
@@ -0,0 +1,123 @@
+'use strict';
+/**
+ * @file constants.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Evaluation of integer constant expressions such as `10 ** 18` or
+ * `MAX_SUPPLY // 2`, referring to other constants of the same file.
+ */
+
+const MAX_DEPTH = 16;
+
+function tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(0x[0-9a-fA-F_]+|0b[01_]+|0o[0-7_]+|\d[\d_]*|[A-Za-z_]\w*|\*\*|\/\/|<<|>>|[-+*%&|^~()])/y;
+    let match;
+    let index = 0;
+    while (index < expression.length) {
+        pattern.lastIndex = index;
+        match = pattern.exec(expression);
+        if (!match) {
+            if (/^\s*$/.test(expression.slice(index))) break;
+            return null;
+        }
+        tokens.push(match[1]);
+        index = pattern.lastIndex;
+    }
+    return tokens;
+}
+
+/**
+ * Evaluate an integer expression.
+ * @param {string} expression
+ * @param {function(string): ?string} lookup - expression of another constant by name
+ * @returns {?bigint} null if the expression is not a plain integer expression
+ */
+function evaluate(expression, lookup, depth = 0) {
+    if (depth > MAX_DEPTH) return null;
+    const tokens = tokenize(expression);
+    if (!tokens || tokens.length === 0) return null;
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    // precedence climbing, loosest first
+    const levels = [['|'], ['^'], ['&'], ['<<', '>>'], ['+', '-'], ['*', '//', '%']];
+
+    function unary() {
+        const token = peek();
+        if (token === '-') { next(); return -unary(); }
+        if (token === '+') { next(); return unary(); }
+        if (token === '~') { next(); return ~unary(); }
+        return power();
+    }
+
+    function power() {
+        const base = primary();
+        if (peek() === '**') {
+            next();
+            const exponent = unary();
+            if (exponent < 0n) throw new Error('negative exponent');
+            return base ** exponent;
+        }
+        return base;
+    }
+
+    function primary() {
+        const token = next();
+        if (token === undefined) throw new Error('unexpected end');
+        if (token === '(') {
+            const value = binary(0);
+            if (next() !== ')') throw new Error('unbalanced');
+            return value;
+        }
+        if (/^\d|^0[xbo]/.test(token)) return BigInt(token.replace(/_/g, ''));
+        if (/^[A-Za-z_]/.test(token)) {
+            const referenced = lookup(token);
+            const value = referenced === null || referenced === undefined ? null : evaluate(referenced, lookup, depth + 1);
+            if (value === null) throw new Error(`unknown ${token}`);
+            return value;
+        }
+        throw new Error(`unexpected ${token}`);
+    }
+
+    function binary(level) {
+        if (level === levels.length) return unary();
+        let left = binary(level + 1);
+        while (levels[level].includes(peek())) {
+            const operator = next();
+            const right = binary(level + 1);
+            switch (operator) {
+                case '|': left = left | right; break;
+                case '^': left = left ^ right; break;
+                case '&': left = left & right; break;
+                case '<<': left = left << right; break;
+                case '>>': left = left >> right; break;
+                case '+': left = left + right; break;
+                case '-': left = left - right; break;
+                case '*': left = left * right; break;
+                case '//':
+                case '%': {
+                    if (right === 0n) throw new Error('division by zero');
+                    // vyper rounds towards zero like BigInt
+                    left = operator === '//' ? left / right : left % right;
+                    break;
+                }
+            }
+        }
+        return left;
+    }
+
+    try {
+        const value = binary(0);
+        return position === tokens.length ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    evaluate
+};
@@ -1,92 +1,465 @@
 'use strict';
 /**
+ * @file deco.js
  * @author github.com/zknpr
  * @license MIT
  *
- * */
+ * Security augmented decorations.
+ *
+ * Highlights security relevant code with the rules below, extended or
+ * overridden by `vyper.decoration.rules`. A rule either matches a regular
+ * expression or selects declarations of the parsed model:
+ *
+ *     { "regex": "\\bunsafe_\\w+\\b", "style": "warning", "hoverMessage": "unchecked math" }
+ *     { "selector": "function[decorator=payable]", "style": { "color": "#ff9900" } }
+ *
+ * Selectors are a declaration kind (or `*`) followed by attribute filters
+ * `[attr]`, `[attr=value]`, `[attr^=prefix]`, `[attr$=suffix]`, `[attr*=part]`
+ * or `[attr~=regex]` on `name`, `visibility`, `mutability`, `type`,
+ * `decorator`, `public`, ... Regular expressions match within a single line,
+ * `^` and `$` are its start and end. They only see code by default
+ * (`"scope": "code"`), `"comments"` matches inside comments, `"all"` everywhere.
+ *
+ * Styles are the names of the built-in styles, colored by the theme colors
+ * `vyper.decoration.*`, or decoration render options.
+ *
+ * A rule may name the `lint` rules reporting the same finding. Its highlights
+ * are hidden where those are acknowledged (`# vyper-ex: disable-next-line`,
+ * `disable-file`) and in files `.vyperex.json` excludes, like the findings.
+ *
+ * All visible editors are decorated, after a short pause while typing or
+ * scrolling and only around their visible ranges. Regular expressions are
+ * matched line by line on the parsed model and the result is kept per line
+ * content, so an edit only re-runs the rules on the lines it changed.
+ */
+
 const vscode = require('vscode');
+const settings = require('../settings');
+const mod_symbols = require('./symbols');
+const mod_lint_config = require('./lint.config');
+const { suppressionsOf } = require('./lint');
 
-const styles = {
-    foreGroundOk: vscode.window.createTextEditorDecorationType({
-        dark: {
-            color: '#C0C0C0'
-        },
-        light: {
-            color: '#000000'
-        },
-        fontWeight: 'bold'
-    }),
-    foreGroundWarning: vscode.window.createTextEditorDecorationType({
-        dark: {
-            color: '#f56262'
-        },
-        light: {
-            color: '#d65353'
-        },
-        fontWeight: 'bold'
-    }),
-    foreGroundWarningUnderline: vscode.window.createTextEditorDecorationType({
-        dark: {
-            color: '#f56262'
-        },
-        light: {
-            color: '#d65353'
-        },
-        textDecoration: 'underline'
-    }),
-    foreGroundInfoUnderline: vscode.window.createTextEditorDecorationType({
-        dark: {
-            color: '#ffc570'
-        },
-        light: {
-            color: '#e4a13c'
-        },
-        textDecoration: 'underline'
-    }),
-    foreGroundNewEmit: vscode.window.createTextEditorDecorationType({
-        dark: {
-            color: '#fffffff5'
-        },
-        light: {
-            color: ''
-        },
-        fontWeight: '#c200b2ad'
-    }),
-    boldUnderline: vscode.window.createTextEditorDecorationType({
-        fontWeight: 'bold',
-        textDecoration: 'underline'
-    })
+const STYLES = {
+    ok: { color: new vscode.ThemeColor('vyper.decoration.ok'), fontWeight: 'bold' },
+    warning: { color: new vscode.ThemeColor('vyper.decoration.warning'), fontWeight: 'bold' },
+    warningUnderline: { color: new vscode.ThemeColor('vyper.decoration.warning'), textDecoration: 'underline' },
+    info: { color: new vscode.ThemeColor('vyper.decoration.info'), textDecoration: 'underline' },
+    event: { color: new vscode.ThemeColor('vyper.decoration.event'), fontWeight: 'bold' },
+    special: { fontWeight: 'bold', textDecoration: 'underline' }
 };
 
-async function decorateWords(editor, decorules, decoStyle) {
-    return new Promise(resolve => {
-        if (!editor) {
-            return;
+// render options accepted in a custom style, colors may be theme color ids
+const STYLE_PROPERTIES = ['color', 'backgroundColor', 'borderColor', 'outlineColor', 'overviewRulerColor',
+    'fontWeight', 'fontStyle', 'textDecoration', 'border', 'borderRadius', 'outline', 'opacity', 'cursor'];
+const COLOR_PROPERTIES = ['color', 'backgroundColor', 'borderColor', 'outlineColor', 'overviewRulerColor'];
+
+const DEFAULT_RULES = [
+    { id: 'mutating-decorator', regex: '^@\\b(public|modifying|nonpayable|payable|external|deploy)\\b', style: 'warning' },
+    {
+        id: 'low-level-call',
+        regex: '\\b(send|raw_call|selfdestruct|create_forwarder_to|create_minimal_proxy_to|create_copy_of|create_from_blueprint)\\b',
+        style: 'warning',
+        hoverMessage: '**potentially unsafe** lowlevel call',
+        lint: ['send', 'selfdestruct', 'unchecked-raw-call']
+    },
+    { id: 'external-call', regex: '\\b(extcall|staticcall)\\b', style: 'warning', lint: ['reentrancy'] },
+    {
+        id: 'environment',
+        regex: '\\b(\\.balance|msg\\.[\\w]+|block\\.[\\w]+)\\b',
+        style: 'info',
+        lint: ['tx-origin-auth', 'weak-randomness']
+    },
+    { id: 'safe-decorator', regex: '^@\\b(private|nonreentrant|constant|internal|view|pure|event)\\b', style: 'ok' },
+    { id: 'log', regex: '\\b(log)\\b\\s*\\.?\\s*\\w+\\s*\\(', captureGroup: 1, style: 'event' },
+    { id: 'clear', regex: '\\b(clear)\\b\\(', captureGroup: 1, style: 'event' },
+    { id: 'special-function', regex: '\\b(__init__|__default__)\\b', style: 'special' }
+];
+
+// pause after typing or scrolling before decorations are updated (ms)
+const DELAY = 100;
+// lines above and below the visible ranges that are decorated as well
+const VISIBLE_MARGIN = 50;
+
+// style key -> decoration type
+const decorationTypes = new Map();
+// document uri -> {rules, lines: Map<line content, highlights>}
+const lineCaches = new Map();
+// editors waiting for the debounce timer
+const pending = new Set();
+let timer = null;
+// patterns already reported as invalid
+const reported = new Set();
+let compiled = { key: null, rules: [] };
+
+function warnOnce(key, message) {
+    if (reported.has(key)) return;
+    reported.add(key);
+    vscode.window.showWarningMessage(message);
+}
+
+function renderOptions(style) {
+    const options = {};
+    STYLE_PROPERTIES.filter(property => style[property] !== undefined).forEach(property => {
+        const value = style[property];
+        options[property] = COLOR_PROPERTIES.includes(property) && /^[a-zA-Z][\w-]*(?:\.[\w-]+)+$/.test(value)
+            ? new vscode.ThemeColor(value)
+            : value;
+    });
+    return options;
+}
+
+/**
+ * Decoration type of a style name or custom style, created on first use.
+ */
+function decorationType(style) {
+    const key = typeof style === 'string' ? style : JSON.stringify(style);
+    if (!decorationTypes.has(key)) {
+        decorationTypes.set(key, vscode.window.createTextEditorDecorationType(
+            typeof style === 'string' ? STYLES[style] : renderOptions(style)
+        ));
+    }
+    return key;
+}
+
+/**
+ * Offset of the `]` closing the filter opened at `open`, -1 if it is not
+ * closed. Brackets nest so regular expressions may contain them.
+ */
+function filterEnd(selector, open) {
+    let depth = 0;
+    let quoted = false;
+    for (let index = open; index < selector.length; index++) {
+        const char = selector[index];
+        if (char === '\\') index += 1;
+        else if (char === '"') quoted = !quoted;
+        else if (quoted) continue;
+        else if (char === '[') depth += 1;
+        else if (char === ']' && --depth === 0) return index;
+    }
+    return -1;
+}
+
+/**
+ * `function[decorator=payable][name^=set]` -> `{kind, filters: [{attribute, operator, value}]}`
+ */
+function parseSelector(selector) {
+    const kind = /^\s*([\w*]+)/.exec(selector);
+    if (!kind) return null;
+    const filters = [];
+    let index = kind[0].length;
+    for (;;) {
+        while (/\s/.test(selector[index] || '')) index += 1;
+        if (index === selector.length) return { kind: kind[1], filters };
+        if (selector[index] !== '[') return null;
+        const close = filterEnd(selector, index);
+        const filter = close === -1 ? null : /^\s*(\w+)\s*(?:([\^$*~]?=)\s*("?)(.*?)\3)?\s*$/.exec(selector.slice(index + 1, close));
+        if (!filter) return null;
+        filters.push({ attribute: filter[1], operator: filter[2] || null, value: filter[4] });
+        index = close + 1;
+    }
+}
+
+function matchesValue(actual, operator, value) {
+    if (actual === undefined || actual === null || actual === false) return false;
+    if (!operator) return true;
+    const text = String(actual);
+    switch (operator) {
+        case '=': return text === value;
+        case '^=': return text.startsWith(value);
+        case '$=': return text.endsWith(value);
+        case '*=': return text.includes(value);
+        case '~=': return value.test(text);
+        default: return false;
+    }
+}
+
+function matchesSelector(symbol, selector) {
+    if (selector.kind !== '*' && symbol.kind !== selector.kind) return false;
+    return selector.filters.every(filter => {
+        if (filter.attribute === 'decorator') {
+            return (symbol.decorators || []).some(decorator => matchesValue(decorator.name, filter.operator || '=', filter.value || decorator.name));
         }
-        const decos = [];
-        const text = editor.document.getText();
-
-        decorules.forEach(function(rule) {
-            //var regEx = new RegExp("\\b" +word+"\\b" ,"g");
-            const regEx = new RegExp(rule.regex, 'gm');
-            let match;
-            while ((match = regEx.exec(text)) !== null) {
-                const startPos = editor.document.positionAt(match.index);
-                const endPos = editor.document.positionAt(match.index + match[rule.captureGroup].trim().length);
-                //endPos.line = startPos.line; //hacky force
-                const decoration = {
-                    range: new vscode.Range(startPos, endPos),
-                    hoverMessage: rule.hoverMessage
-                };
-                decos.push(decoration);
+        return matchesValue(symbol[filter.attribute], filter.operator, filter.value);
+    });
+}
+
+/**
+ * Built-in rules merged with `vyper.decoration.rules`: a rule with the id of
+ * a built-in one replaces it, `"enabled": false` switches it off.
+ */
+function compileRules(custom) {
+    const rules = DEFAULT_RULES.map(rule => Object.assign({}, rule));
+    (Array.isArray(custom) ? custom : []).forEach(rule => {
+        if (!rule || typeof rule !== 'object') return;
+        const index = rule.id ? rules.findIndex(candidate => candidate.id === rule.id) : -1;
+        if (index === -1) rules.push(Object.assign({}, rule));
+        else rules[index] = Object.assign({}, rules[index], rule);
+    });
+
+    return rules.filter(rule => rule.enabled !== false).map(rule => {
+        const name = rule.id || rule.regex || rule.selector;
+        let pattern = null;
+        let selector = null;
+        if (rule.selector) {
+            selector = parseSelector(rule.selector);
+            if (!selector) {
+                warnOnce(`selector:${rule.selector}`, `Ignoring decoration rule "${name}": invalid selector "${rule.selector}".`);
+                return null;
+            }
+            try {
+                selector.filters.filter(filter => filter.operator === '~=').forEach(filter => {
+                    filter.value = new RegExp(filter.value);
+                });
+            } catch (error) {
+                warnOnce(`selector:${rule.selector}`, `Ignoring decoration rule "${name}": ${error.message}`);
+                return null;
+            }
+        } else if (rule.regex) {
+            try {
+                pattern = new RegExp(rule.regex, 'g');
+            } catch (error) {
+                warnOnce(`regex:${rule.regex}`, `Ignoring decoration rule "${name}": ${error.message}`);
+                return null;
+            }
+        } else {
+            return null;
+        }
+        const style = typeof rule.style === 'string' && STYLES[rule.style] ? rule.style
+            : rule.style && typeof rule.style === 'object' ? rule.style : 'warning';
+        return {
+            id: rule.id || null,
+            pattern,
+            selector,
+            captureGroup: Number.isInteger(rule.captureGroup) ? rule.captureGroup : 0,
+            scope: ['code', 'comments', 'all'].includes(rule.scope) ? rule.scope : 'code',
+            hoverMessage: rule.hoverMessage ? new vscode.MarkdownString(rule.hoverMessage) : undefined,
+            lint: Array.isArray(rule.lint) ? rule.lint.filter(id => typeof id === 'string') : [],
+            style: decorationType(style)
+        };
+    }).filter(Boolean);
+}
+
+function activeRules(scope) {
+    const custom = settings.extensionConfig(scope).decoration.rules;
+    const key = JSON.stringify(custom || []);
+    if (compiled.key !== key) compiled = { key, rules: compileRules(custom) };
+    return compiled.rules;
+}
+
+/**
+ * Column of the comment on a line, -1 if there is none. Comments are blanked
+ * in the masked code, strings keep their delimiters.
+ */
+function commentColumn(line, code) {
+    for (let column = line.indexOf('#'); column !== -1; column = line.indexOf('#', column + 1)) {
+        if (code[column] === ' ') return column;
+    }
+    return -1;
+}
+
+/**
+ * Highlights of the regular expression rules on one line, `[rule, start, end]`
+ * in columns. Rules are matched line by line so unchanged lines can be reused.
+ */
+function lineHighlights(rules, line, code) {
+    const highlights = [];
+    const comment = commentColumn(line, code);
+    rules.forEach((rule, index) => {
+        if (!rule.pattern || (rule.scope === 'comments' && comment === -1)) return;
+        const source = rule.scope === 'code' ? code : line;
+        const pattern = rule.pattern;
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex += 1;
+                continue;
             }
+            const group = match[rule.captureGroup];
+            if (group === undefined) continue;
+            const start = match.index + Math.max(0, match[0].indexOf(group));
+            if (rule.scope === 'comments' && start < comment) continue;
+            highlights.push([index, start, start + group.trim().length]);
+        }
+    });
+    return highlights;
+}
+
+/**
+ * Ranges `[start, end]` of the declarations a selector rule highlights.
+ */
+function selectorRanges(model, rule) {
+    return model.declarations
+        .flatMap(declaration => [declaration].concat(declaration.members || []))
+        .filter(symbol => matchesSelector(symbol, rule.selector))
+        .map(symbol => {
+            const start = model.lineStarts[symbol.line] + symbol.column;
+            return [start, start + symbol.name.length];
         });
-        editor.setDecorations(decoStyle, decos);
-        resolve();
+}
+
+/**
+ * Highlights of a document by line content, shared by all editors showing it.
+ * Dropped when the rules change.
+ */
+function highlightCache(document, rules) {
+    const key = document.uri.toString();
+    let cache = lineCaches.get(key);
+    if (!cache || cache.rules !== rules) {
+        cache = { rules, lines: new Map() };
+        lineCaches.set(key, cache);
+    }
+    // edited lines leave stale entries behind
+    if (cache.lines.size > 2 * document.lineCount + 100) cache.lines.clear();
+    return cache.lines;
+}
+
+/**
+ * Lines shown in an editor, with some margin for scrolling.
+ */
+function visibleLines(editor) {
+    const ranges = editor.visibleRanges && editor.visibleRanges.length
+        ? editor.visibleRanges
+        : [new vscode.Range(0, 0, editor.document.lineCount, 0)];
+    return ranges.map(range => [
+        Math.max(0, range.start.line - VISIBLE_MARGIN),
+        Math.min(editor.document.lineCount - 1, range.end.line + VISIBLE_MARGIN)
+    ]);
+}
+
+/**
+ * Whether the highlights of `rule` on `line` are acknowledged like the
+ * findings of its lint rules, see lint.js.
+ */
+function isSuppressed(rule, line, suppressions, excluded) {
+    if (rule.lint.length === 0) return false;
+    if (excluded) return true;
+    return suppressions.some(suppression =>
+        (suppression.line === null || suppression.line === line) &&
+        (suppression.rules.length === 0 || suppression.rules.some(name => rule.lint.includes(name.name)))
+    );
+}
+
+/**
+ * Apply all decoration rules to the visible part of an editor.
+ * @param {vscode.TextEditor} editor
+ */
+async function decorate(editor) {
+    if (!editor || editor.document.languageId !== settings.LANGUAGE_ID) return;
+    const document = editor.document;
+    const { excluded } = await mod_lint_config.configFor(document.uri);
+    const model = mod_symbols.documentModel(document);
+    const suppressions = suppressionsOf(model);
+    const rules = activeRules(document.uri);
+    const cache = highlightCache(document, rules);
+    // every known style is set, styles no rule uses anymore get cleared
+    const byStyle = new Map(Array.from(decorationTypes.keys()).map(key => [key, []]));
+    const add = (rule, range) => {
+        if (isSuppressed(rule, range.start.line, suppressions, excluded)) return;
+        byStyle.get(rule.style).push({ range, hoverMessage: rule.hoverMessage });
+    };
+
+    const done = new Set();
+    visibleLines(editor).forEach(([first, last]) => {
+        for (let line = first; line <= last; line++) {
+            if (done.has(line)) continue;
+            done.add(line);
+            const start = model.lineStarts[line];
+            const end = line + 1 < model.lineStarts.length ? model.lineStarts[line + 1] : model.text.length;
+            const text = model.text.slice(start, end).replace(/\r?\n$/, '');
+            const code = model.code.slice(start, start + text.length);
+            const key = `${text}\u0000${code}`;
+            if (!cache.has(key)) cache.set(key, lineHighlights(rules, text, code));
+            cache.get(key).forEach(([index, from, to]) => add(rules[index], new vscode.Range(line, from, line, to)));
+        }
     });
+
+    rules.filter(rule => rule.selector).forEach(rule => {
+        selectorRanges(model, rule).forEach(([start, end]) => {
+            add(rule, new vscode.Range(document.positionAt(start), document.positionAt(end)));
+        });
+    });
+    byStyle.forEach((decorations, key) => editor.setDecorations(decorationTypes.get(key), decorations));
+}
+
+/**
+ * Remove all decorations of an editor.
+ */
+function clear(editor) {
+    if (!editor) return;
+    decorationTypes.forEach(type => editor.setDecorations(type, []));
+}
+
+function isVyperEditor(editor) {
+    return Boolean(editor) && editor.document.languageId === settings.LANGUAGE_ID;
+}
+
+function update(editor) {
+    if (settings.extensionConfig(editor.document.uri).decoration.enable) {
+        decorate(editor).catch(error => console.error('decorating failed:', error));
+    } else {
+        clear(editor);
+    }
+}
+
+/**
+ * Decorate `editors` after a pause, a newer request for an editor replaces
+ * the pending one.
+ */
+function schedule(editors) {
+    editors.filter(isVyperEditor).forEach(editor => pending.add(editor));
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+        timer = null;
+        const visible = vscode.window.visibleTextEditors;
+        const editorsToUpdate = Array.from(pending).filter(editor => visible.includes(editor));
+        pending.clear();
+        editorsToUpdate.forEach(update);
+    }, DELAY);
+}
+
+function updateVisible() {
+    vscode.window.visibleTextEditors.filter(isVyperEditor).forEach(update);
+}
+
+function dispose() {
+    decorationTypes.forEach(type => type.dispose());
+    decorationTypes.clear();
+    lineCaches.clear();
+    compiled = { key: null, rules: [] };
+}
+
+/**
+ * Decorate all visible Vyper editors and keep them up to date.
+ */
+function init(context) {
+    context.subscriptions.push(
+        vscode.window.onDidChangeVisibleTextEditors(editors => editors.filter(isVyperEditor).forEach(update)),
+        vscode.window.onDidChangeTextEditorVisibleRanges(event => schedule([event.textEditor])),
+        vscode.workspace.onDidChangeTextDocument(event => {
+            if (event.contentChanges.length === 0) return;
+            schedule(vscode.window.visibleTextEditors.filter(editor => editor.document === event.document));
+        }),
+        vscode.workspace.onDidCloseTextDocument(document => lineCaches.delete(document.uri.toString())),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (!event.affectsConfiguration('vyper.decoration')) return;
+            vscode.window.visibleTextEditors.forEach(clear);
+            dispose();
+            updateVisible();
+        }),
+        {
+            dispose: () => {
+                if (timer) clearTimeout(timer);
+                dispose();
+            }
+        }
+    );
+    updateVisible();
 }
 
 module.exports = {
-    decorateWords: decorateWords,
-    styles: styles
+    DEFAULT_RULES,
+    init,
+    decorate,
+    clear
 };
@@ -0,0 +1,76 @@
+'use strict';
+/**
+ * @file glob.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Minimal glob matcher for workspace relative paths.
+ * Supports `**`, `*`, `?`, `[...]` and `{a,b}` (not nested).
+ */
+
+const cache = new Map();
+
+/**
+ * Translate a glob into an anchored regular expression.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    if (cache.has(glob)) return cache.get(glob);
+
+    let source = '';
+    let inGroup = false;
+    for (let index = 0; index < glob.length; index++) {
+        const char = glob[index];
+        if (char === '*') {
+            if (glob[index + 1] === '*') {
+                // `**/` matches any number of directories (including none)
+                const slash = glob[index + 2] === '/';
+                source += slash ? '(?:.*/)?' : '.*';
+                index += slash ? 2 : 1;
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', index);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += '[' + glob.slice(index + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+                index = end;
+            }
+        } else if (char === '{') {
+            inGroup = true;
+            source += '(?:';
+        } else if (char === '}' && inGroup) {
+            inGroup = false;
+            source += ')';
+        } else if (char === ',' && inGroup) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+
+    const regex = new RegExp('^' + source + '$');
+    cache.set(glob, regex);
+    return regex;
+}
+
+/**
+ * Check a `/` separated, workspace relative path against one or more globs.
+ * @param {string} relativePath
+ * @param {string|string[]} globs
+ * @returns {boolean}
+ */
+function matchesGlob(relativePath, globs) {
+    const normalized = relativePath.replace(/\\/g, '/').replace(/^\.\//, '');
+    return [].concat(globs).some(glob => glob && globToRegExp(glob).test(normalized));
+}
+
+module.exports = {
+    globToRegExp,
+    matchesGlob
+};
@@ -3,87 +3,189 @@
  * @author github.com/zknpr
  * @license MIT
  *
+ * Hovers for user-defined symbols (declaration, type, constant value and
+ * NatSpec) and for builtins.
  * */
 const vscode = require('vscode');
 const settings = require('../../settings');
-const {BUILTINS} = require('./static.builtins');
+const mod_symbols = require('../symbols');
+const {lookup, targetVersion, declarationOf, documentationOf} = require('../builtins');
+const {parseNatspec} = require('../natspec');
+const {evaluate} = require('../constants');
 
+/**
+ * Hover of a builtin found by `builtins.lookup`, matching the target version of the file.
+ */
+function createBuiltinHover(found, version) {
+    const contents = new vscode.MarkdownString();
+    contents.appendCodeblock(declarationOf(found), 'vyper');
+    contents.appendMarkdown('\n' + documentationOf(found, version));
+    return new vscode.Hover(contents);
+}
 
-function createHover(name, snippet, _type) {
-    function isSet(val) {
-        return typeof val !== 'undefined' && val !== '';
-    }
-
-    const text = Array();
+function paramList(params) {
+    return params.map(param => `${param.name}: ${param.type}` + (param.default ? ` = ${param.default}` : '')).join(', ');
+}
 
-    if (isSet(snippet.instr_args) || isSet(snippet.instr_returns)) {
-        text.push('_asm_ :: __' + name + '__ (' + snippet.instr_args.join(', ') + ')' + (isSet(snippet.instr_returns) ? ' : ' + snippet.instr_returns.join(', ') : ''));
+/**
+ * The declaration, decorators included, as it is written in the source.
+ */
+function declarationText(symbol, model, parent) {
+    switch (symbol.kind) {
+        case 'function':
+            return symbol.decorators.map(decorator => `@${decorator.name}` + (decorator.args !== null ? `(${decorator.args})` : ''))
+                .concat([`def ${symbol.name}(${paramList(symbol.params)})` + (symbol.returns ? ` -> ${symbol.returns}` : '')])
+                .join('\n');
+        case 'method':
+            return `def ${symbol.name}(${paramList(symbol.params)})` + (symbol.returns ? ` -> ${symbol.returns}` : '') + `: ${symbol.mutability}`;
+        case 'variable':
+        case 'constant':
+        case 'immutable': {
+            let type = symbol.type;
+            if (symbol.kind !== 'variable') type = `${symbol.kind}(${type})`;
+            if (symbol.transient) type = `transient(${type})`;
+            if (symbol.public) type = `public(${type})`;
+            return `${symbol.name}: ${type}` + (symbol.value ? ` = ${symbol.value}` : '');
+        }
+        case 'event':
+        case 'struct':
+        case 'flag':
+        case 'interface': {
+            const members = symbol.members.map(member => {
+                if (member.kind === 'method') return `    ${declarationText(member)}`;
+                if (member.kind === 'member') return `    ${member.name}`;
+                return `    ${member.name}: ${member.indexed ? `indexed(${member.type})` : member.type}`;
+            });
+            return [`${symbol.kind} ${symbol.name}:`].concat(members.length ? members : ['    pass']).join('\n');
+        }
+        case 'field':
+            return `${symbol.name}: ${symbol.indexed ? `indexed(${symbol.type})` : symbol.type}` + (parent ? `  # ${parent.kind} ${parent.name}` : '');
+        case 'member':
+            return parent ? `${parent.name}.${symbol.name}` : symbol.name;
+        case 'parameter':
+        case 'local':
+            return `${symbol.name}: ${symbol.type}` + (symbol.default ? ` = ${symbol.default}` : '');
+        case 'import': {
+            const statement = symbol.statement;
+            const source = '.'.repeat(statement.level || 0) + (statement.module || '');
+            const imported = symbol.imported.alias ? `${symbol.imported.name} as ${symbol.imported.alias}` : symbol.imported.name;
+            return statement.kind === 'from' ? `from ${source} import ${imported}` : `import ${imported}`;
+        }
+        case 'module':
+            return `module ${symbol.name}`;
+        default:
+            return symbol.name;
     }
+}
 
-    if (text.length > 0) text.push('');
-    if (isSet(snippet.instr_gas)) {
-        text.push('__⟶__ gas (min): ' + snippet.instr_gas);
-    }
-    if (isSet(snippet.instr_fork)) {
-        text.push('__⟶__ since: ' + snippet.instr_fork);
+/**
+ * Declaration a member or parameter belongs to.
+ */
+function parentOf(model, symbol) {
+    for (const declaration of model.declarations) {
+        if ((declaration.members || []).includes(symbol) || (declaration.params || []).includes(symbol) || (declaration.locals || []).includes(symbol)) {
+            return declaration;
+        }
+        const method = (declaration.members || []).find(member => (member.params || []).includes(symbol));
+        if (method) return method;
     }
+    return null;
+}
 
-    if (text.length > 0) text.push('');
-    if (isSet(snippet.example)) {
-        text.push(snippet.example);
-    }
+function natspecMarkdown(docstring) {
+    const doc = parseNatspec(docstring);
+    const text = [];
+    if (doc.title) text.push(`**${doc.title}**`);
+    if (doc.notice) text.push(doc.notice);
+    if (doc.dev) text.push(`_@dev_ ${doc.dev}`);
+    const params = Object.keys(doc.params);
+    if (params.length) text.push(params.map(name => `_@param_ \`${name}\` — ${doc.params[name]}`).join('  \n'));
+    if (doc.returns.length) text.push(doc.returns.map(entry => `_@return_ ${entry}`).join('  \n'));
+    if (doc.author) text.push(`_@author_ ${doc.author}`);
+    return text.join('\n\n');
+}
 
-    if (text.length > 0) text.push('');
-    if (isSet(snippet.description)) {
-        const txt_descr = snippet.description instanceof Array ? snippet.description.join('\n* ') : snippet.description;
-        text.push('💡 ' + txt_descr);
-    }
+/**
+ * Hover of a resolved user-defined symbol.
+ * @param {{uri: vscode.Uri, symbol: object, module?: boolean}} resolved
+ * @param {vscode.Uri} origin - document the hover is shown in
+ * @param {function} [storageLocation] - where a state variable lives (see layout.js)
+ */
+async function createSymbolHover(resolved, origin, storageLocation) {
+    const symbol = resolved.symbol;
+    const model = await mod_symbols.fileModel(resolved.uri);
+    const parent = model ? parentOf(model, symbol) : null;
+
+    const contents = new vscode.MarkdownString();
+    contents.appendCodeblock(declarationText(symbol, model, parent), 'vyper');
 
-    if (text.length > 0) text.push('');
-    if (isSet(snippet.security)) {
-        text.push('');
-        const txt_security = snippet.security instanceof Array ? snippet.security.join('\n* ❗') : snippet.security;
-        text.push('* ❗ ' + txt_security);
+    if (symbol.kind === 'constant' && model) {
+        const lookup = name => {
+            const constant = mod_symbols.topLevel(model, name, ['constant']);
+            return constant ? constant.value : null;
+        };
+        const value = evaluate(symbol.value || '', lookup);
+        if (value !== null && value.toString() !== symbol.value.replace(/_/g, '')) {
+            contents.appendMarkdown(`\nvalue: \`${value.toString()}\`${value > 9n ? ` (\`0x${value.toString(16)}\`)` : ''}\n`);
+        }
     }
 
-    if (text.length > 0) text.push('');
-    if (isSet(snippet.reference)) {
-        text.push('🌎 [more...](' + snippet.reference + ')');
+    const location = storageLocation && model && !parent ? await storageLocation(resolved.uri, symbol, model.text) : null;
+    if (location) contents.appendMarkdown(`\n${location}\n`);
+
+    let docstring = null;
+    if (resolved.module) docstring = model && model.docstring ? model.docstring.value : null;
+    else if (symbol.docstring) docstring = symbol.docstring.value;
+    if (docstring) {
+        contents.appendMarkdown('\n' + natspecMarkdown(docstring) + '\n');
+    } else if (symbol.kind === 'parameter' && parent && parent.docstring) {
+        const description = parseNatspec(parent.docstring.value).params[symbol.name];
+        if (description) contents.appendMarkdown(`\n${description}\n`);
     }
 
-    //const commentCommandUri = vscode.Uri.parse(`command:editor.action.addCommentLine`);
-    //text.push("[Add comment](${commentCommandUri})")
-    const contents = new vscode.MarkdownString(text.join('  \n'));
-    contents.isTrusted = true;
+    if (resolved.uri.toString() !== origin.toString()) {
+        contents.appendMarkdown(`\n_${vscode.workspace.asRelativePath(resolved.uri)}_`);
+    }
     return new vscode.Hover(contents);
 }
 
-function provideHoverHandler(document, position, token, type) {
+async function provideHoverHandler(document, position, resolve, storageLocation) {
     if (!settings.extensionConfig().hover.enable) {
         return;
     }
-    const range = document.getWordRangeAtPosition(position, /(tx\.(?:gasprice|origin)|msg\.(?:data|sender|sig|value)|block\.(?:coinbase|difficulty|gaslimit|number|timestamp)|abi\.(?:encodePacked|encodeWithSelector|encodeWithSignature|decode|encode)|\.?[\w>]+)/);
-    if (!range || range.length <= 0)
-        return;
-    const word = document.getText(range);
 
-    //console.log(word);
-
-    for (const snippet in BUILTINS) {
-        if (
-            BUILTINS[snippet].prefix === word ||
-            BUILTINS[snippet].hover === word
-        ) {
-            return createHover(snippet, BUILTINS[snippet], type);
+    const model = mod_symbols.documentModel(document);
+    const identifier = mod_symbols.tokenAt(model, position.line, position.character);
+    if (identifier) {
+        const resolved = await resolve(document.uri, model, model.tokens.indexOf(identifier));
+        if (resolved) {
+            const hover = await createSymbolHover(resolved, document.uri, storageLocation);
+            hover.range = new vscode.Range(identifier.line, identifier.column, identifier.line, identifier.column + identifier.name.length);
+            return hover;
         }
     }
+
+    if (!identifier) return;
+    const decorator = model.code[identifier.offset - 1] === '@';
+    const found = lookup(identifier.name, identifier.qualifier, { decorator });
+    if (!found) return;
+    const hover = createBuiltinHover(found, targetVersion(model.text));
+    hover.range = new vscode.Range(identifier.line, identifier.column, identifier.line, identifier.column + identifier.name.length);
+    return hover;
 }
 
-function init(context, type) {
+/**
+ * @param {vscode.ExtensionContext} context
+ * @param {string} type - language id
+ * @param {{resolve?: function, storageLocation?: function}} [options] - resolver for imported symbols and
+ *        storage layout of compiled contracts (desktop only)
+ */
+function init(context, type, options = {}) {
+    const resolve = options.resolve || mod_symbols.resolveLocal;
     context.subscriptions.push(
         vscode.languages.registerHoverProvider(type, {
-            provideHover(document, position, token) {
-                return provideHoverHandler(document, position, token, type);
+            provideHover(document, position) {
+                return provideHoverHandler(document, position, resolve, options.storageLocation);
             }
         })
     );
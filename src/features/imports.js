@@ -0,0 +1,171 @@
+'use strict';
+/**
+ * @file imports.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Import statement parsing and module resolution.
+ *
+ *     import snekmate.auth.ownable as ow
+ *     from snekmate.tokens import erc20
+ *     from . import lib
+ *     from ethereum.ercs import IERC20
+ *
+ * Modules are looked up relative to the importing file (relative imports)
+ * or in the search paths of the file's compiler session (absolute imports).
+ * Also provides document links so that imported module names are clickable.
+ */
+
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+const mod_session = require('./compile.session');
+const { parseImports } = require('./parser');
+
+const MODULE_EXTENSIONS = ['.vy', '.vyi', '.json'];
+
+// interfaces shipped with the compiler, they have no file in the workspace
+const BUILTIN_NAMESPACES = ['ethereum.ercs', 'vyper.interfaces'];
+
+function findModuleFile(basePath) {
+    for (const extension of MODULE_EXTENSIONS) {
+        const candidate = basePath + extension;
+        if (fs.existsSync(candidate)) return candidate;
+    }
+    return null;
+}
+
+/**
+ * Resolve a dotted module name to a file.
+ * @param {string} sourcePath - importing file
+ * @param {string} moduleName - e.g. `snekmate.auth.ownable`
+ * @param {number} level - number of leading dots of a relative import
+ * @param {string[]} searchPaths
+ * @returns {?{fsPath: string}|{builtin: string}}
+ */
+function resolveModule(sourcePath, moduleName, level, searchPaths) {
+    if (level === 0 && BUILTIN_NAMESPACES.some(ns => moduleName === ns || moduleName.startsWith(ns + '.'))) {
+        return { builtin: moduleName };
+    }
+
+    const relativePath = moduleName.split('.').filter(Boolean).join(path.sep);
+    let roots;
+    if (level > 0) {
+        let base = path.dirname(sourcePath);
+        for (let up = 1; up < level; up++) base = path.dirname(base);
+        roots = [base];
+    } else {
+        roots = searchPaths.concat([path.dirname(sourcePath)]);
+    }
+
+    for (const root of roots) {
+        const found = findModuleFile(path.join(root, relativePath));
+        if (found) return { fsPath: found };
+    }
+    return null;
+}
+
+/**
+ * Resolve what a single imported name refers to.
+ * `from a.b import c` is either the module `a/b/c.vy` or the member `c` of `a/b.vy`.
+ * @returns {?{fsPath: string, member: ?string}|{builtin: string}}
+ */
+function resolveImportedName(sourcePath, statement, importedName, searchPaths) {
+    if (statement.kind === 'import') {
+        const target = resolveModule(sourcePath, statement.module, 0, searchPaths);
+        return target && target.fsPath ? { fsPath: target.fsPath, member: null } : target;
+    }
+
+    const qualified = statement.module ? `${statement.module}.${importedName.name}` : importedName.name;
+    const asModule = resolveModule(sourcePath, qualified, statement.level, searchPaths);
+    if (asModule && asModule.fsPath) return { fsPath: asModule.fsPath, member: null };
+    if (asModule && asModule.builtin) return asModule;
+    if (!statement.module) return null;
+
+    const parent = resolveModule(sourcePath, statement.module, statement.level, searchPaths);
+    if (parent && parent.fsPath) return { fsPath: parent.fsPath, member: importedName.name };
+    return parent;
+}
+
+/**
+ * Search paths used to resolve the imports of `uri`.
+ */
+function searchPathsFor(uri) {
+    return mod_session.sessionFor(uri.fsPath).searchPaths;
+}
+
+/**
+ * Resolve the local name `binding` (e.g. `ow` of `import snekmate.auth.ownable as ow`)
+ * in the document to the file it refers to.
+ * @param {vscode.TextDocument} document
+ * @param {string} binding
+ * @returns {?{fsPath: string, member: ?string}|{builtin: string}}
+ */
+function resolveBinding(document, binding) {
+    for (const statement of parseImports(document.getText())) {
+        const importedName = statement.names.find(name => name.binding === binding);
+        if (importedName) {
+            return resolveImportedName(document.uri.fsPath, statement, importedName, searchPathsFor(document.uri));
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve the import statement at `position`.
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @returns {?{statement: object, name: object, target: ?object}}
+ */
+function resolveImportAt(document, position) {
+    const statements = parseImports(document.getText());
+    for (const statement of statements) {
+        const name = statement.names.find(candidate =>
+            candidate.line === position.line &&
+            position.character >= candidate.column &&
+            position.character <= candidate.column + candidate.name.length
+        ) || (statement.line === position.line ? statement.names[0] : null);
+        if (!name) continue;
+
+        return {
+            statement,
+            name,
+            target: resolveImportedName(document.uri.fsPath, statement, name, searchPathsFor(document.uri))
+        };
+    }
+    return null;
+}
+
+class VyperImportLinkProvider {
+    provideDocumentLinks(document) {
+        const searchPaths = searchPathsFor(document.uri);
+        const links = [];
+        parseImports(document.getText()).forEach(statement => {
+            statement.names.forEach(name => {
+                const target = resolveImportedName(document.uri.fsPath, statement, name, searchPaths);
+                if (!target || !target.fsPath) return;
+                const range = new vscode.Range(name.line, name.column, name.line, name.column + name.name.length);
+                const link = new vscode.DocumentLink(range, vscode.Uri.file(target.fsPath));
+                link.tooltip = target.member ? `${target.member} in ${target.fsPath}` : target.fsPath;
+                links.push(link);
+            });
+        });
+        return links;
+    }
+}
+
+function init(context, type) {
+    context.subscriptions.push(
+        vscode.languages.registerDocumentLinkProvider({ language: type, scheme: 'file' }, new VyperImportLinkProvider())
+    );
+}
+
+module.exports = {
+    init,
+    parseImports,
+    resolveModule,
+    resolveImportedName,
+    resolveBinding,
+    resolveImportAt,
+    searchPathsFor
+};
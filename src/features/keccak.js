@@ -0,0 +1,118 @@
+'use strict';
+/**
+ * @file keccak.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Keccak-256 as used by Ethereum (the original padding, not SHA3-256).
+ *
+ * Plain javascript on 32 bit words so it runs in the web extension too. The
+ * 64 bit lanes of the state are stored as pairs of (low, high) words.
+ */
+
+const RATE = 136; // bytes, 1088 bits for a 256 bit output
+
+// round constants as (low, high) words
+const ROUND_CONSTANTS = [
+    0x00000001, 0x00000000, 0x00008082, 0x00000000, 0x0000808a, 0x80000000, 0x80008000, 0x80000000,
+    0x0000808b, 0x00000000, 0x80000001, 0x00000000, 0x80008081, 0x80000000, 0x00008009, 0x80000000,
+    0x0000008a, 0x00000000, 0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000a, 0x00000000,
+    0x8000808b, 0x00000000, 0x0000008b, 0x80000000, 0x00008089, 0x80000000, 0x00008003, 0x80000000,
+    0x00008002, 0x80000000, 0x00000080, 0x80000000, 0x0000800a, 0x00000000, 0x8000000a, 0x80000000,
+    0x80008081, 0x80000000, 0x00008080, 0x80000000, 0x80000001, 0x00000000, 0x80008008, 0x80000000
+];
+
+// rotation offsets and target lane of the rho and pi steps, in pi order
+const ROTATIONS = [1, 3, 6, 10, 15, 21, 28, 36, 45, 55, 2, 14, 27, 41, 56, 8, 25, 43, 62, 18, 39, 61, 20, 44];
+const PI_LANES = [10, 7, 11, 17, 18, 3, 5, 16, 8, 21, 24, 4, 15, 23, 19, 13, 12, 2, 20, 14, 22, 9, 6, 1];
+
+/**
+ * Keccak-f[1600] on `state` (50 words).
+ */
+function permute(state) {
+    const c = new Uint32Array(10);
+    for (let round = 0; round < 24; round++) {
+        // theta
+        for (let x = 0; x < 5; x++) {
+            c[2 * x] = state[2 * x] ^ state[2 * x + 10] ^ state[2 * x + 20] ^ state[2 * x + 30] ^ state[2 * x + 40];
+            c[2 * x + 1] = state[2 * x + 1] ^ state[2 * x + 11] ^ state[2 * x + 21] ^ state[2 * x + 31] ^ state[2 * x + 41];
+        }
+        for (let x = 0; x < 5; x++) {
+            const next = ((x + 1) % 5) * 2;
+            const low = c[((x + 4) % 5) * 2] ^ ((c[next] << 1) | (c[next + 1] >>> 31));
+            const high = c[((x + 4) % 5) * 2 + 1] ^ ((c[next + 1] << 1) | (c[next] >>> 31));
+            for (let y = 0; y < 25; y += 5) {
+                state[2 * (y + x)] ^= low;
+                state[2 * (y + x) + 1] ^= high;
+            }
+        }
+
+        // rho and pi
+        let low = state[2];
+        let high = state[3];
+        for (let index = 0; index < 24; index++) {
+            const lane = PI_LANES[index];
+            const shift = ROTATIONS[index];
+            const nextLow = state[2 * lane];
+            const nextHigh = state[2 * lane + 1];
+            if (shift < 32) {
+                state[2 * lane] = (low << shift) | (high >>> (32 - shift));
+                state[2 * lane + 1] = (high << shift) | (low >>> (32 - shift));
+            } else {
+                state[2 * lane] = (high << (shift - 32)) | (low >>> (64 - shift));
+                state[2 * lane + 1] = (low << (shift - 32)) | (high >>> (64 - shift));
+            }
+            low = nextLow;
+            high = nextHigh;
+        }
+
+        // chi
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 10; x++) c[x] = state[2 * y + x];
+            for (let x = 0; x < 5; x++) {
+                const one = ((x + 1) % 5) * 2;
+                const two = ((x + 2) % 5) * 2;
+                state[2 * (y + x)] = c[2 * x] ^ (~c[one] & c[two]);
+                state[2 * (y + x) + 1] = c[2 * x + 1] ^ (~c[one + 1] & c[two + 1]);
+            }
+        }
+
+        // iota
+        state[0] ^= ROUND_CONSTANTS[2 * round];
+        state[1] ^= ROUND_CONSTANTS[2 * round + 1];
+    }
+}
+
+/**
+ * @param {string|Uint8Array} input - strings are hashed as UTF-8
+ * @returns {string} hex digest without `0x`
+ */
+function keccak256(input) {
+    const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    const blocks = Math.floor(bytes.length / RATE) + 1;
+    const padded = new Uint8Array(blocks * RATE);
+    padded.set(bytes);
+    padded[bytes.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    const state = new Uint32Array(50);
+    for (let block = 0; block < blocks; block++) {
+        for (let word = 0; word < RATE / 4; word++) {
+            const offset = block * RATE + word * 4;
+            state[word] ^= padded[offset] | (padded[offset + 1] << 8) | (padded[offset + 2] << 16) | (padded[offset + 3] << 24);
+        }
+        permute(state);
+    }
+
+    let hex = '';
+    for (let word = 0; word < 8; word++) {
+        for (let byte = 0; byte < 4; byte++) {
+            hex += ((state[word] >>> (8 * byte)) & 0xff).toString(16).padStart(2, '0');
+        }
+    }
+    return hex;
+}
+
+module.exports = {
+    keccak256
+};
@@ -0,0 +1,246 @@
+'use strict';
+/**
+ * @file layout.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Storage layout of the contract in the active editor, from `vyper -f layout`:
+ * a tree view (explorer) with the storage, transient storage and immutable
+ * (code) variables with their slot or offset and size, and the slot of a
+ * variable for hovers (see hover.js).
+ *
+ * While the view is visible, the layout of the contract it shows is reloaded
+ * after every compile from disk (save, `Vyper: Compile`). That is a separate
+ * compiler run since modules that are only imported have no layout, layouts
+ * of other contracts are loaded when the view shows them or a hover needs
+ * them, reusing the outputs of their last compile.
+ */
+
+const vscode = require('vscode');
+const path = require('path');
+const settings = require('../settings');
+const mod_compile = require('./compile.js');
+const mod_symbols = require('./symbols');
+
+const VIEW_ID = 'vyper.storageLayout';
+const REFRESH_COMMAND = 'vyper.refreshStorageLayout';
+const REVEAL_COMMAND = 'vyper.revealStorageVariable';
+
+const SECTIONS = [
+    { location: 'storage', key: 'storage_layout', label: 'Storage' },
+    { location: 'transient', key: 'transient_storage_layout', label: 'Transient storage' },
+    { location: 'code', key: 'code_layout', label: 'Immutables' }
+];
+
+// source uri -> Promise<{text, sections: Array<{location, label, entries}>, error: ?string}>
+const layouts = new Map();
+// source uris compiled since their layout was loaded
+const outdated = new Set();
+// source uri -> the last compilation of it, see `compileOutputs`
+const compilations = new Map();
+const changeEmitter = new vscode.EventEmitter();
+
+/**
+ * Variables of one section of the layout, modules (0.4) are entries with children.
+ * @returns {Array<{name: string, location: string, type?: string, slot?: number, slots?: number,
+ *           offset?: number, length?: number, children?: Array}>}
+ */
+function entriesOf(variables, location) {
+    return Object.entries(variables || {}).map(([name, value]) => {
+        if (!value || typeof value !== 'object') return null;
+        if (typeof value.type !== 'string') return { name, location, children: entriesOf(value, location) };
+        return {
+            name,
+            location,
+            type: value.type,
+            slot: value.slot,
+            slots: value.n_slots,
+            offset: value.offset,
+            length: value.length !== undefined ? value.length : value.size
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Before 0.3.10 the output is the storage layout itself, later versions split
+ * it into `storage_layout`, `transient_storage_layout` and `code_layout`.
+ */
+function parseLayout(output) {
+    const json = JSON.parse(output);
+    const split = SECTIONS.some(section => section.key in json);
+    return SECTIONS
+        .map(section => ({
+            location: section.location,
+            label: section.label,
+            entries: entriesOf(split ? json[section.key] : section.location === 'storage' ? json : {}, section.location)
+        }))
+        .filter(section => section.entries.length > 0);
+}
+
+async function compileLayout(uri, compiled) {
+    const text = await mod_symbols.readText(uri);
+    try {
+        const { outputs, errors } = await mod_compile.compileOutputs(uri.fsPath, ['layout'], compiled);
+        if (!('layout' in outputs)) {
+            const message = (errors.layout || 'no layout').split(/\r?\n/).find(line => line.trim() !== '');
+            return { text, sections: [], error: message };
+        }
+        return { text, sections: parseLayout(outputs.layout), error: null };
+    } catch (error) {
+        return { text, sections: [], error: (error.stderr || error.message).split(/\r?\n/)[0] };
+    }
+}
+
+/**
+ * @param {object} [compiled] - the compilation that fired `onDidCompile`, see `compileOutputs`
+ */
+function load(uri, compiled = compilations.get(uri.toString())) {
+    const layout = compileLayout(uri, compiled);
+    layouts.set(uri.toString(), layout);
+    outdated.delete(uri.toString());
+    compilations.delete(uri.toString());
+    // the root of the tree changes, the view asks for the sections again
+    layout.then(() => changeEmitter.fire());
+    return layout;
+}
+
+/**
+ * `slot 3`, `slots 3-4` or `offset 64`.
+ */
+function position(entry) {
+    if (entry.location === 'code') return `offset ${entry.offset}`;
+    return entry.slots > 1 ? `slots ${entry.slot}-${entry.slot + entry.slots - 1}` : `slot ${entry.slot}`;
+}
+
+function size(entry) {
+    if (entry.location === 'code') return entry.length !== undefined ? `${entry.length} bytes` : '';
+    return entry.slots !== undefined ? `${entry.slots} slot${entry.slots === 1 ? '' : 's'}` : '';
+}
+
+/**
+ * Where a storage variable or immutable declared in `uri` lives, as markdown
+ * for hovers. Loads the layout of `uri` if there is none or it is outdated,
+ * null if the compiler reports none.
+ * @param {string} text - current source of `uri`, the layout may be older
+ * @returns {Promise<?string>}
+ */
+async function storageLocation(uri, symbol, text) {
+    if (!['variable', 'immutable'].includes(symbol.kind) || uri.scheme !== 'file') return null;
+    if (!layouts.has(uri.toString()) || outdated.has(uri.toString())) load(uri);
+    const layout = await layouts.get(uri.toString());
+    const location = symbol.kind === 'immutable' ? 'code' : symbol.transient ? 'transient' : 'storage';
+    const section = layout.sections.find(candidate => candidate.location === location);
+    const entry = section && section.entries.find(candidate => candidate.name === symbol.name && !candidate.children);
+    if (!entry) return null;
+
+    const label = { storage: 'storage', transient: 'transient storage', code: 'immutable, code' }[location];
+    const details = [size(entry)].concat(layout.text === text ? [] : ['as of the last compile']).filter(Boolean);
+    return `${label} ${position(entry).replace(/\d+/g, '`$&`')}${details.length ? ` (${details.join(', ')})` : ''}`;
+}
+
+class LayoutTreeProvider {
+    constructor() {
+        this.onDidChangeTreeData = changeEmitter.event;
+        this.view = null;
+    }
+
+    activeUri() {
+        const document = vscode.window.activeTextEditor?.document;
+        return document && document.languageId === settings.LANGUAGE_ID && path.extname(document.uri.fsPath) === '.vy' ? document.uri : null;
+    }
+
+    async getChildren(element) {
+        if (element) {
+            // variables of modules are declared in the module, not in the contract
+            const nested = Boolean(element.children || element.nested);
+            return (element.children || element.entries || []).map(entry => Object.assign({ uri: element.uri, nested }, entry));
+        }
+        const uri = this.activeUri();
+        if (!uri) {
+            this.setMessage('Open a vyper contract to see its storage layout.');
+            return [];
+        }
+        if (!layouts.has(uri.toString()) || outdated.has(uri.toString())) load(uri);
+        const layout = await layouts.get(uri.toString());
+        if (layout.error) this.setMessage(`No storage layout: ${layout.error}`);
+        else this.setMessage(layout.sections.length ? undefined : `${path.basename(uri.fsPath)} has no state variables.`);
+        return layout.sections.map(section => Object.assign({ uri }, section));
+    }
+
+    getTreeItem(element) {
+        if (element.entries) {
+            const item = new vscode.TreeItem(element.label, vscode.TreeItemCollapsibleState.Expanded);
+            item.description = `${element.entries.length}`;
+            return item;
+        }
+        if (element.children) {
+            const item = new vscode.TreeItem(element.name, vscode.TreeItemCollapsibleState.Collapsed);
+            item.description = 'module';
+            item.iconPath = new vscode.ThemeIcon('symbol-module');
+            return item;
+        }
+        const item = new vscode.TreeItem(element.name, vscode.TreeItemCollapsibleState.None);
+        item.description = `${position(element)} · ${element.type}`;
+        item.tooltip = [element.type, position(element), size(element)].filter(Boolean).join('\n');
+        item.iconPath = new vscode.ThemeIcon(element.location === 'code' ? 'symbol-constant' : 'symbol-field');
+        if (!element.nested) {
+            item.command = { title: 'Go to Declaration', command: REVEAL_COMMAND, arguments: [element.uri, element.name] };
+        }
+        return item;
+    }
+
+    setMessage(message) {
+        if (this.view) this.view.message = message;
+    }
+}
+
+/**
+ * Reveal the declaration of the variable `name` of a contract.
+ */
+async function revealVariable(uri, name) {
+    const document = await vscode.workspace.openTextDocument(uri);
+    const declaration = mod_symbols.topLevel(mod_symbols.documentModel(document), name, ['variable', 'immutable']);
+    if (declaration) await vscode.window.showTextDocument(document, { selection: mod_symbols.toRange(declaration) });
+}
+
+function init(context) {
+    const provider = new LayoutTreeProvider();
+    const view = vscode.window.createTreeView(VIEW_ID, { treeDataProvider: provider });
+    provider.view = view;
+    vscode.commands.executeCommand('setContext', `${VIEW_ID}.enabled`, true);
+
+    context.subscriptions.push(
+        view,
+        changeEmitter,
+        vscode.commands.registerCommand(REVEAL_COMMAND, revealVariable),
+        vscode.commands.registerCommand(REFRESH_COMMAND, () => {
+            const uri = provider.activeUri();
+            if (uri) load(uri);
+        }),
+        vscode.window.onDidChangeActiveTextEditor(() => {
+            if (view.visible) changeEmitter.fire();
+        }),
+        view.onDidChangeVisibility(({ visible }) => {
+            if (visible) changeEmitter.fire();
+        }),
+        mod_compile.onDidCompile(({ uri, contract }) => {
+            const shown = provider.activeUri();
+            if (view.visible && shown && shown.toString() === uri.toString()) {
+                load(uri, contract);
+            } else {
+                compilations.set(uri.toString(), contract);
+                outdated.add(uri.toString());
+            }
+        }),
+        vscode.workspace.onDidCloseTextDocument(document => {
+            layouts.delete(document.uri.toString());
+            outdated.delete(document.uri.toString());
+            compilations.delete(document.uri.toString());
+        })
+    );
+}
+
+module.exports = {
+    init,
+    storageLocation
+};
@@ -0,0 +1,86 @@
+'use strict';
+/**
+ * @file lint.config.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Project configuration of the security linter, read from `.vyperex.json`
+ * in the root of a workspace folder:
+ *
+ *     {
+ *         "rules": { "send": "off", "reentrancy": "error" },
+ *         "exclude": ["test/**", "lib/**"]
+ *     }
+ *
+ * `rules` take precedence over `vyper.lint.rules`, `exclude` globs are
+ * relative to the workspace folder.
+ */
+
+const vscode = require('vscode');
+const { matchesGlob } = require('./glob');
+
+const CONFIG_FILE = '.vyperex.json';
+const EMPTY = { rules: {}, exclude: [] };
+
+// workspace folder uri -> Promise<{rules, exclude}>
+const configs = new Map();
+
+async function readConfig(folder) {
+    const uri = vscode.Uri.joinPath(folder.uri, CONFIG_FILE);
+    let text;
+    try {
+        text = new TextDecoder().decode(await vscode.workspace.fs.readFile(uri));
+    } catch {
+        return EMPTY;
+    }
+    try {
+        const json = JSON.parse(text);
+        return {
+            rules: json.rules && typeof json.rules === 'object' ? json.rules : {},
+            exclude: [].concat(json.exclude || []).filter(glob => typeof glob === 'string')
+        };
+    } catch (error) {
+        vscode.window.showWarningMessage(`Ignoring ${vscode.workspace.asRelativePath(uri)}: ${error.message}`);
+        return EMPTY;
+    }
+}
+
+/**
+ * Configuration applying to `uri`.
+ * @returns {Promise<{rules: Object<string, string>, excluded: boolean}>}
+ */
+async function configFor(uri) {
+    const folder = vscode.workspace.getWorkspaceFolder(uri);
+    if (!folder) return { rules: {}, excluded: false };
+
+    const key = folder.uri.toString();
+    if (!configs.has(key)) configs.set(key, readConfig(folder));
+    const config = await configs.get(key);
+
+    const relativePath = uri.path.slice(folder.uri.path.replace(/\/$/, '').length + 1);
+    return { rules: config.rules, excluded: matchesGlob(relativePath, config.exclude) };
+}
+
+/**
+ * @param {function(): void} onDidChange - called when a configuration file changed
+ */
+function init(context, onDidChange) {
+    const watcher = vscode.workspace.createFileSystemWatcher(`**/${CONFIG_FILE}`);
+    const changed = () => {
+        configs.clear();
+        onDidChange();
+    };
+    context.subscriptions.push(
+        watcher,
+        watcher.onDidCreate(changed),
+        watcher.onDidChange(changed),
+        watcher.onDidDelete(changed),
+        vscode.workspace.onDidChangeWorkspaceFolders(changed)
+    );
+}
+
+module.exports = {
+    CONFIG_FILE,
+    init,
+    configFor
+};
@@ -0,0 +1,224 @@
+'use strict';
+/**
+ * @file lint.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Security linter.
+ *
+ * Runs the rules of `lint.rules.js` on open Vyper documents while typing and
+ * reports their findings as diagnostics with the rule id as code. Rules can
+ * be switched off or given another severity with `vyper.lint.rules` or the
+ * project configuration (see lint.config.js).
+ *
+ * Findings are acknowledged with comments:
+ *
+ *     # vyper-ex: disable-next-line send, reentrancy
+ *     # vyper-ex: disable-file weak-randomness
+ *
+ * Without rule ids all rules are disabled. Suppressions that do not
+ * suppress anything are reported as `unused-suppression`.
+ */
+
+const vscode = require('vscode');
+const settings = require('../settings');
+const mod_symbols = require('./symbols');
+const mod_lint_config = require('./lint.config');
+const { RULES, SEVERITIES } = require('./lint.rules');
+
+const SOURCE = 'vyper-ex';
+const UNUSED_SUPPRESSION = 'unused-suppression';
+const DIRECTIVE = /^(\s*vyper-ex:\s*)(disable-next-line|disable-file)\b(.*)$/;
+const DELAY = 300;
+
+const SEVERITY = {
+    error: vscode.DiagnosticSeverity.Error,
+    warning: vscode.DiagnosticSeverity.Warning,
+    information: vscode.DiagnosticSeverity.Information,
+    hint: vscode.DiagnosticSeverity.Hint
+};
+
+/** Documents on disk or not yet saved, not diff views, git revisions or artifacts. */
+const SCHEMES = ['file', 'untitled'];
+
+let collection;
+let languageId;
+const timers = new Map();
+
+/**
+ * Findings of all enabled rules.
+ * @param {object} model - parsed model (see parser.js)
+ * @param {Object<string, string>} [overrides] - rule id -> severity or `'off'`
+ * @returns {Array<{rule: string, severity: string, start: number, end: number, message: string, related?: Array, data?: object}>}
+ */
+function lintModel(model, overrides = {}) {
+    const findings = [];
+    RULES.forEach(rule => {
+        const severity = overrides[rule.id] || rule.severity;
+        if (!SEVERITIES.includes(severity)) return;
+        try {
+            rule.check(model).forEach(finding => findings.push(Object.assign({ rule: rule.id, severity }, finding)));
+        } catch (error) {
+            console.error(`lint rule ${rule.id} failed:`, error);
+        }
+    });
+    return findings.sort((a, b) => a.start - b.start);
+}
+
+function lineOf(model, offset) {
+    let low = 0;
+    let high = model.lineStarts.length - 1;
+    while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (model.lineStarts[middle] <= offset) low = middle;
+        else high = middle - 1;
+    }
+    return low;
+}
+
+/**
+ * `# vyper-ex: disable-...` comments with the line they apply to (null for the whole file).
+ */
+function suppressionsOf(model) {
+    const suppressions = [];
+    model.comments.forEach(comment => {
+        const match = DIRECTIVE.exec(comment.value);
+        if (!match) return;
+        const rulesStart = comment.start + 1 + match[1].length + match[2].length;
+        const rules = [];
+        const pattern = /[\w-]+/g;
+        let name;
+        while ((name = pattern.exec(match[3])) !== null) {
+            rules.push({ name: name[0], start: rulesStart + name.index, end: rulesStart + name.index + name[0].length, used: false });
+        }
+        suppressions.push({
+            line: match[2] === 'disable-file' ? null : lineOf(model, comment.start) + 1,
+            start: comment.start,
+            end: comment.end,
+            rules,
+            used: false
+        });
+    });
+    return suppressions;
+}
+
+/**
+ * Drop suppressed findings and add findings for suppressions without effect.
+ * @param {Object<string, string>} overrides - rule id -> severity or `'off'`
+ */
+function applySuppressions(model, findings, overrides = {}) {
+    const suppressions = suppressionsOf(model);
+    const kept = findings.filter(finding => {
+        const line = lineOf(model, finding.start);
+        let suppressed = false;
+        suppressions
+            .filter(suppression => suppression.line === null || suppression.line === line)
+            .forEach(suppression => {
+                if (suppression.rules.length === 0) {
+                    suppression.used = true;
+                    suppressed = true;
+                }
+                suppression.rules.filter(rule => rule.name === finding.rule).forEach(rule => {
+                    rule.used = true;
+                    suppressed = true;
+                });
+            });
+        return !suppressed;
+    });
+
+    const severity = overrides[UNUSED_SUPPRESSION] || 'information';
+    if (!SEVERITIES.includes(severity)) return kept;
+    const unused = (start, end, message) => ({ rule: UNUSED_SUPPRESSION, severity, start, end, message });
+    suppressions.forEach(suppression => {
+        if (suppression.rules.length === 0 && !suppression.used) {
+            kept.push(unused(suppression.start, suppression.end, 'This suppression does not suppress any finding.'));
+        }
+        suppression.rules.filter(rule => !rule.used).forEach(rule => {
+            const known = RULES.find(candidate => candidate.id === rule.name);
+            if (!known) {
+                kept.push(unused(rule.start, rule.end, `Unknown lint rule \`${rule.name}\`.`));
+            } else if (SEVERITIES.includes(overrides[rule.name] || known.severity)) {
+                kept.push(unused(rule.start, rule.end, `\`${rule.name}\` reports nothing here, the suppression is unused.`));
+            }
+        });
+    });
+    return kept.sort((a, b) => a.start - b.start);
+}
+
+function toDiagnostic(document, finding) {
+    const range = new vscode.Range(document.positionAt(finding.start), document.positionAt(finding.end));
+    const diagnostic = new vscode.Diagnostic(range, finding.message, SEVERITY[finding.severity]);
+    diagnostic.code = finding.rule;
+    diagnostic.source = SOURCE;
+    if (finding.rule === UNUSED_SUPPRESSION) diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+    diagnostic.relatedInformation = (finding.related || []).map(related => new vscode.DiagnosticRelatedInformation(
+        new vscode.Location(document.uri, new vscode.Range(document.positionAt(related.start), document.positionAt(related.end))),
+        related.message
+    ));
+    return diagnostic;
+}
+
+async function lintDocument(document) {
+    if (!collection || document.languageId !== languageId || !SCHEMES.includes(document.uri.scheme)) return;
+    const config = settings.extensionConfig(document.uri);
+    const project = await mod_lint_config.configFor(document.uri);
+    if (!config.lint.enable || project.excluded || document.isClosed) {
+        collection.delete(document.uri);
+        return;
+    }
+    const overrides = Object.assign({}, config.lint.rules, project.rules);
+    const model = mod_symbols.documentModel(document);
+    const findings = applySuppressions(model, lintModel(model, overrides), overrides);
+    collection.set(document.uri, findings.map(finding => toDiagnostic(document, finding)));
+}
+
+function lintAll() {
+    vscode.workspace.textDocuments.forEach(lintDocument);
+}
+
+function cancel(document) {
+    const key = document.uri.toString();
+    if (timers.has(key)) {
+        clearTimeout(timers.get(key));
+        timers.delete(key);
+    }
+}
+
+function scheduleLint(document) {
+    cancel(document);
+    timers.set(document.uri.toString(), setTimeout(() => {
+        timers.delete(document.uri.toString());
+        if (!document.isClosed) lintDocument(document);
+    }, DELAY));
+}
+
+function init(context, type) {
+    languageId = type;
+    collection = vscode.languages.createDiagnosticCollection('Vyper Security');
+    context.subscriptions.push(
+        collection,
+        vscode.workspace.onDidOpenTextDocument(lintDocument),
+        vscode.workspace.onDidChangeTextDocument(event => {
+            if (event.document.languageId === type) scheduleLint(event.document);
+        }),
+        vscode.workspace.onDidCloseTextDocument(document => {
+            cancel(document);
+            collection.delete(document.uri);
+        }),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('vyper.lint')) lintAll();
+        }),
+        { dispose: () => timers.forEach(timer => clearTimeout(timer)) }
+    );
+    mod_lint_config.init(context, lintAll);
+    lintAll();
+}
+
+module.exports = {
+    init,
+    lintModel,
+    applySuppressions,
+    suppressionsOf,
+    UNUSED_SUPPRESSION,
+    RULES
+};
@@ -0,0 +1,320 @@
+'use strict';
+/**
+ * @file lint.rules.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Security rules of the linter, followed by the NatSpec rules of
+ * natspec.rules.js.
+ *
+ * Rules work on the parsed model (see parser.js) of a contract, strings and
+ * comments are masked so they never match. A rule returns findings with
+ * offsets into the source:
+ *
+ *     { start, end, message, related?: [{ start, end, message }], data? }
+ *
+ * `data` carries what a quick fix needs to know about the finding.
+ */
+
+const NATSPEC_RULES = require('./natspec.rules').RULES;
+
+const SEVERITIES = ['error', 'warning', 'information', 'hint'];
+
+const EXTERNAL_CALL = /\bextcall\b|(?<![\w.])raw_call\s*\(/g;
+const STORAGE_WRITE = /^\s*(self\.\w+)(?:\s*\[[^=]*\]|\.\w+)*\s*(?:\+|-|\*|\/\/|\/|%|\*\*|<<|>>|&|\||\^)?=(?!=)|(self\.\w+)(?:\s*\[[^=]*\])*\.(?:append|pop)\s*\(/g;
+const RANDOMNESS_SOURCE = /\bblock\.(?:timestamp|prevrandao|difficulty|number)\b|(?<![\w.])blockhash\s*\(/g;
+
+function functions(model) {
+    return model.declarations.filter(declaration => declaration.kind === 'function');
+}
+
+function hasDecorator(fn, name) {
+    return fn.decorators.some(decorator => decorator.name === name);
+}
+
+/**
+ * Matches of a global `pattern` in the statements, with offsets into the source.
+ */
+function findAll(statements, pattern) {
+    const found = [];
+    statements.forEach(statement => {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(statement.text)) !== null) {
+            const start = statement.start + match.index + match[0].length - match[0].trimStart().length;
+            found.push({ statement, match, start, end: statement.start + match.index + match[0].length });
+            if (match[0].length === 0) pattern.lastIndex += 1;
+        }
+    });
+    return found;
+}
+
+/**
+ * Writes to storage variables (`self.x = ...`, `self.x[k] += ...`, `self.x.append(...)`).
+ */
+function storageWrites(statements) {
+    return findAll(statements, STORAGE_WRITE).map(found => {
+        const target = found.match[1] || found.match[2];
+        const start = found.statement.start + found.statement.text.indexOf(target, found.match.index);
+        return { statement: found.statement, name: target.slice(5), start, end: start + target.length };
+    });
+}
+
+/**
+ * Internal functions called as `self.f(...)`.
+ */
+function internalCalls(model, statements) {
+    return findAll(statements, /\bself\.(\w+)\s*\(/g)
+        .map(found => model.declarations.find(declaration => declaration.kind === 'function' && declaration.name === found.match[1]))
+        .filter(Boolean);
+}
+
+/**
+ * Statements of `fn` and of the internal functions it calls.
+ */
+function reachableStatements(model, fn, seen = new Set()) {
+    if (seen.has(fn)) return [];
+    seen.add(fn);
+    return internalCalls(model, fn.statements).reduce(
+        (statements, callee) => statements.concat(reachableStatements(model, callee, seen)),
+        fn.statements.slice()
+    );
+}
+
+/**
+ * `extcall`s and `raw_call`s, static raw calls excluded.
+ */
+function externalCalls(statements) {
+    return findAll(statements, EXTERNAL_CALL)
+        .filter(call => !/is_static_call\s*=\s*True/.test(call.statement.text))
+        .map(call => ({
+            statement: call.statement,
+            start: call.start,
+            end: call.start + call.match[0].trim().replace(/\s*\($/, '').length,
+            message: 'external call'
+        }));
+}
+
+/**
+ * Whether `fn` or an internal function it calls makes an external call.
+ */
+function callsExternally(model, fn, seen = new Set()) {
+    if (seen.has(fn)) return false;
+    seen.add(fn);
+    return externalCalls(fn.statements).length > 0 ||
+        internalCalls(model, fn.statements).some(callee => callsExternally(model, callee, seen));
+}
+
+/**
+ * External calls of `fn` in source order, calls of internal functions that
+ * make external calls included.
+ */
+function callSites(model, fn) {
+    const viaInternal = findAll(fn.statements, /\bself\.(\w+)\s*\(/g)
+        .filter(found => {
+            const callee = functions(model).find(candidate => candidate.name === found.match[1]);
+            return callee && callee !== fn && callsExternally(model, callee);
+        })
+        .map(found => ({
+            statement: found.statement,
+            start: found.start,
+            end: found.start + 'self.'.length + found.match[1].length,
+            message: `\`${found.match[1]}\` makes an external call`
+        }));
+    return externalCalls(fn.statements).concat(viaInternal).sort((a, b) => a.start - b.start);
+}
+
+function nameRange(model, symbol) {
+    const start = model.lineStarts[symbol.line] + symbol.column;
+    return { start, end: start + symbol.name.length };
+}
+
+/**
+ * The first argument list starting at `open`, e.g. the arguments of a `raw_call(`.
+ */
+function argumentsAt(text, open) {
+    let depth = 0;
+    for (let index = open; index < text.length; index++) {
+        if (text[index] === '(' || text[index] === '[') depth += 1;
+        else if (text[index] === ')' || text[index] === ']') {
+            depth -= 1;
+            if (depth === 0) return text.slice(open + 1, index);
+        }
+    }
+    return text.slice(open + 1);
+}
+
+const RULES = [
+    {
+        id: 'missing-pragma',
+        severity: 'information',
+        description: 'No `# pragma version`, the contract compiles with whatever compiler is installed.',
+        check(model) {
+            if (/^[ \t]*#[ \t]*(?:@version|pragma[ \t]+version)\b/m.test(model.text)) return [];
+            const firstLine = model.text.split(/\r?\n/, 1)[0];
+            return [{
+                start: 0,
+                end: firstLine.length,
+                message: 'The contract has no `# pragma version`, it is compiled with whichever vyper happens to be installed. Pin the compiler version.'
+            }];
+        }
+    },
+    {
+        id: 'reentrancy',
+        severity: 'warning',
+        description: 'State written after an external call (direct or in an internal function) in a function without `@nonreentrant`.',
+        check(model) {
+            if (/^[ \t]*#[ \t]*pragma[ \t]+nonreentrancy[ \t]+on\b/m.test(model.text)) return [];
+            const findings = [];
+            functions(model)
+                .filter(fn => !hasDecorator(fn, 'nonreentrant') && !['view', 'pure'].includes(fn.mutability))
+                .forEach(fn => {
+                    const calls = callSites(model, fn);
+                    if (calls.length === 0) return;
+                    const first = calls[0];
+                    // the target of `self.x = extcall ...` is written once the call returned
+                    storageWrites(fn.statements)
+                        .filter(write => write.statement.start >= first.statement.start)
+                        .forEach(write => findings.push({
+                            start: write.start,
+                            end: write.end,
+                            message: `\`${fn.name}\` writes \`self.${write.name}\` after an external call, a re-entrant call sees the old state. Update state before the call (checks-effects-interactions) or add \`@nonreentrant\`.`,
+                            related: [{ start: first.start, end: first.end, message: first.message }],
+                            data: { function: fn.name }
+                        }));
+                });
+            return findings;
+        }
+    },
+    {
+        id: 'tx-origin-auth',
+        severity: 'warning',
+        description: '`tx.origin` used for authorization.',
+        check(model) {
+            return findAll(functions(model).flatMap(fn => fn.statements), /\btx\.origin\b/g)
+                .filter(found => /^\s*(?:assert|if|elif|while)\b/.test(found.statement.text) || /==|!=|\bin\b/.test(found.statement.text))
+                .map(found => ({
+                    start: found.start,
+                    end: found.end,
+                    message: 'Authorization with `tx.origin` can be bypassed by any contract the user interacts with (phishing). Use `msg.sender`.'
+                }));
+        }
+    },
+    {
+        id: 'unchecked-raw-call',
+        severity: 'warning',
+        description: 'Result of a `raw_call` with `revert_on_failure=False` is ignored.',
+        check(model) {
+            const findings = [];
+            functions(model).forEach(fn => {
+                findAll(fn.statements, /(?<![\w.])raw_call\s*\(/g).forEach(found => {
+                    const statement = found.statement;
+                    const open = found.match.index + found.match[0].length - 1;
+                    if (!/\brevert_on_failure\s*=\s*False\b/.test(argumentsAt(statement.text, open))) return;
+
+                    const assignment = /^\s*([A-Za-z_]\w*)\s*(?::[^=]*?)?(?:,[^=]*)?=(?!=)/.exec(statement.text.slice(0, found.match.index));
+                    let unchecked = !assignment && /^\s*raw_call\b/.test(statement.text);
+                    if (assignment) {
+                        const name = assignment[1];
+                        unchecked = name === '_' || !model.tokens.some(token =>
+                            token.name === name && !token.qualifier && token.offset >= statement.end &&
+                            token.line <= fn.endLine
+                        );
+                    }
+                    if (!unchecked) return;
+                    findings.push({
+                        start: found.start,
+                        end: found.start + 'raw_call'.length,
+                        message: 'The success flag of this `raw_call` with `revert_on_failure=False` is never checked, failed calls go unnoticed.'
+                    });
+                });
+            });
+            return findings;
+        }
+    },
+    {
+        id: 'send',
+        severity: 'information',
+        description: 'Use of `send`.',
+        check(model) {
+            return findAll(functions(model).flatMap(fn => fn.statements), /(?<![\w.])send\s*\(/g).map(found => ({
+                start: found.start,
+                end: found.start + 'send'.length,
+                message: '`send` forwards no gas by default and reverts if the recipient can not accept ether, a reverting recipient blocks this function. Prefer a withdraw pattern.'
+            }));
+        }
+    },
+    {
+        id: 'selfdestruct',
+        severity: 'warning',
+        description: 'Use of `selfdestruct`.',
+        check(model) {
+            return findAll(functions(model).flatMap(fn => fn.statements), /(?<![\w.])selfdestruct\s*\(/g).map(found => ({
+                start: found.start,
+                end: found.start + 'selfdestruct'.length,
+                message: '`selfdestruct` is deprecated, since Cancun (EIP-6780) it only transfers the balance unless called in the creating transaction.'
+            }));
+        }
+    },
+    {
+        id: 'weak-randomness',
+        severity: 'warning',
+        description: 'Block values used as a source of randomness.',
+        check(model) {
+            return findAll(functions(model).flatMap(fn => fn.statements), RANDOMNESS_SOURCE)
+                .filter(found => /%|\bkeccak256\s*\(|\bsha256\s*\(/.test(found.statement.text))
+                .map(found => {
+                    const source = found.match[0].replace(/\s*\($/, '');
+                    return {
+                        start: found.start,
+                        end: found.start + source.length,
+                        message: `\`${source}\` is not a secure source of randomness, block proposers can influence or predict it. Use a commit-reveal scheme or an oracle.`
+                    };
+                });
+        }
+    },
+    {
+        id: 'unbounded-loop',
+        severity: 'warning',
+        description: 'Loop over a storage `DynArray` that grows with usage.',
+        check(model) {
+            const findings = [];
+            findAll(functions(model).flatMap(fn => fn.statements), /^\s*for\b[^\n]*?\bin\s+(.*?)\s*:\s*$/g).forEach(found => {
+                const iterated = /^self\.(\w+)$/.exec(found.match[1]) || /^range\s*\(.*\blen\s*\(\s*self\.(\w+)\s*\)/.exec(found.match[1]);
+                if (!iterated) return;
+                const variable = model.declarations.find(declaration => declaration.kind === 'variable' && declaration.name === iterated[1]);
+                const type = variable && /^DynArray\s*\[.*,\s*([^\]]+)\]$/.exec(variable.type);
+                if (!type) return;
+                const start = found.statement.start + found.statement.text.indexOf(`self.${iterated[1]}`, found.match.index);
+                findings.push({
+                    start,
+                    end: start + iterated[1].length + 5,
+                    message: `Loop over the storage array \`self.${iterated[1]}\` (up to ${type[1]} elements): the gas cost grows with the array and can exceed the block gas limit, locking this function.`
+                });
+            });
+            return findings;
+        }
+    },
+    {
+        id: 'missing-access-control',
+        severity: 'information',
+        description: 'State changing external function without a check of `msg.sender`.',
+        check(model) {
+            return functions(model)
+                .filter(fn => fn.visibility === 'external' && ['nonpayable', 'payable'].includes(fn.mutability) && !fn.name.startsWith('__'))
+                .filter(fn => {
+                    const statements = reachableStatements(model, fn);
+                    return storageWrites(statements).length > 0 && !statements.some(statement => /\bmsg\.sender\b/.test(statement.text));
+                })
+                .map(fn => Object.assign(nameRange(model, fn), {
+                    message: `\`${fn.name}\` changes state but never checks \`msg.sender\`, anyone can call it. Add access control if this is not intended.`,
+                    data: { function: fn.name }
+                }));
+        }
+    }
+].concat(NATSPEC_RULES);
+
+module.exports = {
+    RULES,
+    SEVERITIES
+};
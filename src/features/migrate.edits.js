@@ -0,0 +1,320 @@
+'use strict';
+/**
+ * @file migrate.edits.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Edits of the `Vyper: Migrate File to 0.4` command (see migrate.js),
+ * computed from the parsed model of a contract. Interface calls are resolved
+ * through a callback so this module does not depend on the editor.
+ */
+
+const { matchingBracket, splitTopLevel } = require('./parser');
+const { parseVersionPragma } = require('./compile.versions');
+
+const GROUPS = {
+    pragma: 'Version pragma',
+    flag: '`enum` → `flag`',
+    deploy: '`@deploy` constructor',
+    nonreentrant: '`@nonreentrant` without key',
+    calls: '`extcall` / `staticcall`',
+    interfaces: '`ethereum.ercs` interfaces',
+    builtins: 'Renamed and removed builtins',
+    loops: 'Loop variable types'
+};
+
+// `vyper.interfaces` of 0.3 and their `ethereum.ercs` counterparts
+const ERC_INTERFACES = {
+    ERC20: 'IERC20',
+    ERC20Detailed: 'IERC20Detailed',
+    ERC165: 'IERC165',
+    ERC721: 'IERC721',
+    ERC4626: 'IERC4626'
+};
+
+// view functions of the interfaces above, everything else is called with `extcall`
+const ERC_VIEW_METHODS = [
+    'totalSupply', 'balanceOf', 'allowance', 'name', 'symbol', 'decimals',
+    'supportsInterface', 'ownerOf', 'getApproved', 'isApprovedForAll',
+    'asset', 'totalAssets', 'convertToShares', 'convertToAssets', 'maxDeposit', 'previewDeposit',
+    'maxMint', 'previewMint', 'maxWithdraw', 'previewWithdraw', 'maxRedeem', 'previewRedeem'
+];
+
+const RENAMED_BUILTINS = {
+    _abi_encode: 'abi_encode',
+    _abi_decode: 'abi_decode',
+    create_forwarder_to: 'create_minimal_proxy_to'
+};
+
+const BINARY_BUILTINS = { bitwise_and: '&', bitwise_or: '|', bitwise_xor: '^' };
+
+function functions(model) {
+    return model.declarations.filter(declaration => declaration.kind === 'function');
+}
+
+function lineEnd(model, line) {
+    const next = model.lineStarts[line + 1];
+    return next === undefined ? model.text.length : next - 1 - (model.text[next - 2] === '\r' ? 1 : 0);
+}
+
+/**
+ * Start of the receiver of a call `receiver.method(`, given the offset of the dot.
+ */
+function receiverStart(code, dot) {
+    let index = dot;
+    for (;;) {
+        let previous = index - 1;
+        while (code[previous] === ' ' || code[previous] === '\t') previous -= 1;
+        const char = code[previous];
+        if (char === ')' || char === ']') {
+            // walk back to the opening bracket
+            const open = char === ')' ? '(' : '[';
+            let depth = 0;
+            let cursor = previous;
+            for (; cursor >= 0; cursor--) {
+                if (code[cursor] === char) depth += 1;
+                else if (code[cursor] === open && --depth === 0) break;
+            }
+            if (cursor < 0) return index;
+            index = cursor;
+        } else if (/\w/.test(char || '')) {
+            const name = /\w+$/.exec(code.slice(Math.max(0, previous - 100), previous + 1));
+            index = previous + 1 - name[0].length;
+            if (code[index - 1] !== '.') return index;
+            index -= 1;
+        } else {
+            return index;
+        }
+    }
+}
+
+/**
+ * Whether an operand needs parentheses next to a binary operator.
+ */
+function wrap(expression) {
+    return /^[\w.]+(?:\([^()]*\)|\[[^[\]]*\])?$/.test(expression) ? expression : `(${expression})`;
+}
+
+/**
+ * Element type of the iterable of `for x in <iterable>:`, if it can be told from the declarations.
+ */
+function loopType(model, fn, iterable) {
+    if (/^range\s*\(/.test(iterable)) {
+        const typed = /\bconvert\s*\([^,]+,\s*(u?int\d+)\s*\)/.exec(iterable);
+        return typed ? typed[1] : 'uint256';
+    }
+    const storage = /^self\.(\w+)$/.exec(iterable);
+    const local = /^(\w+)$/.exec(iterable);
+    let declared = null;
+    if (storage) {
+        declared = model.declarations.find(declaration => declaration.kind === 'variable' && declaration.name === storage[1]);
+    } else if (local) {
+        declared = fn.params.concat(fn.locals).find(symbol => symbol.name === local[1]) ||
+            model.declarations.find(declaration => declaration.kind === 'constant' && declaration.name === local[1]);
+    }
+    const type = declared && declared.type ? declared.type.trim() : '';
+    const dynamic = /^DynArray\s*\[([\s\S]*)\]$/.exec(type);
+    if (dynamic) return splitTopLevel(dynamic[1])[0].text.trim();
+    const fixed = /^([\s\S]+)\[[^[\]]+\]$/.exec(type);
+    return fixed ? fixed[1].trim() : null;
+}
+
+/**
+ * Mutability of the interface method called as `model.tokens[index]`, null if
+ * the call is not an interface call.
+ */
+async function interfaceCall(model, index, fn, ercBindings, resolve) {
+    const token = model.tokens[index];
+    const resolved = await Promise.resolve(resolve(index)).catch(() => null);
+    if (resolved) return resolved.symbol.kind === 'method' ? resolved.symbol.mutability : null;
+
+    // interfaces shipped with the compiler have no declaration to resolve to
+    const receiver = model.code.slice(receiverStart(model.code, token.offset - 1), token.offset - 1).trim();
+    let type = null;
+    const cast = /^(\w+)\s*\(/.exec(receiver);
+    const storage = /^self\.(\w+)$/.exec(receiver);
+    if (cast) {
+        type = cast[1];
+    } else if (storage) {
+        const variable = model.declarations.find(declaration => declaration.kind === 'variable' && declaration.name === storage[1]);
+        type = variable && variable.type;
+    } else if (/^\w+$/.test(receiver)) {
+        const local = fn.params.concat(fn.locals).find(symbol => symbol.name === receiver);
+        type = local && local.type;
+    }
+    if (!type || !ercBindings.has(type.trim())) return null;
+    return ERC_VIEW_METHODS.includes(token.name) ? 'view' : 'nonpayable';
+}
+
+/**
+ * Compute the edits migrating a contract to vyper 0.4.
+ * @param {object} model - parsed model (see parser.js)
+ * @param {string} version - compiler version for the new pragma, e.g. `0.4.1`
+ * @param {function(number): Promise<?{symbol: object}>} resolve - declaration of `model.tokens[index]`
+ * @returns {Promise<{edits: Array<{start: number, end: number, text: string, group: string}>, review: string[]}>}
+ */
+async function migrationEdits(model, version, resolve) {
+    const edits = [];
+    const review = [];
+    const code = model.code;
+    const edit = (start, end, text, group) => edits.push({ start, end, text, group });
+
+    // version pragma
+    const pragma = parseVersionPragma(model.text);
+    const pragmaLine = `# pragma version ~=${version}`;
+    if (!pragma) {
+        edit(0, 0, `${pragmaLine}\n`, GROUPS.pragma);
+    } else if (!/^[ \t]*#[ \t]*pragma[ \t]+version\b/.test(model.text.slice(model.lineStarts[pragma.line], lineEnd(model, pragma.line))) ||
+        !/(?:^|[^\d.])0\.4\b/.test(pragma.constraint)) {
+        edit(model.lineStarts[pragma.line], lineEnd(model, pragma.line), pragmaLine, GROUPS.pragma);
+    }
+
+    // enum -> flag
+    model.statements
+        .filter(statement => statement.indent === 0 && /^enum\s+\w+\s*:/.test(statement.text))
+        .forEach(statement => edit(statement.start, statement.start + 4, 'flag', GROUPS.flag));
+
+    // decorators
+    const nonreentrantKeys = new Set();
+    functions(model).forEach(fn => {
+        fn.decorators.forEach(decorator => {
+            const start = model.lineStarts[decorator.line];
+            const text = code.slice(start, lineEnd(model, decorator.line));
+            const at = start + text.indexOf('@');
+            if (fn.name === '__init__' && decorator.name === 'external') {
+                edit(at, at + '@external'.length, '@deploy', GROUPS.deploy);
+            }
+            const keyed = /^(\s*@nonreentrant)\s*\(([^)]*)\)/.exec(model.text.slice(start, lineEnd(model, decorator.line)));
+            if (decorator.name === 'nonreentrant' && keyed) {
+                nonreentrantKeys.add(keyed[2].trim());
+                edit(start + keyed[1].length, start + keyed[0].length, '', GROUPS.nonreentrant);
+            }
+        });
+    });
+    if (nonreentrantKeys.size > 1) {
+        review.push(`\`@nonreentrant\` keys (${Array.from(nonreentrantKeys).join(', ')}) share a single lock in 0.4.`);
+    }
+
+    // vyper.interfaces -> ethereum.ercs
+    const ercBindings = new Set();
+    const renamedBindings = new Map();
+    model.imports.filter(statement => statement.kind === 'from' && statement.module === 'vyper.interfaces').forEach(statement => {
+        const start = model.lineStarts[statement.line] + statement.moduleColumn;
+        edit(start, start + statement.module.length, 'ethereum.ercs', GROUPS.interfaces);
+        statement.names.forEach(name => {
+            const renamed = ERC_INTERFACES[name.name];
+            if (!renamed) return;
+            const nameStart = model.lineStarts[name.line] + name.column;
+            edit(nameStart, nameStart + name.name.length, renamed, GROUPS.interfaces);
+            if (name.alias) {
+                ercBindings.add(name.alias);
+            } else {
+                ercBindings.add(name.name);
+                renamedBindings.set(name.name, { renamed, line: name.line, column: name.column });
+            }
+        });
+    });
+    model.tokens.forEach(token => {
+        const binding = renamedBindings.get(token.name);
+        if (!binding || token.qualifier || (token.line === binding.line && token.column === binding.column)) return;
+        edit(token.offset, token.offset + token.name.length, binding.renamed, GROUPS.interfaces);
+    });
+    if (model.imports.some(statement => statement.module === 'vyper.interfaces' && statement.kind === 'import')) {
+        review.push('`import vyper.interfaces...` statements need to import from `ethereum.ercs`.');
+    }
+
+    for (const fn of functions(model)) {
+        const body = fn.statements;
+        if (body.length === 0) continue;
+        const start = body[0].start;
+        const end = body[body.length - 1].end;
+
+        // calls of interface methods, builtins
+        for (let index = 0; index < model.tokens.length; index++) {
+            const token = model.tokens[index];
+            if (token.offset < start || token.offset >= end) continue;
+            let open = token.offset + token.name.length;
+            while (code[open] === ' ' || code[open] === '\t') open += 1;
+            const isCall = code[open] === '(';
+
+            if (token.qualifier === 'block' && token.name === 'difficulty') {
+                edit(token.offset, token.offset + token.name.length, 'prevrandao', GROUPS.builtins);
+                continue;
+            }
+            if (!isCall) continue;
+
+            if (token.qualifier && token.qualifier !== 'self') {
+                const receiver = receiverStart(code, token.offset - 1);
+                if (/\b(?:extcall|staticcall)\s+$/.test(code.slice(Math.max(0, receiver - 12), receiver))) continue;
+                const mutability = await interfaceCall(model, index, fn, ercBindings, resolve);
+                if (mutability) edit(receiver, receiver, ['view', 'pure'].includes(mutability) ? 'staticcall ' : 'extcall ', GROUPS.calls);
+                continue;
+            }
+            if (token.qualifier || code[token.offset - 1] === '.') continue;
+
+            if (RENAMED_BUILTINS[token.name]) {
+                edit(token.offset, token.offset + token.name.length, RENAMED_BUILTINS[token.name], GROUPS.builtins);
+                continue;
+            }
+            if (!BINARY_BUILTINS[token.name] && !['bitwise_not', 'shift'].includes(token.name)) continue;
+
+            const close = matchingBracket(code, open);
+            const args = splitTopLevel(model.text.slice(open + 1, close)).map(arg => arg.text.trim());
+            const before = code.slice(0, token.offset).trimEnd();
+            const after = code.slice(close + 1).replace(/^[ \t]+/, '');
+            const standalone = /[=(,[:]$|\breturn$/.test(before) && /^(?:[),\]:]|$|\r?\n)/.test(after);
+            let replacement = null;
+            if (BINARY_BUILTINS[token.name] && args.length === 2) {
+                replacement = `${wrap(args[0])} ${BINARY_BUILTINS[token.name]} ${wrap(args[1])}`;
+            } else if (token.name === 'bitwise_not' && args.length === 1) {
+                replacement = `~${wrap(args[0])}`;
+            } else if (token.name === 'shift' && args.length === 2 && /^-?\d+$/.test(args[1])) {
+                const bits = parseInt(args[1], 10);
+                replacement = `${wrap(args[0])} ${bits < 0 ? '>>' : '<<'} ${Math.abs(bits)}`;
+            }
+            if (replacement === null) {
+                review.push(`\`${token.name}\` in \`${fn.name}\` (line ${token.line + 1}) was removed, rewrite it with operators.`);
+                continue;
+            }
+            edit(token.offset, close + 1, standalone ? replacement : `(${replacement})`, GROUPS.builtins);
+        }
+
+        // loop variable types
+        body.forEach(statement => {
+            const loop = /^(\s*for\s+)(\w+)(\s+in\s+)([\s\S]*?)\s*:\s*$/.exec(statement.text);
+            if (!loop) return;
+            const at = statement.start + loop[1].length + loop[2].length;
+            const iterable = at + loop[3].length;
+            const type = loopType(model, fn, model.text.slice(iterable, iterable + loop[4].length));
+            if (type) edit(at, at, `: ${type}`, GROUPS.loops);
+            else review.push(`Type of the loop variable \`${loop[2]}\` in \`${fn.name}\` (line ${model.lineStarts.filter(lineStart => lineStart <= at).length}).`);
+        });
+    }
+
+    if (functions(model).some(fn => fn.statements.some(statement => /[^/]\/(?![/=])/.test(statement.text)))) {
+        review.push('`/` is decimal division in 0.4, integer division is `//`.');
+    }
+    return { edits: merge(edits), review };
+}
+
+/**
+ * Sort edits and combine an insertion with the replacement starting at the
+ * same offset (`extcall ` in front of a renamed `ERC20(...)`), edits of a
+ * `WorkspaceEdit` must not overlap.
+ */
+function merge(edits) {
+    const sorted = edits.slice().sort((a, b) => a.start - b.start || (a.end - a.start) - (b.end - b.start));
+    return sorted.reduce((merged, change) => {
+        const previous = merged[merged.length - 1];
+        if (previous && previous.start === previous.end && previous.start === change.start) {
+            merged[merged.length - 1] = Object.assign({}, change, { text: previous.text + change.text });
+        } else {
+            merged.push(change);
+        }
+        return merged;
+    }, []);
+}
+
+module.exports = {
+    migrationEdits
+};
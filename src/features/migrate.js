@@ -0,0 +1,99 @@
+'use strict';
+/**
+ * @file migrate.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * `Vyper: Migrate File to 0.4` command.
+ *
+ * Rewrites a 0.3.x contract for vyper 0.4 and shows the changes in the
+ * refactor preview, grouped by kind of change:
+ * - `# @version` → `# pragma version`
+ * - `enum` → `flag`
+ * - `@external` constructor → `@deploy`
+ * - `@nonreentrant("key")` → `@nonreentrant`
+ * - `extcall` / `staticcall` in front of interface calls
+ * - `from vyper.interfaces import ERC20` → `from ethereum.ercs import IERC20`
+ * - `_abi_encode` / `_abi_decode` and other removed builtins
+ * - types of loop variables
+ *
+ * Once applied the contract is compiled with a 0.4 compiler to verify the
+ * result. What can not be migrated mechanically is listed for review.
+ */
+
+const vscode = require('vscode');
+const settings = require('../settings');
+const mod_symbols = require('./symbols');
+const mod_navigation = require('./navigation');
+const mod_compile = require('./compile');
+const mod_session = require('./compile.session');
+const { migrationEdits } = require('./migrate.edits');
+const { parseVersion, compareVersions } = require('./compile.versions');
+
+/**
+ * Newest installed 0.4 compiler of the folder of `uri`.
+ */
+async function targetCompiler(uri) {
+    const session = mod_session.sessionFor(uri.fsPath);
+    const installations = await session.installations().catch(() => []);
+    return installations
+        .filter(installation => {
+            const version = parseVersion(installation.version);
+            return version && version.major === 0 && version.minor === 4 && !version.pre;
+        })
+        .sort((a, b) => compareVersions(parseVersion(b.version), parseVersion(a.version)))[0] || null;
+}
+
+async function migrateFileCommand(input) {
+    const document = input && input.fsPath
+        ? await vscode.workspace.openTextDocument(input)
+        : vscode.window.activeTextEditor && vscode.window.activeTextEditor.document;
+    if (!document || document.languageId !== settings.LANGUAGE_ID) {
+        vscode.window.showErrorMessage('Open a Vyper contract to migrate it to 0.4.');
+        return;
+    }
+
+    const compiler = await targetCompiler(document.uri);
+    const version = compiler ? parseVersion(compiler.version) : null;
+    const model = mod_symbols.documentModel(document);
+    const { edits, review } = await migrationEdits(
+        model,
+        version ? `${version.major}.${version.minor}.${version.patch}` : '0.4.0',
+        index => mod_navigation.resolveToken(document.uri, model, index)
+    );
+    if (edits.length === 0) {
+        vscode.window.showInformationMessage(`${vscode.workspace.asRelativePath(document.uri)} needs no migration.`);
+        return;
+    }
+
+    const workspaceEdit = new vscode.WorkspaceEdit();
+    edits.forEach(change => workspaceEdit.replace(
+        document.uri,
+        new vscode.Range(document.positionAt(change.start), document.positionAt(change.end)),
+        change.text,
+        { label: change.group, needsConfirmation: true }
+    ));
+    if (!await vscode.workspace.applyEdit(workspaceEdit)) return;
+
+    const notes = review.length ? ` Review: ${review.join(' ')}` : '';
+    if (!compiler) {
+        vscode.window.showWarningMessage(`Migrated to 0.4, install a vyper 0.4 compiler to verify the result.${notes}`);
+        return;
+    }
+    const outcome = await mod_compile.reportCompilation(document, { unsaved: true });
+    if (outcome === 'success') {
+        vscode.window.showInformationMessage(`Migrated to 0.4, compiles with vyper ${compiler.version}.${notes}`);
+    } else if (outcome === 'failed') {
+        vscode.window.showWarningMessage(`Migrated to 0.4, vyper ${compiler.version} reports problems.${notes}`);
+    }
+}
+
+function init(context) {
+    context.subscriptions.push(
+        vscode.commands.registerCommand('vyper.migrateFile', migrateFileCommand)
+    );
+}
+
+module.exports = {
+    init
+};
@@ -0,0 +1,137 @@
+'use strict';
+/**
+ * @file natspec.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * NatSpec docstring parsing.
+ *
+ *     """
+ *     @notice Transfer tokens
+ *     @param to The receiver
+ *     @return Success
+ *     """
+ *
+ * Text before the first tag is treated as `@notice`. Lines not starting with
+ * a tag continue the previous one.
+ *
+ * Also renders the documentation the compiler generates from it (`userdoc`,
+ * `devdoc`) as markdown.
+ */
+
+const TAGS = ['title', 'license', 'author', 'notice', 'dev', 'param', 'return', 'custom'];
+
+/**
+ * @param {string} docstring - contents of the docstring (without quotes)
+ * @returns {{title: ?string, license: ?string, author: ?string, notice: ?string, dev: ?string,
+ *           params: Object<string, string>, returns: string[], custom: Object<string, string>,
+ *           tags: Array<{tag: string, name: ?string, text: string, line: number, column: number, known: boolean}>}}
+ *          `line` is relative to the first line of the docstring
+ */
+function parseNatspec(docstring) {
+    const result = {
+        title: null,
+        license: null,
+        author: null,
+        notice: null,
+        dev: null,
+        // no prototype, a parameter may be called `constructor` or `toString`
+        params: Object.create(null),
+        returns: [],
+        custom: {},
+        tags: []
+    };
+    if (!docstring) return result;
+
+    let current = null;
+    docstring.split(/\r?\n/).forEach((raw, line) => {
+        const text = raw.trim();
+        const tag = /^@(custom:[\w-]+|\w+)\s*([\s\S]*)$/.exec(text);
+        if (tag) {
+            const name = tag[1].startsWith('custom:') ? 'custom' : tag[1];
+            current = {
+                tag: tag[1],
+                name: null,
+                text: tag[2],
+                line,
+                column: raw.indexOf('@'),
+                known: TAGS.includes(name)
+            };
+            if (name === 'param') {
+                const param = /^(\w+)\s*([\s\S]*)$/.exec(tag[2]);
+                current.name = param ? param[1] : null;
+                current.text = param ? param[2] : '';
+            }
+            result.tags.push(current);
+            return;
+        }
+        if (!text) return;
+        if (!current) {
+            current = { tag: 'notice', name: null, text: '', line, column: raw.indexOf(text), known: true, implicit: true };
+            result.tags.push(current);
+        }
+        current.text = current.text ? `${current.text} ${text}` : text;
+    });
+
+    result.tags.forEach(entry => {
+        if (entry.tag === 'param') {
+            if (entry.name) result.params[entry.name] = entry.text;
+        } else if (entry.tag === 'return') {
+            result.returns.push(entry.text);
+        } else if (entry.tag.startsWith('custom:')) {
+            result.custom[entry.tag.slice('custom:'.length)] = entry.text;
+        } else if (entry.known) {
+            result[entry.tag] = result[entry.tag] ? `${result[entry.tag]} ${entry.text}` : entry.text;
+        }
+    });
+    return result;
+}
+
+/**
+ * Markdown of the compiler's `userdoc` and `devdoc` outputs.
+ * @param {object} userdoc - parsed `vyper -f userdoc`
+ * @param {object} devdoc - parsed `vyper -f devdoc`
+ * @param {string} name - contract name, used when there is no `@title`
+ */
+function documentationMarkdown(userdoc, devdoc, name) {
+    const lines = [`# ${devdoc.title || name}`, ''];
+    const section = (doc, user) => {
+        if (user.notice) lines.push(user.notice, '');
+        if (doc.details) lines.push(`> ${doc.details}`, '');
+        Object.keys(doc).filter(key => key.startsWith('custom:')).forEach(key => lines.push(`*${key.slice('custom:'.length)}:* ${doc[key]}`, ''));
+    };
+
+    section(devdoc, userdoc);
+    const about = [['Author', devdoc.author], ['License', devdoc.license]].filter(([, value]) => value);
+    if (about.length) lines.push(about.map(([label, value]) => `*${label}:* ${value}`).join('  \n'), '');
+
+    [['Functions', 'methods'], ['Events', 'events']].forEach(([title, key]) => {
+        const signatures = Array.from(new Set(Object.keys(userdoc[key] || {}).concat(Object.keys(devdoc[key] || {}))));
+        if (signatures.length === 0) return;
+        lines.push(`## ${title}`, '');
+        signatures.forEach(signature => {
+            const doc = (devdoc[key] || {})[signature] || {};
+            lines.push(`### \`${signature}\``, '');
+            section(doc, (userdoc[key] || {})[signature] || {});
+            const params = Object.entries(doc.params || {});
+            if (params.length) {
+                lines.push('| Parameter | Description |', '| --- | --- |');
+                params.forEach(([param, text]) => lines.push(`| \`${param}\` | ${text.replace(/\|/g, '\\|')} |`));
+                lines.push('');
+            }
+            const returns = Object.entries(doc.returns || {});
+            if (returns.length) {
+                lines.push('**Returns**', '');
+                returns.forEach(([index, text]) => lines.push(`- \`${index}\`: ${text}`));
+                lines.push('');
+            }
+        });
+    });
+    return lines.join('\n');
+}
+
+module.exports = {
+    parseNatspec,
+    documentationMarkdown,
+    TAGS
+};
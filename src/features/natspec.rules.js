@@ -0,0 +1,187 @@
+'use strict';
+/**
+ * @file natspec.rules.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * NatSpec rules of the linter (see lint.rules.js for the shape of a rule).
+ *
+ * Docstrings are checked the way the compiler checks them when generating
+ * `userdoc` / `devdoc`: unknown, misplaced, empty and duplicate tags,
+ * `@param` names that are not in the signature and more `@return` tags than
+ * returned values. External functions without documentation are reported
+ * with a low severity, switch `natspec-missing` off if that is not wanted.
+ */
+
+const { parseNatspec } = require('./natspec');
+const { splitTopLevel } = require('./parser');
+
+// tags the compiler accepts in the docstring of the contract and of functions
+const CONTRACT_TAGS = ['title', 'license', 'author', 'notice', 'dev'];
+const FUNCTION_TAGS = CONTRACT_TAGS.concat(['param', 'return']);
+const CUSTOM_TAG = /^custom:[a-z][a-z-]*$/;
+
+/**
+ * Offset in the source of `column` on the `line` (relative) of a docstring.
+ */
+function docstringOffset(model, docstring, line, column) {
+    const start = model.lineStarts[docstring.line] + docstring.column;
+    let offset = start + (/^(?:"""|''')/.test(model.text.slice(start, start + 3)) ? 3 : 1);
+    for (let index = 0; index < line; index++) offset = model.text.indexOf('\n', offset) + 1;
+    return offset + column;
+}
+
+/**
+ * Number of values returned by a function, `(uint256, bool)` returns two.
+ */
+function returnCount(fn) {
+    if (!fn.returns) return 0;
+    if (!/^\(.*\)$/.test(fn.returns)) return 1;
+    return splitTopLevel(fn.returns.slice(1, -1)).filter(part => part.text.trim() !== '').length;
+}
+
+function documented(model) {
+    const docstrings = model.docstring ? [{ docstring: model.docstring, fn: null }] : [];
+    model.declarations
+        .filter(declaration => declaration.kind === 'function' && declaration.docstring)
+        .forEach(fn => docstrings.push({ docstring: fn.docstring, fn }));
+    return docstrings.map(entry => Object.assign(entry, { natspec: parseNatspec(entry.docstring.value) }));
+}
+
+/**
+ * Source range of the `@tag` of an entry, or of its parameter name.
+ */
+function tagRange(model, docstring, entry, name = false) {
+    const start = docstringOffset(model, docstring, entry.line, entry.column);
+    if (!name) return { start, end: start + 1 + entry.tag.length };
+    const nameStart = model.text.indexOf(entry.name, start + 1 + entry.tag.length);
+    return { start: nameStart, end: nameStart + entry.name.length };
+}
+
+/**
+ * Functions the compiler documents, interface stubs (`...`) excluded.
+ */
+function externalFunctions(model) {
+    return model.declarations.filter(declaration =>
+        declaration.kind === 'function' && declaration.visibility === 'external' && declaration.name !== '__init__' &&
+        !(declaration.statements.length === 1 && declaration.statements[0].text.trim() === '...')
+    );
+}
+
+const RULES = [
+    {
+        id: 'natspec-tag',
+        severity: 'warning',
+        description: 'Malformed NatSpec: unknown, misplaced, empty or duplicate tag.',
+        check(model) {
+            const findings = [];
+            documented(model).forEach(({ docstring, fn, natspec }) => {
+                const allowed = fn ? FUNCTION_TAGS : CONTRACT_TAGS;
+                const seen = new Set();
+                natspec.tags.filter(entry => !entry.implicit).forEach(entry => {
+                    const report = message => findings.push(Object.assign(tagRange(model, docstring, entry), { message }));
+                    if (entry.tag.startsWith('custom:')) {
+                        if (!CUSTOM_TAG.test(entry.tag)) report(`Invalid custom NatSpec tag \`@${entry.tag}\`, use lowercase letters and \`-\` only.`);
+                    } else if (!entry.known) {
+                        report(`Unknown NatSpec tag \`@${entry.tag}\`.`);
+                        return;
+                    } else if (!allowed.includes(entry.tag)) {
+                        report(`\`@${entry.tag}\` is not allowed in the docstring of the contract, only in functions.`);
+                        return;
+                    }
+                    if (entry.tag === 'param' && !entry.name) {
+                        report('`@param` without a parameter name.');
+                        return;
+                    }
+                    if (!entry.text.trim()) {
+                        report(entry.name ? `No description given for parameter \`${entry.name}\`.` : `No description given for \`@${entry.tag}\`.`);
+                    }
+                    if (CONTRACT_TAGS.includes(entry.tag)) {
+                        if (seen.has(entry.tag)) report(`Duplicate NatSpec tag \`@${entry.tag}\`.`);
+                        seen.add(entry.tag);
+                    }
+                });
+                const implicit = natspec.tags.find(entry => entry.implicit);
+                if (implicit && seen.has('notice')) {
+                    const start = docstringOffset(model, docstring, implicit.line, implicit.column);
+                    findings.push({
+                        start,
+                        end: start + model.text.slice(start).search(/\r?\n|$/),
+                        message: 'Text before the first tag is the `@notice`, the docstring has an explicit `@notice` too.'
+                    });
+                }
+            });
+            return findings;
+        }
+    },
+    {
+        id: 'natspec-param',
+        severity: 'warning',
+        description: '`@param` or `@return` tags not matching the signature.',
+        check(model) {
+            const findings = [];
+            documented(model).filter(entry => entry.fn).forEach(({ docstring, fn, natspec }) => {
+                const seen = new Set();
+                natspec.tags.filter(entry => entry.tag === 'param' && entry.name).forEach(entry => {
+                    const range = tagRange(model, docstring, entry, true);
+                    if (!fn.params.some(param => param.name === entry.name)) {
+                        findings.push(Object.assign(range, { message: `\`${fn.name}\` has no parameter \`${entry.name}\`.` }));
+                    } else if (seen.has(entry.name)) {
+                        findings.push(Object.assign(range, { message: `Parameter \`${entry.name}\` is documented more than once.` }));
+                    }
+                    seen.add(entry.name);
+                });
+
+                const returns = natspec.tags.filter(entry => entry.tag === 'return');
+                const count = returnCount(fn);
+                returns.slice(count).forEach(entry => findings.push(Object.assign(tagRange(model, docstring, entry), {
+                    message: count === 0
+                        ? `\`${fn.name}\` does not return a value.`
+                        : `\`${fn.name}\` returns ${count} value${count === 1 ? '' : 's'}, there are more \`@return\` tags than returned values.`
+                })));
+            });
+            return findings;
+        }
+    },
+    {
+        id: 'natspec-missing',
+        severity: 'hint',
+        description: 'External function without NatSpec, or with undocumented parameters or return value.',
+        check(model) {
+            const findings = [];
+            externalFunctions(model).forEach(fn => {
+                const nameStart = model.lineStarts[fn.line] + fn.column;
+                const nameRange = { start: nameStart, end: nameStart + fn.name.length };
+                if (!fn.docstring) {
+                    findings.push(Object.assign(nameRange, {
+                        message: `\`${fn.name}\` is external but has no NatSpec docstring.`,
+                        data: { function: fn.name }
+                    }));
+                    return;
+                }
+                const natspec = parseNatspec(fn.docstring.value);
+                fn.params.filter(param => !Object.prototype.hasOwnProperty.call(natspec.params, param.name)).forEach(param => {
+                    const start = model.lineStarts[param.line] + param.column;
+                    findings.push({
+                        start,
+                        end: start + param.name.length,
+                        message: `Parameter \`${param.name}\` of \`${fn.name}\` is not documented (\`@param ${param.name}\`).`,
+                        data: { function: fn.name }
+                    });
+                });
+                if (returnCount(fn) > 0 && natspec.returns.length === 0) {
+                    findings.push(Object.assign(nameRange, {
+                        message: `The return value of \`${fn.name}\` is not documented (\`@return\`).`,
+                        data: { function: fn.name }
+                    }));
+                }
+            });
+            return findings;
+        }
+    }
+];
+
+module.exports = {
+    RULES,
+    returnCount
+};
@@ -0,0 +1,338 @@
+'use strict';
+/**
+ * @file navigation.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Go to Definition, Peek Definition and Find All References.
+ *
+ * Identifiers are resolved to their declaration: `self.` members, constants,
+ * immutables, structs, events (`log Transfer`), flags and their members,
+ * struct fields, interface methods, parameters and locals, and the members
+ * of imported modules (`ow.owner`, `exports: lib.foo`), across files.
+ *
+ * A resolved declaration is `{uri, symbol, module?}` where `symbol` belongs to
+ * the model (see symbols.js) of `uri`, or is a whole module (`module: true`).
+ */
+
+const vscode = require('vscode');
+const path = require('path');
+const settings = require('../settings');
+const mod_symbols = require('./symbols');
+const mod_compile = require('./compile.js');
+const mod_imports = require('./imports');
+const { index } = require('./symbols.index');
+const { splitTopLevel, matchingBracket } = require('./parser');
+
+const TYPE_KINDS = ['struct', 'event', 'flag', 'interface'];
+
+function moduleSymbol(uri) {
+    return { kind: 'module', name: path.basename(uri.path).replace(/\.vyi?$/, ''), line: 0, column: 0 };
+}
+
+/**
+ * Key identifying a declaration across files.
+ */
+function identity(resolved) {
+    return `${resolved.uri.toString()}#${resolved.symbol.line}:${resolved.symbol.column}`;
+}
+
+function toLocation(resolved) {
+    if (resolved.module) return new vscode.Location(resolved.uri, new vscode.Position(0, 0));
+    return new vscode.Location(resolved.uri, mod_symbols.toRange(resolved.symbol));
+}
+
+/**
+ * What an import binds: a module or a member of one.
+ * @param {Set<string>} [seen] - `uri#name` pairs already followed, a circular import resolves to null
+ */
+async function resolveImport(uri, statement, importedName, seen = new Set()) {
+    if (uri.scheme !== 'file') return null;
+    const target = mod_imports.resolveImportedName(uri.fsPath, statement, importedName, mod_imports.searchPathsFor(uri));
+    if (!target || !target.fsPath) return null;
+
+    const targetUri = vscode.Uri.file(target.fsPath);
+    if (target.member) {
+        const key = `${targetUri.toString()}#${target.member}`;
+        if (seen.has(key)) return null;
+        seen.add(key);
+        const model = await mod_symbols.fileModel(targetUri);
+        const member = model && mod_symbols.topLevel(model, target.member);
+        if (member) return follow(targetUri, member, seen);
+    }
+    return { uri: targetUri, symbol: moduleSymbol(targetUri), module: true };
+}
+
+/**
+ * A declaration, with imports replaced by what they import.
+ */
+async function follow(uri, symbol, seen = new Set()) {
+    if (symbol.kind !== 'import') return { uri, symbol };
+    return (await resolveImport(uri, symbol.statement, symbol.imported, seen)) || { uri, symbol };
+}
+
+/**
+ * `Point` of `DynArray[Point, 10]`, `HashMap[address, Point]` or `Point[3]`.
+ */
+function elementType(type) {
+    let current = type.trim();
+    let match;
+    while ((match = /^([\w.]+)\s*\[([\s\S]*)\]$/.exec(current))) {
+        const args = splitTopLevel(match[2]).map(arg => arg.text.trim());
+        if (match[1] === 'HashMap') current = args[args.length - 1] || '';
+        else if (match[1] === 'DynArray') current = args[0] || '';
+        else if (/^\d+$/.test(args[0] || '') || /^[A-Z_]+$/.test(args[0] || '')) current = match[1];
+        else break;
+    }
+    return current;
+}
+
+/**
+ * Declaration of a (possibly module qualified) type name used in `uri`.
+ */
+async function resolveType(uri, model, type) {
+    const match = /^(\w+)(?:\.(\w+))?$/.exec(elementType(type));
+    if (!match) return null;
+    const declaration = mod_symbols.topLevel(model, match[1]);
+    if (!declaration) return null;
+    const resolved = await follow(uri, declaration);
+    return match[2] ? memberOf(resolved, match[2]) : resolved;
+}
+
+/**
+ * The declaration whose members a resolved symbol exposes: modules and types
+ * stand for themselves, variables and functions for their (return) type.
+ */
+async function containerOf(resolved) {
+    if (!resolved) return null;
+    const symbol = resolved.symbol;
+    if (resolved.module || TYPE_KINDS.includes(symbol.kind)) return resolved;
+
+    const type = symbol.kind === 'function' || symbol.kind === 'method' ? symbol.returns : symbol.type;
+    if (!type) return null;
+    const model = await mod_symbols.fileModel(resolved.uri);
+    return model ? resolveType(resolved.uri, model, type) : null;
+}
+
+async function memberOf(resolved, name) {
+    const scope = await containerOf(resolved);
+    if (!scope) return null;
+
+    if (scope.module) {
+        const model = await mod_symbols.fileModel(scope.uri);
+        const declaration = model && mod_symbols.topLevel(model, name);
+        return declaration ? follow(scope.uri, declaration) : null;
+    }
+    const member = (scope.symbol.members || []).find(candidate => candidate.name === name);
+    return member ? { uri: scope.uri, symbol: member } : null;
+}
+
+/**
+ * Symbol declared exactly at the position of `token`.
+ */
+function declarationAt(model, token) {
+    const at = symbol => symbol.line === token.line && symbol.column === token.column;
+    for (const declaration of model.declarations) {
+        if (at(declaration)) return declaration;
+        const nested = [].concat(
+            declaration.params || [],
+            declaration.locals || [],
+            declaration.members || [],
+            ...(declaration.members || []).map(member => member.params || [])
+        );
+        const found = nested.find(at);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Declaration of the expression ending right before `offset` (exclusive),
+ * e.g. `IERC20(token)` or `self.balances[owner]`.
+ */
+async function resolveExpression(uri, model, offset) {
+    const code = model.code;
+    let end = offset;
+    // skip the call arguments and subscripts, `(...)` and `[...]`
+    while (end > 0 && (code[end - 1] === ')' || code[end - 1] === ']')) {
+        let depth = 0;
+        let index = end - 1;
+        for (; index >= 0; index--) {
+            if (')]}'.includes(code[index])) depth += 1;
+            if ('([{'.includes(code[index])) depth -= 1;
+            if (depth === 0) break;
+        }
+        end = index;
+    }
+    const index = mod_symbols.tokenEndingAt(model, end);
+    return index === -1 ? null : resolveToken(uri, model, index);
+}
+
+/**
+ * Declaration whose members are accessible after the `.` at `dot`
+ * (`ow.`, `self.token.`, `IERC20(token).`, `Roles.`).
+ * @returns {Promise<?{uri: vscode.Uri, symbol: object, module?: boolean}>}
+ */
+async function resolveContainer(uri, model, dot) {
+    if (model.code.slice(Math.max(0, dot - 4), dot) === 'self' && !/\w/.test(model.code[dot - 5] || '')) {
+        return { uri, symbol: moduleSymbol(uri), module: true };
+    }
+    return containerOf(await resolveExpression(uri, model, dot));
+}
+
+/**
+ * For `name` in `Point(name=1)`, `log Transfer(name=x)` or `self.foo(name=x)`
+ * the offset where the called expression ends.
+ */
+function keywordCallEnd(model, token) {
+    const code = model.code;
+    let next = token.offset + token.name.length;
+    while (code[next] === ' ' || code[next] === '\t') next += 1;
+    if (code[next] !== '=' || code[next + 1] === '=') return -1;
+
+    // keyword arguments never leave their statement
+    const statement = model.statements.find(candidate => candidate.start <= token.offset && token.offset < candidate.end);
+    const start = statement ? statement.start : 0;
+    let depth = 0;
+    for (let index = token.offset - 1; index >= start; index--) {
+        if (')]}'.includes(code[index])) depth += 1;
+        if ('[{'.includes(code[index])) depth -= 1;
+        if (code[index] === '(') {
+            if (depth === 0) return matchingBracket(code, index) > token.offset ? index : -1;
+            depth -= 1;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Resolve the identifier `model.tokens[index]` of the source `uri`.
+ * @returns {Promise<?{uri: vscode.Uri, symbol: object, module?: boolean}>}
+ */
+async function resolveToken(uri, model, index) {
+    const token = model.tokens[index];
+    if (!token) return null;
+
+    const own = declarationAt(model, token);
+    if (own) return follow(uri, own);
+
+    const statement = model.imports.find(candidate =>
+        token.line >= candidate.line && token.line <= Math.max(candidate.line, ...candidate.names.map(name => name.line))
+    );
+    if (statement) {
+        const importedName = statement.names.find(name =>
+            name.line === token.line && token.column >= name.column && token.column < name.column + name.name.length
+        ) || statement.names[0];
+        return importedName ? resolveImport(uri, statement, importedName) : null;
+    }
+
+    if (token.qualifier === 'self') {
+        return memberOf({ uri, symbol: moduleSymbol(uri), module: true }, token.name);
+    }
+    if (token.qualifier) {
+        // the qualifier is the expression left of the dot
+        return memberOf(await resolveExpression(uri, model, token.offset - 1), token.name);
+    }
+
+    const callEnd = keywordCallEnd(model, token);
+    if (callEnd !== -1) {
+        const callee = await resolveExpression(uri, model, callEnd);
+        if (callee && (callee.symbol.kind === 'function' || callee.symbol.kind === 'method')) {
+            const param = callee.symbol.params.find(candidate => candidate.name === token.name);
+            return param ? { uri: callee.uri, symbol: param } : null;
+        }
+        if (callee && TYPE_KINDS.includes(callee.symbol.kind)) return memberOf(callee, token.name);
+    }
+
+    const scope = mod_symbols.enclosingFunction(model, token.line);
+    if (scope) {
+        const local = scope.params.concat(scope.locals).find(candidate => candidate.name === token.name);
+        if (local) return { uri, symbol: local };
+    }
+
+    const declaration = mod_symbols.topLevel(model, token.name);
+    return declaration ? follow(uri, declaration) : null;
+}
+
+/**
+ * Resolve the identifier at `position` of an open document.
+ */
+async function resolveAt(document, position) {
+    const model = mod_symbols.documentModel(document);
+    const token = mod_symbols.tokenAt(model, position.line, position.character);
+    if (!token) return null;
+    return resolveToken(document.uri, model, model.tokens.indexOf(token));
+}
+
+/**
+ * All identifiers of the workspace resolving to `target`.
+ * @param {{uri: vscode.Uri, symbol: object}} target
+ * @param {boolean} includeDeclaration
+ * @param {vscode.CancellationToken} [cancel]
+ * @returns {Promise<vscode.Location[]>}
+ */
+async function findReferences(target, includeDeclaration, cancel) {
+    const uris = await index.uris();
+    vscode.workspace.textDocuments
+        .filter(document => document.languageId === settings.LANGUAGE_ID)
+        .filter(document => !uris.some(uri => uri.toString() === document.uri.toString()))
+        .forEach(document => uris.push(document.uri));
+
+    const key = identity(target);
+    const name = target.symbol.name;
+    const locations = [];
+    for (const uri of uris) {
+        if (cancel && cancel.isCancellationRequested) break;
+        const text = await mod_symbols.readText(uri);
+        if (text === null || !text.includes(name)) continue;
+
+        const model = mod_symbols.modelFor(uri, text);
+        for (let index = 0; index < model.tokens.length; index++) {
+            const token = model.tokens[index];
+            if (token.name !== name) continue;
+            const resolved = await resolveToken(uri, model, index);
+            if (!resolved || identity(resolved) !== key) continue;
+
+            const isDeclaration = uri.toString() === target.uri.toString() &&
+                token.line === target.symbol.line && token.column === target.symbol.column;
+            if (isDeclaration && !includeDeclaration) continue;
+            locations.push(new vscode.Location(uri, new vscode.Range(token.line, token.column, token.line, token.column + name.length)));
+        }
+    }
+    return locations;
+}
+
+class VyperDefinitionProvider {
+    async provideDefinition(document, position) {
+        const resolved = await resolveAt(document, position);
+        return resolved ? toLocation(resolved) : null;
+    }
+}
+
+class VyperReferenceProvider {
+    async provideReferences(document, position, context, token) {
+        const resolved = await resolveAt(document, position);
+        if (!resolved) return [];
+        return findReferences(resolved, context.includeDeclaration, token);
+    }
+}
+
+function init(context, type) {
+    mod_symbols.init(context);
+    context.subscriptions.push(
+        mod_compile.onDidCompile(({ uri, contract }) => mod_symbols.onDidCompile(uri, contract)),
+        vscode.languages.registerDefinitionProvider(type, new VyperDefinitionProvider()),
+        vscode.languages.registerReferenceProvider(type, new VyperReferenceProvider())
+    );
+}
+
+module.exports = {
+    init,
+    identity,
+    toLocation,
+    resolveAt,
+    resolveToken,
+    resolveType,
+    resolveContainer,
+    findReferences
+};
@@ -0,0 +1,123 @@
+'use strict';
+/**
+ * @file outline.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Document outline (breadcrumbs, `Go to Symbol in Editor`) and workspace
+ * symbol search (`Go to Symbol in Workspace`).
+ */
+
+const vscode = require('vscode');
+const path = require('path');
+const mod_symbols = require('./symbols');
+const mod_index = require('./symbols.index');
+
+const SYMBOL_KINDS = {
+    function: vscode.SymbolKind.Function,
+    variable: vscode.SymbolKind.Field,
+    constant: vscode.SymbolKind.Constant,
+    immutable: vscode.SymbolKind.Property,
+    event: vscode.SymbolKind.Event,
+    struct: vscode.SymbolKind.Struct,
+    flag: vscode.SymbolKind.Enum,
+    interface: vscode.SymbolKind.Interface,
+    import: vscode.SymbolKind.Module,
+    field: vscode.SymbolKind.Field,
+    member: vscode.SymbolKind.EnumMember,
+    method: vscode.SymbolKind.Method
+};
+
+function symbolKind(entry) {
+    if (entry.kind === 'function' && entry.name === '__init__') return vscode.SymbolKind.Constructor;
+    return SYMBOL_KINDS[entry.kind] || vscode.SymbolKind.Variable;
+}
+
+/**
+ * Short description shown next to a symbol's name.
+ */
+function describe(declaration) {
+    switch (declaration.kind) {
+        case 'function':
+            return declaration.decorators.map(decorator => '@' + decorator.name).join(' ') +
+                (declaration.returns ? ` -> ${declaration.returns}` : '');
+        case 'variable':
+            return [declaration.public && 'public', declaration.transient && 'transient', declaration.type].filter(Boolean).join(' ');
+        case 'constant':
+            return `${declaration.type} = ${declaration.value}`;
+        case 'immutable':
+            return `immutable ${declaration.type}`;
+        case 'field':
+            return (declaration.indexed ? 'indexed ' : '') + declaration.type;
+        case 'method':
+            return `${declaration.mutability}` + (declaration.returns ? ` -> ${declaration.returns}` : '');
+        case 'import':
+            return declaration.statement.module || declaration.imported.name;
+        case 'member':
+            return '';
+        default:
+            return declaration.kind;
+    }
+}
+
+function documentSymbol(document, declaration) {
+    const startLine = declaration.startLine !== undefined ? declaration.startLine : declaration.line;
+    const endLine = declaration.endLine !== undefined ? declaration.endLine : declaration.line;
+    const range = new vscode.Range(startLine, 0, endLine, document.lineAt(endLine).text.length);
+    const selection = mod_symbols.toRange(declaration);
+    const symbol = new vscode.DocumentSymbol(
+        declaration.name,
+        describe(declaration),
+        symbolKind(declaration),
+        range.contains(selection) ? range : selection,
+        selection
+    );
+    symbol.children = (declaration.members || []).map(member => documentSymbol(document, member));
+    return symbol;
+}
+
+function directiveSymbol(document, directive) {
+    const range = new vscode.Range(directive.line, 0, directive.endLine, document.lineAt(directive.endLine).text.length);
+    const selection = new vscode.Range(directive.line, directive.column, directive.line, directive.column + directive.kind.length);
+    const symbol = new vscode.DocumentSymbol(directive.kind, directive.value, vscode.SymbolKind.Namespace, range, selection);
+    symbol.children = directive.names.map(name => {
+        const nameRange = new vscode.Range(name.line, name.column, name.line, name.column + name.name.length);
+        return new vscode.DocumentSymbol(name.name, '', vscode.SymbolKind.Module, nameRange, nameRange);
+    });
+    return symbol;
+}
+
+class VyperDocumentSymbolProvider {
+    provideDocumentSymbols(document) {
+        const model = mod_symbols.documentModel(document);
+        const symbols = model.declarations
+            .map(declaration => documentSymbol(document, declaration))
+            .concat(model.directives.map(directive => directiveSymbol(document, directive)));
+        return symbols.sort((a, b) => a.range.start.line - b.range.start.line);
+    }
+}
+
+class VyperWorkspaceSymbolProvider {
+    async provideWorkspaceSymbols(query) {
+        const results = await mod_index.index.search(query);
+        return results.map(({ uri, entry }) => new vscode.SymbolInformation(
+            entry.name,
+            symbolKind(entry),
+            entry.container || path.basename(uri.path),
+            new vscode.Location(uri, mod_symbols.toRange(entry))
+        ));
+    }
+}
+
+function init(context, type) {
+    mod_index.init(context);
+    context.subscriptions.push(
+        vscode.languages.registerDocumentSymbolProvider(type, new VyperDocumentSymbolProvider()),
+        vscode.languages.registerWorkspaceSymbolProvider(new VyperWorkspaceSymbolProvider())
+    );
+}
+
+module.exports = {
+    init,
+    symbolKind
+};
@@ -0,0 +1,708 @@
+'use strict';
+/**
+ * @file parser.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Lightweight, error tolerant parser for Vyper sources.
+ *
+ * It does not build a full expression tree. Instead it recovers what editor
+ * features need from any (possibly broken) contract:
+ * - top-level declarations (functions, storage variables, constants,
+ *   immutables, events, structs, flags, interfaces, imports and module
+ *   directives) with their positions, types, decorators and docstrings
+ * - the parameters, locals and logical statements of every function
+ * - all identifier tokens outside of strings and comments
+ *
+ * Independent of vscode: lines are 0-based, columns are 0-based offsets.
+ */
+
+const VARIABLE_WRAPPERS = ['public', 'constant', 'immutable', 'transient', 'reentrant'];
+const DIRECTIVES = ['implements', 'uses', 'initializes', 'exports'];
+const BLOCK_KINDS = { event: 'event', struct: 'struct', flag: 'flag', enum: 'flag', interface: 'interface' };
+const MUTABILITIES = ['pure', 'view', 'nonpayable', 'payable'];
+const VISIBILITIES = ['external', 'internal', 'deploy'];
+
+/**
+ * Blank out strings and comments while keeping every offset intact.
+ * String delimiters are kept so that a docstring still looks like an expression.
+ * @param {string} text
+ * @returns {{code: string, strings: Array<{start: number, end: number, value: string}>,
+ *           comments: Array<{start: number, end: number, value: string}>}}
+ */
+function scan(text) {
+    const chars = text.split('');
+    const strings = [];
+    const comments = [];
+    const blank = (from, to) => {
+        for (let index = from; index < to; index++) {
+            if (chars[index] !== '\n' && chars[index] !== '\r') chars[index] = ' ';
+        }
+    };
+
+    let index = 0;
+    while (index < text.length) {
+        const char = text[index];
+        if (char === '#') {
+            let end = text.indexOf('\n', index);
+            if (end === -1) end = text.length;
+            if (text[end - 1] === '\r') end -= 1;
+            comments.push({ start: index, end, value: text.slice(index + 1, end) });
+            blank(index, end);
+            index = end;
+            continue;
+        }
+        if (char === '"' || char === "'") {
+            const triple = text.startsWith(char.repeat(3), index);
+            const delimiter = triple ? char.repeat(3) : char;
+            let end = index + delimiter.length;
+            while (end < text.length) {
+                if (text[end] === '\\') {
+                    end += 2;
+                    continue;
+                }
+                if (text.startsWith(delimiter, end)) break;
+                if (!triple && text[end] === '\n') break;
+                end += 1;
+            }
+            const close = Math.min(end + (text.startsWith(delimiter, end) ? delimiter.length : 0), text.length);
+            // b"..." and x"..." prefixes belong to the literal
+            const start = /[bBxX]/.test(text[index - 1] || '') && !/\w/.test(text[index - 2] || '') ? index - 1 : index;
+            strings.push({
+                start,
+                end: close,
+                value: text.slice(index + delimiter.length, Math.max(close - delimiter.length, index + delimiter.length))
+            });
+            blank(start, close);
+            // keep the delimiters
+            for (let offset = 0; offset < delimiter.length; offset++) {
+                chars[index + offset] = char;
+                if (close - 1 - offset > index + offset) chars[close - 1 - offset] = char;
+            }
+            index = close;
+            continue;
+        }
+        index += 1;
+    }
+
+    return { code: chars.join(''), strings, comments };
+}
+
+function lineOf(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (lineStarts[middle] <= offset) low = middle;
+        else high = middle - 1;
+    }
+    return low;
+}
+
+function computeLineStarts(text) {
+    const starts = [0];
+    for (let index = 0; index < text.length; index++) {
+        if (text[index] === '\n') starts.push(index + 1);
+    }
+    return starts;
+}
+
+/**
+ * Group physical lines into logical lines: open brackets and trailing
+ * backslashes continue a statement on the next line.
+ */
+function logicalLines(code, lineStarts, strings) {
+    const physical = code.split('\n');
+    // lines ending inside a multi-line string continue on the next line
+    const continued = new Set();
+    strings.forEach(string => {
+        for (let line = lineOf(lineStarts, string.start); line < lineOf(lineStarts, string.end); line++) continued.add(line);
+    });
+    const result = [];
+    let current = null;
+    let depth = 0;
+
+    physical.forEach((lineText, line) => {
+        const clean = lineText.replace(/\r$/, '');
+        if (!current) {
+            if (clean.trim() === '') return;
+            current = { line, endLine: line, indent: clean.length - clean.trimStart().length, start: lineStarts[line] };
+        }
+        current.endLine = line;
+
+        for (const char of clean) {
+            if (char === '(' || char === '[' || char === '{') depth += 1;
+            if (char === ')' || char === ']' || char === '}') depth = Math.max(0, depth - 1);
+        }
+        if (depth === 0 && !continued.has(line) && !clean.trimEnd().endsWith('\\')) {
+            current.end = lineStarts[line] + clean.length;
+            current.text = code.slice(current.start, current.end);
+            result.push(current);
+            current = null;
+        }
+    });
+
+    if (current) {
+        current.end = code.length;
+        current.text = code.slice(current.start, current.end);
+        result.push(current);
+    }
+    return result;
+}
+
+/**
+ * Split `text` at top-level commas (outside of brackets).
+ * @returns {Array<{text: string, offset: number}>}
+ */
+function splitTopLevel(text, separator = ',') {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (char === '(' || char === '[' || char === '{') depth += 1;
+        if (char === ')' || char === ']' || char === '}') depth -= 1;
+        if (char === separator && depth === 0) {
+            parts.push({ text: text.slice(start, index), offset: start });
+            start = index + 1;
+        }
+    }
+    parts.push({ text: text.slice(start), offset: start });
+    return parts.filter(part => part.text.trim() !== '');
+}
+
+/**
+ * Index of the bracket closing the one at `open`.
+ */
+function matchingBracket(text, open) {
+    let depth = 0;
+    for (let index = open; index < text.length; index++) {
+        if ('([{'.includes(text[index])) depth += 1;
+        if (')]}'.includes(text[index])) {
+            depth -= 1;
+            if (depth === 0) return index;
+        }
+    }
+    return text.length;
+}
+
+function collapse(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Unwrap `public(constant(uint256))` into the plain type and its modifiers.
+ */
+function unwrapType(annotation) {
+    const modifiers = {};
+    let type = collapse(annotation);
+    let match;
+    while ((match = /^(\w+)\s*\(([\s\S]*)\)$/.exec(type)) && VARIABLE_WRAPPERS.includes(match[1])) {
+        modifiers[match[1]] = true;
+        type = match[2].trim();
+    }
+    return { type, modifiers };
+}
+
+class Parser {
+    constructor(text) {
+        this.text = text;
+        const scanned = scan(text);
+        this.code = scanned.code;
+        this.strings = scanned.strings;
+        this.comments = scanned.comments;
+        this.lineStarts = computeLineStarts(text);
+        this.lines = logicalLines(this.code, this.lineStarts, this.strings);
+    }
+
+    positionAt(offset) {
+        const line = lineOf(this.lineStarts, offset);
+        return { line, column: offset - this.lineStarts[line] };
+    }
+
+    /**
+     * Location of `name` found at or after `offset` in the masked code.
+     */
+    locate(name, offset) {
+        const pattern = new RegExp(`\\b${name}\\b`, 'g');
+        pattern.lastIndex = offset;
+        const match = pattern.exec(this.code);
+        return this.positionAt(match ? match.index : offset);
+    }
+
+    /**
+     * Original source between two offsets, without comments.
+     */
+    raw(start, end) {
+        let text = '';
+        let from = start;
+        this.comments
+            .filter(comment => comment.start >= start && comment.start < end)
+            .forEach(comment => {
+                text += this.text.slice(from, comment.start);
+                from = comment.end;
+            });
+        return text + this.text.slice(from, end);
+    }
+
+    stringAt(offset) {
+        return this.strings.find(string => string.start <= offset && offset < string.end) || null;
+    }
+
+    /**
+     * Docstring of a block: a string literal being its first statement.
+     */
+    docstringOf(bodyLines) {
+        const first = bodyLines[0];
+        if (!first || !/^\s*(?:"""|'''|"|')/.test(first.text)) return null;
+        const string = this.stringAt(first.start + first.indent);
+        if (!string) return null;
+        return { value: string.value, line: first.line, endLine: first.endLine, column: first.indent };
+    }
+
+    parseParameters(text, offset) {
+        return splitTopLevel(text).map(part => {
+            const match = /^\s*(\w+)\s*(?::\s*([^=]+?))?\s*(?:=\s*([\s\S]+?))?\s*$/.exec(part.text);
+            if (!match) return null;
+            const start = offset + part.offset + part.text.indexOf(match[1]);
+            const position = this.positionAt(start);
+            return {
+                kind: 'parameter',
+                name: match[1],
+                type: match[2] ? collapse(match[2]) : '',
+                default: match[3] ? collapse(this.raw(start, offset + part.offset + part.text.length).replace(/^[^=]*=/, '')) : null,
+                line: position.line,
+                column: position.column
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * `def name(params) -> returns:` (also used for interface methods)
+     */
+    parseSignature(logical) {
+        const text = logical.text;
+        const header = /^\s*def\s+(\w+)\s*\(/.exec(text);
+        if (!header) return null;
+        const open = text.indexOf('(', header.index + header[0].length - 1);
+        const close = matchingBracket(text, open);
+        const rest = text.slice(close + 1);
+        const returns = /^\s*->\s*([\s\S]+?)\s*:/.exec(rest);
+        const colon = rest.indexOf(':', returns ? returns[0].length - 1 : 0);
+        const position = this.positionAt(logical.start + text.indexOf(header[1], header.index + 3));
+        return {
+            name: header[1],
+            line: position.line,
+            column: position.column,
+            params: this.parseParameters(text.slice(open + 1, close), logical.start + open + 1),
+            returns: returns ? collapse(returns[1]) : '',
+            // interface methods: `def f() -> uint256: view`
+            trailer: colon === -1 ? '' : collapse(rest.slice(colon + 1))
+        };
+    }
+
+    parseFunction(logical, decorators, body) {
+        const signature = this.parseSignature(logical);
+        if (!signature) return null;
+
+        const names = decorators.map(decorator => decorator.name);
+        const visibility = VISIBILITIES.find(name => names.includes(name)) ||
+            (signature.name === '__init__' && names.includes('external') ? 'deploy' : 'internal');
+        const mutability = MUTABILITIES.find(name => names.includes(name)) || 'nonpayable';
+
+        const locals = [];
+        body.forEach(statement => {
+            const annotated = /^(\s*)(\w+)\s*:\s*([^=]+?)\s*=(?!=)/.exec(statement.text);
+            if (annotated && !/^(?:if|elif|else|for|while|assert|return|raise|log)$/.test(annotated[2])) {
+                const position = this.positionAt(statement.start + annotated[1].length);
+                locals.push({ kind: 'local', name: annotated[2], type: collapse(annotated[3]), line: position.line, column: position.column });
+            }
+            const loop = /^(\s*)for\s+(\w+)\s*(?::\s*(.+?))?\s+in\b/.exec(statement.text);
+            if (loop) {
+                const position = this.positionAt(statement.start + statement.text.indexOf(loop[2], loop[1].length + 3));
+                locals.push({ kind: 'local', name: loop[2], type: loop[3] ? collapse(loop[3]) : '', line: position.line, column: position.column });
+            }
+        });
+
+        const last = body.length > 0 ? body[body.length - 1] : logical;
+        return {
+            kind: 'function',
+            name: signature.name,
+            line: signature.line,
+            column: signature.column,
+            startLine: decorators.length > 0 ? decorators[0].line : logical.line,
+            endLine: last.endLine,
+            decorators,
+            visibility,
+            mutability,
+            params: signature.params,
+            returns: signature.returns,
+            docstring: this.docstringOf(body),
+            locals,
+            statements: body,
+            bodyLine: body.length > 0 ? body[0].line : logical.endLine + 1
+        };
+    }
+
+    parseBlock(kind, name, logical, body) {
+        const position = this.locate(name, logical.start + logical.text.indexOf(name));
+        const members = [];
+
+        body.forEach(statement => {
+            if (kind === 'interface') {
+                const signature = this.parseSignature(statement);
+                if (!signature) return;
+                const trailer = signature.trailer.split(/\s+/).filter(Boolean);
+                members.push({
+                    kind: 'method',
+                    name: signature.name,
+                    line: signature.line,
+                    column: signature.column,
+                    params: signature.params,
+                    returns: signature.returns,
+                    mutability: MUTABILITIES.find(mutability => trailer.includes(mutability)) || 'nonpayable'
+                });
+                return;
+            }
+
+            if (kind === 'flag') {
+                const member = /^(\s*)(\w+)\s*$/.exec(statement.text);
+                if (!member) return;
+                const memberPosition = this.positionAt(statement.start + member[1].length);
+                members.push({ kind: 'member', name: member[2], line: memberPosition.line, column: memberPosition.column });
+                return;
+            }
+
+            const field = /^(\s*)(\w+)\s*:\s*([\s\S]+?)\s*$/.exec(statement.text);
+            if (!field) return;
+            const fieldPosition = this.positionAt(statement.start + field[1].length);
+            const indexed = /^indexed\s*\(([\s\S]*)\)$/.exec(field[3]);
+            members.push({
+                kind: 'field',
+                name: field[2],
+                type: collapse(indexed ? indexed[1] : field[3]),
+                indexed: Boolean(indexed),
+                line: fieldPosition.line,
+                column: fieldPosition.column
+            });
+        });
+
+        const last = body.length > 0 ? body[body.length - 1] : logical;
+        return {
+            kind,
+            name,
+            line: position.line,
+            column: position.column,
+            startLine: logical.line,
+            endLine: last.endLine,
+            members,
+            docstring: this.docstringOf(body)
+        };
+    }
+
+    parseVariable(logical, name, annotation, valueOffset) {
+        const { type, modifiers } = unwrapType(annotation);
+        const position = this.positionAt(logical.start + logical.text.indexOf(name));
+        let kind = 'variable';
+        if (modifiers.constant) kind = 'constant';
+        else if (modifiers.immutable) kind = 'immutable';
+        return {
+            kind,
+            name,
+            line: position.line,
+            column: position.column,
+            startLine: logical.line,
+            endLine: logical.endLine,
+            type,
+            public: Boolean(modifiers.public),
+            transient: Boolean(modifiers.transient),
+            value: valueOffset === -1 ? null : collapse(this.raw(logical.start + valueOffset, logical.end))
+        };
+    }
+
+    parseDirective(logical, kind, valueOffset) {
+        const value = logical.text.slice(valueOffset);
+        const names = [];
+        const pattern = /[A-Za-z_][\w.]*/g;
+        let match;
+        while ((match = pattern.exec(value)) !== null) {
+            // `initializes: lib[dep := other]` - only the initialized module and its dependencies
+            const position = this.positionAt(logical.start + valueOffset + match.index);
+            names.push({ name: match[0], line: position.line, column: position.column });
+        }
+        const position = this.positionAt(logical.start + logical.indent);
+        return {
+            kind,
+            line: position.line,
+            column: position.column,
+            endLine: logical.endLine,
+            value: collapse(this.raw(logical.start + valueOffset, logical.end)),
+            names
+        };
+    }
+
+    /**
+     * All identifiers outside of strings and comments.
+     * `qualifier` is the name left of a `.` (`self` for `self.foo`) or
+     * `<expr>` if the left hand side is a call or subscript.
+     */
+    tokens() {
+        const tokens = [];
+        const pattern = /[A-Za-z_]\w*/g;
+        let match;
+        while ((match = pattern.exec(this.code)) !== null) {
+            if (/[\d]/.test(this.code[match.index - 1] || '')) continue;
+            let qualifier = null;
+            const before = match.index - 1;
+            if (this.code[before] === '.') {
+                // `from . import x` and `from .. import x` have no qualifier
+                const left = this.code[before - 1] || '';
+                if (left === ')' || left === ']') {
+                    qualifier = '<expr>';
+                } else if (/\w/.test(left)) {
+                    const previous = /[A-Za-z_]\w*$/.exec(this.code.slice(Math.max(0, before - 100), before));
+                    qualifier = previous ? previous[0] : null;
+                }
+            }
+            const position = this.positionAt(match.index);
+            tokens.push({ name: match[0], offset: match.index, line: position.line, column: position.column, qualifier });
+        }
+        return tokens;
+    }
+
+    parse() {
+        const declarations = [];
+        const directives = [];
+        let decorators = [];
+        const topLevel = this.lines;
+        const moduleDocstring = this.docstringOf(topLevel);
+
+        for (let index = 0; index < topLevel.length; index++) {
+            const logical = topLevel[index];
+            if (logical.indent > 0) continue;
+
+            // the indented lines following a block header
+            const body = [];
+            let next = index + 1;
+            while (next < topLevel.length && topLevel[next].indent > 0) body.push(topLevel[next++]);
+
+            const text = logical.text.trim();
+            const decorator = /^@(\w+)\s*(?:\(([\s\S]*)\))?/.exec(text);
+            if (decorator) {
+                decorators.push({ name: decorator[1], args: decorator[2] ? collapse(decorator[2]) : null, line: logical.line });
+                continue;
+            }
+
+            if (/^def\b/.test(text)) {
+                const fn = this.parseFunction(logical, decorators, body);
+                if (fn) declarations.push(fn);
+                decorators = [];
+                index = next - 1;
+                continue;
+            }
+            decorators = [];
+
+            const block = /^(event|struct|flag|enum|interface)\s+(\w+)\s*:/.exec(text);
+            if (block) {
+                declarations.push(this.parseBlock(BLOCK_KINDS[block[1]], block[2], logical, body));
+                index = next - 1;
+                continue;
+            }
+
+            const annotated = /^(\w+)\s*:\s*/.exec(logical.text);
+            if (annotated) {
+                const afterColon = annotated[0].length;
+                if (DIRECTIVES.includes(annotated[1])) {
+                    directives.push(this.parseDirective(logical, annotated[1], afterColon));
+                    continue;
+                }
+                const assignment = /=(?!=)/.exec(logical.text.slice(afterColon));
+                const annotationEnd = assignment ? afterColon + assignment.index : logical.text.length;
+                const annotation = logical.text.slice(afterColon, annotationEnd);
+                // legacy `Transfer: event({...})` is not supported
+                if (/^\s*event\s*\(/.test(annotation)) continue;
+                declarations.push(this.parseVariable(
+                    logical,
+                    annotated[1],
+                    annotation,
+                    assignment ? annotationEnd + 1 : -1
+                ));
+            }
+        }
+
+        const imports = parseImports(this.text);
+        imports.forEach(statement => {
+            statement.names.forEach(name => {
+                const location = name.alias ? this.locate(name.alias, this.lineStarts[name.line] + name.column) : name;
+                declarations.push({
+                    kind: 'import',
+                    name: name.binding,
+                    line: location.line,
+                    column: location.column,
+                    startLine: statement.line,
+                    endLine: statement.line,
+                    statement,
+                    imported: name
+                });
+            });
+        });
+
+        return {
+            text: this.text,
+            code: this.code,
+            lineStarts: this.lineStarts,
+            statements: topLevel,
+            strings: this.strings,
+            comments: this.comments,
+            docstring: moduleDocstring,
+            declarations,
+            directives,
+            imports,
+            tokens: this.tokens()
+        };
+    }
+}
+
+const IMPORT_PATTERN = /^([ \t]*)import[ \t]+([\w.]+)(?:[ \t]+as[ \t]+(\w+))?/;
+const FROM_PATTERN = /^([ \t]*)from[ \t]+(\.*)([\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^#\r\n]+)/;
+
+/**
+ * Parse all import statements of a contract. Strings and comments are masked
+ * (see `scan`), an `import` line inside a docstring is not a statement.
+ * @param {string} text
+ * @returns {Array<{line: number, kind: string, module: string, level: number, moduleColumn: number,
+ *           names: Array<{name: string, alias: ?string, binding: string, line: number, column: number}>}>}
+ */
+function parseImports(text) {
+    // masking keeps every offset, names and columns are the same as in `text`
+    const lines = scan(text).code.split(/\r?\n/);
+    const statements = [];
+
+    for (let line = 0; line < lines.length; line++) {
+        const imported = IMPORT_PATTERN.exec(lines[line]);
+        if (imported) {
+            const column = lines[line].indexOf(imported[2], imported[1].length + 6);
+            statements.push({
+                line,
+                kind: 'import',
+                module: imported[2],
+                level: 0,
+                moduleColumn: column,
+                names: [{
+                    name: imported[2],
+                    alias: imported[3] || null,
+                    binding: imported[3] || imported[2].split('.').pop(),
+                    line,
+                    column
+                }]
+            });
+            continue;
+        }
+
+        // `from x import (a, b)` may span several lines
+        let source = lines[line];
+        let lastLine = line;
+        if (/^[ \t]*from\b.*\bimport[ \t]*\([^)]*$/.test(source)) {
+            while (lastLine + 1 < lines.length && !source.includes(')')) {
+                lastLine += 1;
+                source += '\n' + lines[lastLine];
+            }
+        }
+        const from = FROM_PATTERN.exec(source);
+        if (!from) continue;
+
+        const namesOffset = from.index + from[0].length - from[4].length;
+        const names = [];
+        const namePattern = /(\w+)(?:\s+as\s+(\w+))?/g;
+        let match;
+        while ((match = namePattern.exec(from[4])) !== null) {
+            // translate the offset inside the (possibly multi-line) statement into line/column
+            const absolute = namesOffset + match.index;
+            const before = source.slice(0, absolute);
+            const nameLine = line + (before.match(/\n/g) || []).length;
+            const column = absolute - (before.lastIndexOf('\n') + 1);
+            names.push({ name: match[1], alias: match[2] || null, binding: match[2] || match[1], line: nameLine, column });
+        }
+
+        statements.push({
+            line,
+            kind: 'from',
+            module: from[3],
+            level: from[2].length,
+            moduleColumn: source.indexOf(from[2] + from[3], from[1].length + 'from'.length),
+            names
+        });
+        line = lastLine;
+    }
+
+    return statements;
+}
+
+/**
+ * Parse a Vyper source.
+ * @param {string} text
+ * @returns {object} see `Parser.parse`
+ */
+function parse(text) {
+    return new Parser(text).parse();
+}
+
+/**
+ * Top-level declarations the parser missed but the compiler's annotated
+ * AST knows about (e.g. syntax the parser does not understand).
+ * @param {object} parsed - result of `parse`
+ * @param {object} ast - `vyper -f annotated_ast` output (`{ast: Module}` or the Module node)
+ */
+function mergeAstDeclarations(parsed, ast) {
+    const module = ast && (ast.ast || ast);
+    if (!module || !Array.isArray(module.body)) return parsed;
+
+    const kinds = {
+        FunctionDef: 'function',
+        EventDef: 'event',
+        StructDef: 'struct',
+        FlagDef: 'flag',
+        EnumDef: 'flag',
+        InterfaceDef: 'interface'
+    };
+    const lines = parsed.text.split(/\r?\n/);
+    const known = new Set(parsed.declarations.map(declaration => declaration.name));
+
+    module.body.forEach(node => {
+        let kind = kinds[node.ast_type];
+        let name = node.name;
+        if (node.ast_type === 'VariableDecl' && node.target) {
+            name = node.target.id;
+            kind = node.is_constant ? 'constant' : node.is_immutable ? 'immutable' : 'variable';
+        }
+        if (!kind || !name || known.has(name) || typeof node.lineno !== 'number') return;
+
+        const line = node.lineno - 1;
+        const column = Math.max(0, (lines[line] || '').indexOf(name, node.col_offset || 0));
+        parsed.declarations.push({
+            kind,
+            name,
+            line,
+            column,
+            startLine: line,
+            endLine: typeof node.end_lineno === 'number' ? node.end_lineno - 1 : line,
+            fromAst: true,
+            members: [],
+            params: [],
+            locals: [],
+            decorators: [],
+            statements: []
+        });
+        known.add(name);
+    });
+    return parsed;
+}
+
+module.exports = {
+    parse,
+    parseImports,
+    scan,
+    splitTopLevel,
+    matchingBracket,
+    mergeAstDeclarations
+};
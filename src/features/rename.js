@@ -0,0 +1,158 @@
+'use strict';
+/**
+ * @file rename.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Semantic rename across contracts and modules.
+ *
+ * The symbol under the cursor is resolved like Go to Definition and every
+ * identifier resolving to the same declaration is renamed: `self.` accesses,
+ * `log` statements, keyword arguments, imports and `exports:` in all
+ * workspace files. Strings and comments are left alone, except for the
+ * `@param` NatSpec tag of a renamed parameter.
+ *
+ * Builtins and symbols declared outside of the workspace can not be renamed.
+ * Renaming an ABI-visible name asks for confirmation first.
+ */
+
+const vscode = require('vscode');
+const mod_symbols = require('./symbols');
+const mod_navigation = require('./navigation');
+const { FUNCTIONS, ENVIRONMENT, TYPES } = require('./builtins');
+
+const RESERVED = [
+    'self', 'def', 'event', 'struct', 'flag', 'enum', 'interface', 'implements', 'uses', 'initializes', 'exports',
+    'import', 'from', 'as', 'if', 'elif', 'else', 'for', 'in', 'while', 'return', 'pass', 'break', 'continue',
+    'assert', 'raise', 'log', 'extcall', 'staticcall', 'and', 'or', 'not', 'True', 'False', 'None',
+    'public', 'constant', 'immutable', 'transient', 'indexed', 'external', 'internal', 'deploy', 'view', 'pure',
+    'payable', 'nonpayable', 'nonreentrant', 'UNREACHABLE'
+];
+
+function isBuiltin(name) {
+    return Boolean(FUNCTIONS[name] || ENVIRONMENT[name]) || TYPES.some(type => type.name === name) || RESERVED.includes(name);
+}
+
+/**
+ * The declaration containing a member or parameter.
+ */
+function parentOf(model, symbol) {
+    return model.declarations.find(declaration =>
+        (declaration.members || []).includes(symbol) ||
+        (declaration.params || []).includes(symbol) ||
+        (declaration.members || []).some(member => (member.params || []).includes(symbol))
+    ) || null;
+}
+
+/**
+ * Why renaming `symbol` changes the external interface, null if it does not.
+ */
+function abiImpact(model, symbol) {
+    const parent = parentOf(model, symbol);
+    switch (symbol.kind) {
+        case 'function':
+            return symbol.visibility === 'external' ? `\`${symbol.name}\` is an external function, its selector changes` : null;
+        case 'variable':
+        case 'constant':
+        case 'immutable':
+            return symbol.public ? `\`${symbol.name}\` is public, the selector of its getter changes` : null;
+        case 'event':
+            return `\`${symbol.name}\` is an event, its topic changes`;
+        case 'field':
+            return parent && parent.kind === 'event' ? `\`${symbol.name}\` is a field of the event \`${parent.name}\`` : null;
+        case 'method':
+            return `\`${symbol.name}\` is an interface method, calls will no longer match the target contract`;
+        case 'parameter':
+            return parent && parent.kind === 'function' && parent.visibility === 'external'
+                ? `\`${symbol.name}\` is a parameter of the external function \`${parent.name}\`, the ABI changes`
+                : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Resolve the symbol to rename or throw an error explaining why it can not be renamed.
+ */
+async function renameTarget(document, position) {
+    const model = mod_symbols.documentModel(document);
+    const token = mod_symbols.tokenAt(model, position.line, position.character);
+    if (!token) throw new Error('Place the cursor on a symbol to rename.');
+
+    const resolved = await mod_navigation.resolveToken(document.uri, model, model.tokens.indexOf(token));
+    if (!resolved) {
+        if (isBuiltin(token.name) || ENVIRONMENT[token.qualifier]) throw new Error(`\`${token.name}\` is a builtin and can not be renamed.`);
+        throw new Error(`Can not resolve \`${token.name}\`.`);
+    }
+    if (resolved.module) throw new Error('Modules are renamed by renaming their file.');
+    if (!vscode.workspace.getWorkspaceFolder(resolved.uri)) {
+        throw new Error(`\`${token.name}\` is declared outside of the workspace (${resolved.uri.fsPath}).`);
+    }
+    return { token, resolved };
+}
+
+/**
+ * `@param old` -> `@param new` in the docstring of the function declaring a parameter.
+ */
+function renameParamTag(edit, uri, model, symbol, newName) {
+    const parent = parentOf(model, symbol);
+    if (!parent || !parent.docstring) return;
+    const string = model.strings.find(candidate => model.lineStarts[parent.docstring.line] + parent.docstring.column === candidate.start);
+    if (!string) return;
+
+    const pattern = new RegExp(`@param\\s+(${symbol.name})\\b`, 'g');
+    const text = model.text.slice(string.start, string.end);
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const start = string.start + match.index + match[0].length - match[1].length;
+        const line = model.lineStarts.filter(lineStart => lineStart <= start).length - 1;
+        const column = start - model.lineStarts[line];
+        edit.replace(uri, new vscode.Range(line, column, line, column + symbol.name.length), newName);
+    }
+}
+
+class VyperRenameProvider {
+    async prepareRename(document, position) {
+        const { token } = await renameTarget(document, position);
+        return {
+            range: new vscode.Range(token.line, token.column, token.line, token.column + token.name.length),
+            placeholder: token.name
+        };
+    }
+
+    async provideRenameEdits(document, position, newName, cancel) {
+        if (!/^[A-Za-z_]\w*$/.test(newName)) throw new Error(`\`${newName}\` is not a valid identifier.`);
+        if (isBuiltin(newName)) throw new Error(`\`${newName}\` is reserved.`);
+
+        const { resolved } = await renameTarget(document, position);
+        const model = await mod_symbols.fileModel(resolved.uri);
+        const impact = model ? abiImpact(model, resolved.symbol) : null;
+        if (impact) {
+            const choice = await vscode.window.showWarningMessage(
+                `Renaming changes the external interface of the contract: ${impact}.`,
+                { modal: true },
+                'Rename Anyway'
+            );
+            if (choice !== 'Rename Anyway') return null;
+        }
+
+        const locations = await mod_navigation.findReferences(resolved, true, cancel);
+        const edit = new vscode.WorkspaceEdit();
+        locations.forEach(location => edit.replace(location.uri, location.range, newName));
+        if (model && resolved.symbol.kind === 'parameter') {
+            renameParamTag(edit, resolved.uri, model, resolved.symbol, newName);
+        }
+        return edit;
+    }
+}
+
+function init(context, type) {
+    context.subscriptions.push(
+        vscode.languages.registerRenameProvider(type, new VyperRenameProvider())
+    );
+}
+
+module.exports = {
+    init,
+    abiImpact
+};
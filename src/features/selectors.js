@@ -0,0 +1,176 @@
+'use strict';
+/**
+ * @file selectors.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Code lenses with the ABI signature and selector of external functions and
+ * public getters, and the topic0 of events. Clicking a lens copies it.
+ *
+ * Selectors colliding with another function of the contract or one it
+ * exports from an imported module are flagged, the lens opens the other
+ * function.
+ *
+ * Without `options.resolveType` (web) only types declared in the document
+ * itself are resolved and imported modules are not checked.
+ */
+
+const vscode = require('vscode');
+const settings = require('../settings');
+const mod_symbols = require('./symbols');
+const mod_abi = require('./abi');
+const { targetVersion } = require('./builtins');
+
+const COPY_COMMAND = 'vyper.copyToClipboard';
+const GETTER_KINDS = ['variable', 'immutable', 'constant'];
+
+function isLegacy(version) {
+    return Boolean(version) && version.major === 0 && version.minor < 4;
+}
+
+async function resolveLocalType(uri, model, name) {
+    const declaration = mod_symbols.topLevel(model, name);
+    return declaration ? { uri, symbol: declaration } : null;
+}
+
+/**
+ * `lookup(name)` for abi.js, resolving type names in `uri`.
+ */
+function typeLookup(uri, model, resolveType) {
+    return async name => {
+        const resolved = await resolveType(uri, model, name).catch(() => null);
+        if (!resolved) return null;
+        const declaringModel = resolved.uri.toString() === uri.toString() ? model : await mod_symbols.fileModel(resolved.uri);
+        return {
+            resolved,
+            lookup: declaringModel ? typeLookup(resolved.uri, declaringModel, resolveType) : async () => null
+        };
+    };
+}
+
+/**
+ * Entry points of a contract: external functions (one per number of default
+ * arguments) and getters of public variables.
+ * @returns {Promise<Array<{signature: string, selector: string, symbol: object, uri: vscode.Uri}>>}
+ */
+async function entryPoints(uri, model, resolveType) {
+    const lookup = typeLookup(uri, model, resolveType);
+    const legacy = isLegacy(targetVersion(model.text));
+    const entries = [];
+    for (const declaration of model.declarations) {
+        let signatures = null;
+        if (declaration.kind === 'function' && declaration.visibility === 'external' && !declaration.name.startsWith('__')) {
+            signatures = await mod_abi.functionSignatures(declaration, lookup, legacy);
+        } else if (GETTER_KINDS.includes(declaration.kind) && declaration.public) {
+            const signature = await mod_abi.getterSignature(declaration, lookup, legacy);
+            signatures = signature && [signature];
+        }
+        (signatures || []).forEach(signature => entries.push({ signature, selector: mod_abi.selector(signature), symbol: declaration, uri }));
+    }
+    return entries;
+}
+
+/**
+ * Entry points of imported modules that `model` exports: `exports: lib.f`,
+ * all of `lib.__interface__`, or the functions of an interface `lib.I`.
+ * Contracts before 0.4 can not export module functions.
+ */
+async function moduleEntryPoints(uri, model, resolveType) {
+    if (isLegacy(targetVersion(model.text))) return [];
+    // module binding -> exported names
+    const exported = new Map();
+    model.directives.filter(directive => directive.kind === 'exports').forEach(directive => {
+        directive.names.forEach(({ name }) => {
+            const dot = name.indexOf('.');
+            if (dot === -1) return;
+            const binding = name.slice(0, dot);
+            if (!exported.has(binding)) exported.set(binding, new Set());
+            exported.get(binding).add(name.slice(dot + 1));
+        });
+    });
+
+    const entries = [];
+    for (const [binding, names] of exported) {
+        const resolved = await resolveType(uri, model, binding).catch(() => null);
+        if (!resolved || !resolved.module || !resolved.uri.path.endsWith('.vy')) continue;
+        const imported = await mod_symbols.fileModel(resolved.uri);
+        if (!imported) continue;
+        const functions = new Set(names);
+        imported.declarations
+            .filter(declaration => declaration.kind === 'interface' && names.has(declaration.name))
+            .forEach(declaration => declaration.members.forEach(member => functions.add(member.name)));
+        const all = names.has('__interface__');
+        entries.push(...(await entryPoints(resolved.uri, imported, resolveType))
+            .filter(entry => all || functions.has(entry.symbol.name)));
+    }
+    return entries;
+}
+
+function copyLens(range, title, text, tooltip) {
+    return new vscode.CodeLens(range, { title, tooltip, command: COPY_COMMAND, arguments: [text] });
+}
+
+function collisionLens(range, entry, other, document) {
+    const where = other.uri.toString() === document.uri.toString() ? '' : ` in ${other.uri.path.split('/').pop()}`;
+    return new vscode.CodeLens(range, {
+        title: `$(warning) selector collides with ${other.signature}${where}`,
+        tooltip: `${entry.signature} and ${other.signature} both have the selector ${entry.selector}`,
+        command: 'vscode.open',
+        arguments: [other.uri, { selection: mod_symbols.toRange(other.symbol) }]
+    });
+}
+
+class VyperSelectorLensProvider {
+    constructor(resolveType) {
+        this.resolveType = resolveType;
+    }
+
+    async provideCodeLenses(document, cancel) {
+        if (!settings.extensionConfig(document.uri).codeLens.selectors) return [];
+        const model = mod_symbols.documentModel(document);
+        const own = await entryPoints(document.uri, model, this.resolveType);
+        const imported = this.resolveType === resolveLocalType ? [] : await moduleEntryPoints(document.uri, model, this.resolveType);
+        if (cancel.isCancellationRequested) return [];
+
+        const lenses = [];
+        const all = own.concat(imported);
+        own.forEach(entry => {
+            const range = new vscode.Range(entry.symbol.startLine, 0, entry.symbol.startLine, 0);
+            lenses.push(
+                copyLens(range, entry.signature, entry.signature, 'Copy the ABI signature'),
+                copyLens(range, `selector ${entry.selector}`, entry.selector, 'Copy the function selector')
+            );
+            all.filter(other => other.selector === entry.selector && other.signature !== entry.signature)
+                .forEach(other => lenses.push(collisionLens(range, entry, other, document)));
+        });
+
+        const lookup = typeLookup(document.uri, model, this.resolveType);
+        const legacy = isLegacy(targetVersion(model.text));
+        for (const event of model.declarations.filter(declaration => declaration.kind === 'event')) {
+            const signature = await mod_abi.eventSignature(event, lookup, legacy);
+            if (!signature) continue;
+            const topic = mod_abi.topic(signature);
+            const range = new vscode.Range(event.startLine, 0, event.startLine, 0);
+            lenses.push(
+                copyLens(range, signature, signature, 'Copy the ABI signature'),
+                copyLens(range, `topic0 ${topic.slice(0, 10)}…${topic.slice(-8)}`, topic, 'Copy the event topic (topic0)')
+            );
+        }
+        return lenses;
+    }
+}
+
+function init(context, type, options = {}) {
+    const provider = new VyperSelectorLensProvider(options.resolveType || resolveLocalType);
+    context.subscriptions.push(
+        vscode.languages.registerCodeLensProvider(type, provider),
+        vscode.commands.registerCommand(COPY_COMMAND, async text => {
+            await vscode.env.clipboard.writeText(text);
+            vscode.window.setStatusBarMessage(`Copied ${text}`, 3000);
+        })
+    );
+}
+
+module.exports = {
+    init
+};
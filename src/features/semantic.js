@@ -0,0 +1,194 @@
+'use strict';
+/**
+ * @file semantic.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Semantic tokens.
+ *
+ * Classifies identifiers by what they refer to so themes can tell storage
+ * variables, immutables, constants, parameters and locals apart:
+ *
+ * - storage variables are `property` with the `storage` modifier (plus
+ *   `public` / `transient`), immutables `property` with `immutable`,
+ *   constants `variable` with `constant`, all of them `modification` where
+ *   they are written
+ * - functions carry their visibility and mutability as modifiers, interface
+ *   methods their mutability
+ * - interfaces, structs, events, flags and imported modules have their own types
+ * - builtins are marked `defaultLibrary`
+ *
+ * Without `options.resolve` (web) only declarations of the document itself
+ * are classified.
+ */
+
+const vscode = require('vscode');
+const mod_symbols = require('./symbols');
+const { matchingBracket } = require('./parser');
+const { FUNCTIONS, ENVIRONMENT, TYPES } = require('./builtins');
+
+const TOKEN_TYPES = [
+    'namespace', 'type', 'struct', 'enum', 'interface', 'parameter', 'variable', 'property',
+    'enumMember', 'event', 'function', 'method'
+];
+const TOKEN_MODIFIERS = [
+    'declaration', 'readonly', 'modification', 'defaultLibrary',
+    'storage', 'immutable', 'constant', 'transient', 'public',
+    'external', 'internal', 'deploy', 'view', 'pure', 'payable', 'nonpayable'
+];
+const legend = new vscode.SemanticTokensLegend(TOKEN_TYPES, TOKEN_MODIFIERS);
+
+const BUILTIN_TYPES = new Set(TYPES.map(type => type.name));
+// interfaces shipped with the compiler, imported without a file to resolve
+const INTERFACE_NAMESPACES = ['ethereum.ercs', 'vyper.interfaces'];
+// navigation resolves every word of an import statement to the imported module
+const IMPORT_KEYWORDS = new Set(['from', 'import', 'as']);
+const ASSIGNMENT = /^\s*(?:[-+*/%&|^]|\/\/|\*\*|<<|>>)?=(?!=)/;
+
+/**
+ * Whether the identifier ending at `end` is assigned (`x = `, `x[k] += `,
+ * `x.field = `, `x.append(...)`).
+ */
+function isWrite(code, end) {
+    let index = end;
+    for (;;) {
+        while (code[index] === ' ' || code[index] === '\t') index += 1;
+        if (code[index] === '[') {
+            const close = matchingBracket(code, index);
+            if (close === -1) return false;
+            index = close + 1;
+        } else if (code[index] === '.' && /^\.\s*(?:append|pop)\s*\(/.test(code.slice(index, index + 20))) {
+            return true;
+        } else if (code[index] === '.' && /\w/.test(code[index + 1] || '')) {
+            index = /^\.\w+/.exec(code.slice(index))[0].length + index;
+        } else {
+            return ASSIGNMENT.test(code.slice(index, index + 4));
+        }
+    }
+}
+
+/**
+ * Token type and modifiers of a resolved symbol.
+ * @returns {?{type: string, modifiers: string[]}}
+ */
+function classify(resolved) {
+    if (resolved.module) return { type: 'namespace', modifiers: [] };
+    const symbol = resolved.symbol;
+    switch (symbol.kind) {
+        case 'variable':
+            return {
+                type: 'property',
+                modifiers: ['storage'].concat(symbol.public ? ['public'] : [], symbol.transient ? ['transient'] : [])
+            };
+        case 'immutable':
+            return { type: 'property', modifiers: ['immutable', 'readonly'].concat(symbol.public ? ['public'] : []) };
+        case 'constant':
+            return { type: 'variable', modifiers: ['constant', 'readonly'].concat(symbol.public ? ['public'] : []) };
+        case 'parameter':
+            return { type: 'parameter', modifiers: [] };
+        case 'local':
+            return { type: 'variable', modifiers: [] };
+        case 'function':
+            return { type: 'function', modifiers: [symbol.visibility, symbol.mutability].filter(Boolean) };
+        case 'method':
+            return { type: 'method', modifiers: [symbol.mutability].filter(Boolean) };
+        case 'interface':
+        case 'struct':
+        case 'event':
+            return { type: symbol.kind, modifiers: [] };
+        case 'flag':
+            return { type: 'enum', modifiers: [] };
+        case 'member':
+            return { type: 'enumMember', modifiers: ['readonly'] };
+        case 'field':
+            return { type: 'property', modifiers: [] };
+        case 'import': {
+            // not resolved to a file: a builtin interface or a module outside the workspace
+            const module = symbol.statement.kind === 'from' ? symbol.statement.module : '';
+            return INTERFACE_NAMESPACES.includes(module) ? { type: 'interface', modifiers: [] } : { type: 'namespace', modifiers: [] };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Classification of identifiers the compiler provides.
+ */
+function classifyBuiltin(model, token) {
+    if (token.qualifier) {
+        return ENVIRONMENT[token.qualifier] ? { type: 'property', modifiers: ['defaultLibrary', 'readonly'] } : null;
+    }
+    if (ENVIRONMENT[token.name] && model.code[token.offset + token.name.length] === '.') {
+        return { type: 'variable', modifiers: ['defaultLibrary', 'readonly'] };
+    }
+    if (BUILTIN_TYPES.has(token.name)) return { type: 'type', modifiers: ['defaultLibrary'] };
+    if (FUNCTIONS[token.name] && /^\s*\(/.test(model.code.slice(token.offset + token.name.length))) {
+        return { type: 'function', modifiers: ['defaultLibrary'] };
+    }
+    return null;
+}
+
+/**
+ * Semantic tokens of the identifiers of `document` within `range` (all if omitted).
+ */
+async function provideTokens(document, resolve, range, cancel) {
+    const model = mod_symbols.documentModel(document);
+    const builder = new vscode.SemanticTokensBuilder(legend);
+    const first = range ? range.start.line : 0;
+    const last = range ? range.end.line : Number.MAX_SAFE_INTEGER;
+
+    for (let index = 0; index < model.tokens.length; index++) {
+        if (cancel && cancel.isCancellationRequested) return null;
+        const token = model.tokens[index];
+        if (token.line < first) continue;
+        if (token.line > last) break;
+        if (!token.qualifier && (token.name === 'self' || IMPORT_KEYWORDS.has(token.name))) continue;
+
+        let classified = null;
+        const resolved = await resolve(document.uri, model, index).catch(() => null);
+        if (resolved && resolved.symbol) {
+            classified = classify(resolved);
+            if (classified) {
+                const symbol = resolved.symbol;
+                const own = resolved.uri.toString() === document.uri.toString() &&
+                    symbol.line === token.line && symbol.column === token.column;
+                if (own) classified.modifiers.push('declaration');
+                else if (['property', 'variable', 'parameter'].includes(classified.type) &&
+                    !classified.modifiers.includes('readonly') && isWrite(model.code, token.offset + token.name.length)) {
+                    classified.modifiers.push('modification');
+                }
+            }
+        }
+        if (!classified) classified = classifyBuiltin(model, token);
+        if (!classified) continue;
+
+        builder.push(
+            new vscode.Range(token.line, token.column, token.line, token.column + token.name.length),
+            classified.type,
+            classified.modifiers
+        );
+    }
+    return builder.build();
+}
+
+function init(context, type, options = {}) {
+    const resolve = options.resolve || mod_symbols.resolveLocal;
+    context.subscriptions.push(
+        vscode.languages.registerDocumentSemanticTokensProvider(type, {
+            provideDocumentSemanticTokens(document, cancel) {
+                return provideTokens(document, resolve, null, cancel);
+            }
+        }, legend),
+        vscode.languages.registerDocumentRangeSemanticTokensProvider(type, {
+            provideDocumentRangeSemanticTokens(document, range, cancel) {
+                return provideTokens(document, resolve, range, cancel);
+            }
+        }, legend)
+    );
+}
+
+module.exports = {
+    init,
+    legend
+};
@@ -3,23 +3,164 @@
  * @author github.com/zknpr
  * @license MIT
  *
+ * Signature help (parameter hints) for builtins, functions of the current
+ * file and imported modules, interface methods, struct constructors and
+ * `log` statements. The active parameter follows keyword arguments.
  * */
+const vscode = require('vscode');
+const mod_symbols = require('./symbols');
+const { FUNCTIONS, signatureLabel } = require('./builtins');
+const { parseNatspec } = require('./natspec');
 
-class VyperSignatureHelpProvider {
-    provideSignatureHelp(document, position, token, context) {
-        return new Promise((resolve, reject) => {
-            position = position.translate(0, -1);
-            const range = document.getWordRangeAtPosition(position);
-            if (!range) {
-                return reject();
+/**
+ * The call whose argument list contains `offset`.
+ * @returns {?{open: number, argument: number, keyword: ?string}} offset of
+ *          the opening parenthesis, index of the positional argument and the
+ *          name of the keyword argument being typed
+ */
+function enclosingCall(model, offset) {
+    const code = model.code;
+    const statement = model.statements.find(candidate => candidate.start <= offset && offset <= candidate.end);
+    const start = statement ? statement.start : Math.max(0, offset - 2000);
+
+    let depth = 0;
+    let argument = 0;
+    let argumentStart = offset;
+    for (let index = offset - 1; index >= start; index--) {
+        const char = code[index];
+        if (char === ')' || char === ']' || char === '}') depth += 1;
+        else if (char === '[' || char === '{') {
+            if (depth === 0) return null;
+            depth -= 1;
+        } else if (char === '(') {
+            if (depth === 0) {
+                if (argument === 0) argumentStart = index + 1;
+                const current = /^\s*(\w+)\s*=(?!=)/.exec(code.slice(argumentStart, offset));
+                return { open: index, argument, keyword: current ? current[1] : null };
             }
-            const name = document.getText(range);
-            console.log(name);
-            console.log(context);
-        });
+            depth -= 1;
+        } else if (char === ',' && depth === 0) {
+            if (argument === 0) argumentStart = index + 1;
+            argument += 1;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parameters and label of a resolved declaration.
+ */
+function signatureOfSymbol(symbol) {
+    switch (symbol.kind) {
+        case 'function':
+        case 'method': {
+            const doc = symbol.docstring ? parseNatspec(symbol.docstring.value) : null;
+            return {
+                name: symbol.name,
+                params: symbol.params.map(entry => ({
+                    name: entry.name,
+                    type: entry.type,
+                    default: entry.default,
+                    documentation: doc ? doc.params[entry.name] : undefined
+                })),
+                returns: symbol.returns,
+                documentation: doc ? [doc.notice, doc.dev].filter(Boolean).join('\n\n') : undefined
+            };
+        }
+        case 'struct':
+        case 'event':
+            return {
+                name: symbol.name,
+                // struct constructors take keyword arguments only
+                params: symbol.members.map(member => ({ name: member.name, type: member.type, keyword: symbol.kind === 'struct' })),
+                returns: symbol.kind === 'struct' ? symbol.name : '',
+                documentation: symbol.docstring ? parseNatspec(symbol.docstring.value).notice : undefined
+            };
+        case 'interface':
+            return { name: symbol.name, params: [{ name: 'addr', type: 'address' }], returns: symbol.name };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Which parameter an argument binds to.
+ */
+function activeParameter(params, call) {
+    if (call.keyword) {
+        const named = params.findIndex(entry => entry.name === call.keyword);
+        return named === -1 ? params.length : named;
+    }
+    const variadic = params.findIndex(entry => entry.variadic);
+    if (variadic !== -1 && call.argument >= variadic) return variadic;
+    const positional = params.filter(entry => !entry.keyword).length;
+    return call.argument < positional ? call.argument : params.length;
+}
+
+class VyperSignatureHelpProvider {
+    /**
+     * @param {function} [resolve] - `(uri, model, tokenIndex) => Promise<?{uri, symbol}>`
+     */
+    constructor(resolve) {
+        this.resolve = resolve || mod_symbols.resolveLocal;
+    }
+
+    async provideSignatureHelp(document, position) {
+        const model = mod_symbols.documentModel(document);
+        const call = enclosingCall(model, document.offsetAt(position));
+        if (!call) return null;
+
+        let end = call.open;
+        while (end > 0 && /\s/.test(model.code[end - 1])) end -= 1;
+        const index = mod_symbols.tokenEndingAt(model, end);
+        if (index === -1) return null;
+        const token = model.tokens[index];
+
+        let signature = null;
+        const shadowed = mod_symbols.topLevel(model, token.name);
+        if (!token.qualifier && !shadowed && FUNCTIONS[token.name]) {
+            const builtin = FUNCTIONS[token.name];
+            signature = { name: token.name, params: builtin.params, returns: builtin.returns, documentation: builtin.description };
+        } else {
+            const resolved = await this.resolve(document.uri, model, index);
+            signature = resolved ? signatureOfSymbol(resolved.symbol) : null;
+        }
+        if (!signature) return null;
+
+        const { label, offsets } = signatureLabel(signature.name, signature.params, signature.returns);
+        const information = new vscode.SignatureInformation(
+            label,
+            signature.documentation ? new vscode.MarkdownString(signature.documentation) : undefined
+        );
+        information.parameters = signature.params.map((entry, position) => new vscode.ParameterInformation(
+            offsets[position],
+            entry.documentation ? new vscode.MarkdownString(entry.documentation) : undefined
+        ));
+
+        const help = new vscode.SignatureHelp();
+        help.signatures = [information];
+        help.activeSignature = 0;
+        help.activeParameter = activeParameter(signature.params, call);
+        return help;
     }
 }
 
+/**
+ * @param {vscode.ExtensionContext} context
+ * @param {string} type - language id
+ * @param {{resolve?: function}} [options] - resolver for imported symbols (desktop only)
+ */
+function init(context, type, options = {}) {
+    context.subscriptions.push(
+        vscode.languages.registerSignatureHelpProvider(
+            { language: type },
+            new VyperSignatureHelpProvider(options.resolve),
+            { triggerCharacters: ['(', ','], retriggerCharacters: ['='] }
+        )
+    );
+}
+
 module.exports = {
+    init,
     VyperSignatureHelpProvider: VyperSignatureHelpProvider
 };
@@ -0,0 +1,144 @@
+'use strict';
+/**
+ * @file symbols.index.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Workspace wide index of the declarations of all `.vy`/`.vyi` files.
+ *
+ * The index is built on first use and then kept up to date incrementally:
+ * a file system watcher re-indexes created, changed and deleted files and
+ * edits of open documents are picked up before the next query.
+ */
+
+const vscode = require('vscode');
+const settings = require('../settings');
+const mod_symbols = require('./symbols');
+
+class SymbolIndex {
+    constructor() {
+        // uri -> entries [{name, kind, container, line, column}]
+        this.files = new Map();
+        // uri -> vscode.Uri to re-read before the next query
+        this.stale = new Map();
+        this.ready = null;
+    }
+
+    /**
+     * Flatten the declarations of a model into index entries.
+     */
+    static entriesOf(model) {
+        const entries = [];
+        model.declarations.forEach(declaration => {
+            entries.push({ name: declaration.name, kind: declaration.kind, container: null, line: declaration.line, column: declaration.column });
+            (declaration.members || []).forEach(member => {
+                entries.push({ name: member.name, kind: member.kind, container: declaration.name, line: member.line, column: member.column });
+            });
+        });
+        return entries;
+    }
+
+    async indexFile(uri) {
+        const model = await mod_symbols.fileModel(uri);
+        if (model) this.files.set(uri.toString(), { uri, entries: SymbolIndex.entriesOf(model) });
+        else this.files.delete(uri.toString());
+    }
+
+    remove(uri) {
+        this.files.delete(uri.toString());
+        this.stale.delete(uri.toString());
+        mod_symbols.forget(uri);
+    }
+
+    invalidate(uri) {
+        if (this.ready) this.stale.set(uri.toString(), uri);
+    }
+
+    /**
+     * Wait for the initial build and re-index what changed since the last query.
+     */
+    async refresh() {
+        if (!this.ready) {
+            this.ready = mod_symbols.workspaceSources().then(uris =>
+                Promise.all(uris.map(uri => this.indexFile(uri)))
+            );
+        }
+        await this.ready;
+
+        const stale = Array.from(this.stale.values());
+        this.stale.clear();
+        await Promise.all(stale.map(uri => this.indexFile(uri)));
+    }
+
+    /**
+     * Uris of all indexed sources.
+     * @returns {Promise<vscode.Uri[]>}
+     */
+    async uris() {
+        await this.refresh();
+        return Array.from(this.files.values()).map(file => file.uri);
+    }
+
+    /**
+     * Entries whose name fuzzy matches `query`.
+     * @returns {Promise<Array<{uri: vscode.Uri, entry: object}>>}
+     */
+    async search(query) {
+        await this.refresh();
+        const results = [];
+        this.files.forEach(file => {
+            file.entries
+                .filter(entry => entry.kind !== 'import' && fuzzyMatch(query, entry.name))
+                .forEach(entry => results.push({ uri: file.uri, entry }));
+        });
+        return results;
+    }
+
+    reset() {
+        this.files.clear();
+        this.stale.clear();
+        this.ready = null;
+    }
+}
+
+/**
+ * Case-insensitive subsequence match (`tfr` matches `transferFrom`).
+ */
+function fuzzyMatch(query, name) {
+    const needle = query.toLowerCase();
+    const haystack = name.toLowerCase();
+    let position = 0;
+    for (const char of needle) {
+        position = haystack.indexOf(char, position);
+        if (position === -1) return false;
+        position += 1;
+    }
+    return true;
+}
+
+const index = new SymbolIndex();
+
+function init(context) {
+    const watcher = vscode.workspace.createFileSystemWatcher('**/*.{vy,vyi}');
+    context.subscriptions.push(
+        watcher,
+        watcher.onDidCreate(uri => mod_symbols.isWorkspaceSource(uri) && index.invalidate(uri)),
+        watcher.onDidChange(uri => mod_symbols.isWorkspaceSource(uri) && index.invalidate(uri)),
+        watcher.onDidDelete(uri => index.remove(uri)),
+        vscode.workspace.onDidChangeTextDocument(event => {
+            if (event.document.languageId === settings.LANGUAGE_ID && mod_symbols.isWorkspaceSource(event.document.uri)) {
+                index.invalidate(event.document.uri);
+            }
+        }),
+        vscode.workspace.onDidChangeWorkspaceFolders(() => index.reset()),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('vyper.compile.exclude')) index.reset();
+        })
+    );
+}
+
+module.exports = {
+    init,
+    index,
+    fuzzyMatch
+};
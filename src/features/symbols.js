@@ -0,0 +1,212 @@
+'use strict';
+/**
+ * @file symbols.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Parsed models of Vyper sources, shared by the language features.
+ *
+ * Models are cached by content. Open documents are used as they are, other
+ * files are read from disk. When the compiler's annotated AST of an unchanged
+ * file is available its declarations complete the lightweight parser's model.
+ */
+
+const vscode = require('vscode');
+const settings = require('../settings');
+const mod_parser = require('./parser');
+const { matchesGlob } = require('./glob');
+
+// uri -> { text, model }
+const models = new Map();
+// uri -> { text, ast } of the last successful compilation
+const compiledAsts = new Map();
+
+const SOURCE_GLOB = '**/*.{vy,vyi}';
+// temporary copies written for compile-on-type (see `writeShadowCopy` in compile.js)
+const SHADOW_PATTERN = /\.vyperex-\d+-\d+\.vy$/;
+
+/**
+ * Model of `text`, parsed once per distinct content.
+ * @param {vscode.Uri} uri
+ * @param {string} text
+ */
+function modelFor(uri, text) {
+    const key = uri.toString();
+    const cached = models.get(key);
+    if (cached && cached.text === text) return cached.model;
+
+    const model = mod_parser.parse(text);
+    const compiled = compiledAsts.get(key);
+    if (compiled && compiled.text === text) mod_parser.mergeAstDeclarations(model, compiled.ast);
+    models.set(key, { text, model });
+    return model;
+}
+
+/**
+ * @param {vscode.TextDocument} document
+ */
+function documentModel(document) {
+    return modelFor(document.uri, document.getText());
+}
+
+/**
+ * Text of a source, preferring the (possibly unsaved) open document.
+ * @param {vscode.Uri} uri
+ * @returns {Promise<?string>}
+ */
+async function readText(uri) {
+    const open = vscode.workspace.textDocuments.find(document => document.uri.toString() === uri.toString());
+    if (open) return open.getText();
+    try {
+        return new TextDecoder().decode(await vscode.workspace.fs.readFile(uri));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Model of any source file, open or not.
+ * @param {vscode.Uri} uri
+ * @returns {Promise<?object>}
+ */
+async function fileModel(uri) {
+    if (!/\.vyi?$/.test(uri.path)) return null;
+    const text = await readText(uri);
+    return text === null ? null : modelFor(uri, text);
+}
+
+function forget(uri) {
+    models.delete(uri.toString());
+}
+
+/**
+ * Whether `uri` is a Vyper source of the workspace (`vyper.compile.exclude` applies).
+ * @param {vscode.Uri} uri
+ */
+function isWorkspaceSource(uri) {
+    const exclude = settings.extensionConfig().compile.exclude || [];
+    return /\.vyi?$/.test(uri.path) &&
+        !SHADOW_PATTERN.test(uri.path) &&
+        !matchesGlob(vscode.workspace.asRelativePath(uri, false), exclude);
+}
+
+/**
+ * All Vyper sources of the workspace.
+ * @returns {Promise<vscode.Uri[]>}
+ */
+async function workspaceSources() {
+    const uris = await vscode.workspace.findFiles(SOURCE_GLOB);
+    return uris.filter(isWorkspaceSource);
+}
+
+/**
+ * Identifier token at a position.
+ */
+function tokenAt(model, line, character) {
+    return model.tokens.find(token =>
+        token.line === line && character >= token.column && character <= token.column + token.name.length
+    ) || null;
+}
+
+/**
+ * Index of the token ending exactly at `offset`, -1 if there is none.
+ */
+function tokenEndingAt(model, offset) {
+    // tokens are sorted by offset
+    let low = 0;
+    let high = model.tokens.length - 1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        const token = model.tokens[middle];
+        const end = token.offset + token.name.length;
+        if (end === offset) return middle;
+        if (end < offset) low = middle + 1;
+        else high = middle - 1;
+    }
+    return -1;
+}
+
+/**
+ * Top-level declaration named `name`, optionally restricted to `kinds`.
+ */
+function topLevel(model, name, kinds) {
+    return model.declarations.find(declaration =>
+        declaration.name === name && (!kinds || kinds.includes(declaration.kind))
+    ) || null;
+}
+
+/**
+ * Resolution without import support (used where modules can not be read,
+ * e.g. in the web extension): `self.` members and top-level declarations.
+ * @returns {Promise<?{uri: vscode.Uri, symbol: object}>}
+ */
+async function resolveLocal(uri, model, index) {
+    const token = model.tokens[index];
+    if (!token || (token.qualifier && token.qualifier !== 'self')) return null;
+    const scope = token.qualifier ? null : enclosingFunction(model, token.line);
+    const local = scope && scope.params.concat(scope.locals).find(candidate => candidate.name === token.name);
+    if (local) return { uri, symbol: local };
+    const declaration = topLevel(model, token.name);
+    return declaration ? { uri, symbol: declaration } : null;
+}
+
+/**
+ * Function whose definition (decorators included) spans `line`.
+ */
+function enclosingFunction(model, line) {
+    return model.declarations.find(declaration =>
+        declaration.kind === 'function' && line >= declaration.startLine && line <= declaration.endLine
+    ) || null;
+}
+
+/**
+ * Range of a symbol's name.
+ */
+function toRange(symbol) {
+    return new vscode.Range(symbol.line, symbol.column, symbol.line, symbol.column + symbol.name.length);
+}
+
+/**
+ * Remember the annotated AST of a successful compilation of `uri`.
+ */
+function onDidCompile(uri, contract) {
+    const output = contract && contract.outputs && contract.outputs.annotated_ast;
+    if (!output) return;
+    const open = vscode.workspace.textDocuments.find(document => document.uri.toString() === uri.toString());
+    if (!open || open.isDirty) return;
+    try {
+        compiledAsts.set(uri.toString(), { text: open.getText(), ast: JSON.parse(output) });
+        forget(uri);
+    } catch {
+        // not json (older compilers print a python repr)
+    }
+}
+
+function init(context) {
+    context.subscriptions.push(
+        vscode.workspace.onDidCloseTextDocument(document => forget(document.uri)),
+        vscode.workspace.onDidDeleteFiles(event => event.files.forEach(uri => {
+            forget(uri);
+            compiledAsts.delete(uri.toString());
+        }))
+    );
+}
+
+module.exports = {
+    init,
+    onDidCompile,
+    modelFor,
+    documentModel,
+    fileModel,
+    readText,
+    forget,
+    isWorkspaceSource,
+    workspaceSources,
+    tokenAt,
+    tokenEndingAt,
+    topLevel,
+    enclosingFunction,
+    resolveLocal,
+    toRange,
+    SHADOW_PATTERN
+};
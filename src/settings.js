@@ -10,8 +10,11 @@ const vscode = require('vscode');
 
 const LANGUAGE_ID = 'vyper';
 
-function extensionConfig() {
-    return vscode.workspace.getConfiguration(LANGUAGE_ID);
+/**
+ * @param {vscode.Uri|vscode.WorkspaceFolder} [scope] - resource or folder for folder-level settings
+ */
+function extensionConfig(scope) {
+    return vscode.workspace.getConfiguration(LANGUAGE_ID, scope);
 }
 
 module.exports = {
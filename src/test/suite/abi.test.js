@@ -0,0 +1,111 @@
+'use strict';
+/**
+ * @file abi.test.js
+ * @author github.com/zknpr
+ * @license MIT
+ */
+
+const assert = require('./assert');
+const { parse } = require('../../features/parser');
+const abi = require('../../features/abi');
+
+const SOURCE = [
+    'interface IToken:',
+    '    def transfer(to: address, amount: uint256) -> bool: nonpayable',
+    '',
+    'flag Roles:',
+    '    ADMIN',
+    '    USER',
+    '',
+    'struct Point:',
+    '    x: int128',
+    '    y: decimal',
+    '',
+    'struct Line:',
+    '    a: Point',
+    '    b: Point',
+    '',
+    'N: constant(uint256) = 3',
+    '',
+    'event Transfer:',
+    '    sender: indexed(address)',
+    '    receiver: indexed(address)',
+    '    value: uint256',
+    '',
+    'balances: public(HashMap[address, DynArray[Point, 10]])',
+    'name: public(String[32])',
+    'points: public(Point[N])',
+    '',
+    '@external',
+    'def transfer(to: address, amount: uint256) -> bool:',
+    '    return True',
+    '',
+    '@external',
+    'def move(p: Point, path: DynArray[Line, 5], q: int128[N], d: decimal = 1.0, s: String[10] = "a") -> bool:',
+    '    return True',
+    '',
+    '@external',
+    'def grant(token: IToken, role: Roles, data: Bytes[100]):',
+    '    pass',
+    '',
+    '@external',
+    'def broken(x: Unknown):',
+    '    pass',
+    ''
+].join('\n');
+
+const model = parse(SOURCE);
+
+function declaration(name) {
+    return model.declarations.find(candidate => candidate.name === name);
+}
+
+// resolves names declared in SOURCE, see navigation.js for the real one
+async function lookup(name) {
+    const symbol = declaration(name);
+    return symbol ? { resolved: { uri: null, symbol }, lookup } : null;
+}
+
+suite('abi', () => {
+    test('selector and topic', () => {
+        assert.equal(abi.selector('transfer(address,uint256)'), '0xa9059cbb');
+        assert.equal(abi.topic('Transfer(address,address,uint256)'), '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef');
+    });
+
+    test('function signature', async () => {
+        assert.deepEqual(await abi.functionSignatures(declaration('transfer'), lookup, false), ['transfer(address,uint256)']);
+    });
+
+    test('structs, DynArray, constant lengths and default arguments', async () => {
+        assert.deepEqual(await abi.functionSignatures(declaration('move'), lookup, false), [
+            'move((int128,int168),((int128,int168),(int128,int168))[],int128[3])',
+            'move((int128,int168),((int128,int168),(int128,int168))[],int128[3],int168)',
+            'move((int128,int168),((int128,int168),(int128,int168))[],int128[3],int168,string)'
+        ]);
+    });
+
+    test('decimal before 0.4', async () => {
+        assert.equal(await abi.abiType('decimal', lookup, true), 'fixed168x10');
+        assert.equal(await abi.abiType('decimal', lookup, false), 'int168');
+        assert.equal(await abi.abiType('DynArray[decimal, 3]', lookup, true), 'fixed168x10[]');
+    });
+
+    test('interfaces, flags and bytes', async () => {
+        assert.deepEqual(await abi.functionSignatures(declaration('grant'), lookup, false), ['grant(address,uint256,bytes)']);
+    });
+
+    test('unknown types have no signature', async () => {
+        assert.equal(await abi.functionSignatures(declaration('broken'), lookup, false), null);
+        assert.equal(await abi.abiType('HashMap[address, uint256]', lookup, false), null);
+    });
+
+    test('getters take one argument per key and index', async () => {
+        assert.equal(await abi.getterSignature(declaration('balances'), lookup, false), 'balances(address,uint256)');
+        assert.equal(await abi.getterSignature(declaration('name'), lookup, false), 'name()');
+        assert.equal(await abi.getterSignature(declaration('points'), lookup, false), 'points(uint256)');
+    });
+
+    test('event signature', async () => {
+        assert.equal(await abi.eventSignature(declaration('Transfer'), lookup, false), 'Transfer(address,address,uint256)');
+    });
+});
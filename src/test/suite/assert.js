@@ -0,0 +1,33 @@
+'use strict';
+/**
+ * @file assert.js
+ * @author github.com/zknpr
+ * @license MIT
+ *
+ * Minimal assertions for the test suite. The suite runs in the web extension
+ * host, where node's `assert` module is not available.
+ */
+
+function format(value) {
+    return JSON.stringify(value);
+}
+
+function equal(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${format(expected)}, got ${format(actual)}`);
+    }
+}
+
+/**
+ * Structural equality of JSON compatible values.
+ */
+function deepEqual(actual, expected, message) {
+    if (format(actual) !== format(expected)) {
+        throw new Error(message || `Expected ${format(expected)}, got ${format(actual)}`);
+    }
+}
+
+module.exports = {
+    equal,
+    deepEqual
+};
@@ -0,0 +1,127 @@
+'use strict';
+/**
+ * @file compile.errors.test.js
+ * @author github.com/zknpr
+ * @license MIT
+ */
+
+const assert = require('./assert');
+const { parseCompilerOutput } = require('../../features/compile.errors');
+
+suite('parseCompilerOutput', () => {
+    test('0.4 error with scope, column and hint', () => {
+        const output = [
+            'vyper.exceptions.TypeMismatch: Given reference has type int128, expected uint256',
+            '',
+            '  contract "contracts/Foo.vy:7", function "foo", line 7:11 ',
+            '       6 def foo() -> uint256:',
+            '  ---> 7     return x',
+            '  ------------------^',
+            '       8',
+            '',
+            '  (hint: did you mean `y`?)',
+            ''
+        ].join('\n');
+        assert.deepEqual(parseCompilerOutput(output), [{
+            severity: 'error',
+            code: 'TypeMismatch',
+            message: 'Given reference has type int128, expected uint256',
+            hints: ['did you mean `y`?'],
+            frames: [{ file: 'contracts/Foo.vy', line: 7, column: 11, scope: 'foo' }]
+        }]);
+    });
+
+    test('0.4 error with frames in several files and several hints', () => {
+        const output = [
+            'vyper.exceptions.InvalidType: Value is not a valid type',
+            '',
+            '  contract "lib.vy:3", line 3:4 ',
+            '       2',
+            '  ---> 3 x: foo',
+            '  ---------^',
+            '       4',
+            '',
+            '  contract "main.vy:2", line 2:0 ',
+            '  ---> 2 import lib',
+            '  -------^',
+            '',
+            '  (hint: first)',
+            '  (hint: second)'
+        ].join('\r\n');
+        const [problem] = parseCompilerOutput(output);
+        assert.deepEqual(problem.frames, [
+            { file: 'lib.vy', line: 3, column: 4, scope: null },
+            { file: 'main.vy', line: 2, column: 0, scope: null }
+        ]);
+        assert.deepEqual(problem.hints, ['first', 'second']);
+    });
+
+    test('0.3 error without blank line after the header', () => {
+        const output = [
+            "vyper.exceptions.UndeclaredDefinition: 'bar' has not been declared. ",
+            '  function "foo", line 4:4 ',
+            '       3 def foo():',
+            '  ---> 4     bar()',
+            '  -----------^',
+            '       5'
+        ].join('\n');
+        assert.deepEqual(parseCompilerOutput(output), [{
+            severity: 'error',
+            code: 'UndeclaredDefinition',
+            message: "'bar' has not been declared.",
+            hints: [],
+            frames: [{ file: null, line: 4, column: 4, scope: 'foo' }]
+        }]);
+    });
+
+    test('0.3 inline location', () => {
+        const [problem] = parseCompilerOutput('vyper.exceptions.StructureException: line 5:0 Invalid top-level statement');
+        assert.equal(problem.message, 'Invalid top-level statement');
+        assert.deepEqual(problem.frames, [{ file: null, line: 5, column: 0, scope: null }]);
+    });
+
+    test('python syntax error', () => {
+        const [problem] = parseCompilerOutput('vyper.exceptions.SyntaxException: invalid syntax (<unknown>, line 3)');
+        assert.equal(problem.code, 'SyntaxException');
+        assert.deepEqual(problem.frames, [{ file: null, line: 3, column: null, scope: null }]);
+    });
+
+    test('traceback frames are not contract locations', () => {
+        const output = [
+            'Traceback (most recent call last):',
+            '  File "/usr/bin/vyper", line 8, in <module>',
+            '    sys.exit(_parse_cli_arguments())',
+            'vyper.exceptions.CompilerPanic: unhandled exception'
+        ].join('\n');
+        const problems = parseCompilerOutput(output);
+        assert.equal(problems.length, 1);
+        assert.equal(problems[0].code, 'CompilerPanic');
+        assert.deepEqual(problems[0].frames, []);
+    });
+
+    test('multi-line message and several problems', () => {
+        const output = [
+            'vyper.warnings.ContractSizeLimitWarning: Length of code is 30000 bytes,',
+            'exceeding the limit of 24576 bytes.',
+            '',
+            'vyper.exceptions.StructureException: line 1:0 Invalid top-level statement'
+        ].join('\n');
+        const problems = parseCompilerOutput(output);
+        assert.deepEqual(problems.map(problem => [problem.severity, problem.code]), [
+            ['warning', 'ContractSizeLimitWarning'],
+            ['error', 'StructureException']
+        ]);
+        assert.equal(problems[0].message, 'Length of code is 30000 bytes,\nexceeding the limit of 24576 bytes.');
+    });
+
+    test('warnings', () => {
+        const [problem] = parseCompilerOutput('Warning: `send` is deprecated\n');
+        assert.equal(problem.severity, 'warning');
+        assert.equal(problem.code, 'Warning');
+    });
+
+    test('no problems', () => {
+        assert.deepEqual(parseCompilerOutput(''), []);
+        assert.deepEqual(parseCompilerOutput(undefined), []);
+    });
+});
@@ -0,0 +1,88 @@
+'use strict';
+/**
+ * @file compile.versions.test.js
+ * @author github.com/zknpr
+ * @license MIT
+ */
+
+const assert = require('./assert');
+const { parseVersionPragma, parseVersion, compareVersions, satisfies } = require('../../features/compile.versions');
+
+suite('parseVersionPragma', () => {
+    test('npm style `@version`', () => {
+        assert.deepEqual(parseVersionPragma('# @version ^0.3.10\n'), { constraint: '^0.3.10', line: 0, column: 11 });
+    });
+
+    test('PEP 440 `pragma version` below the docstring', () => {
+        const text = '"""doc"""\n#pragma version ~=0.4.0\nx: uint256';
+        assert.deepEqual(parseVersionPragma(text), { constraint: '~=0.4.0', line: 1, column: 16 });
+    });
+
+    test('indented pragma with CRLF line endings', () => {
+        assert.deepEqual(parseVersionPragma('  # @version 0.3.10\r\n'), { constraint: '0.3.10', line: 0, column: 13 });
+    });
+
+    test('no pragma', () => {
+        assert.equal(parseVersionPragma('x: uint256\n'), null);
+        assert.equal(parseVersionPragma('# @version \n'), null);
+        assert.equal(parseVersionPragma('x = 1 # @version 0.3.0'), null);
+    });
+});
+
+suite('parseVersion', () => {
+    test('release, pre-release and `vyper --version` output', () => {
+        assert.deepEqual(parseVersion('0.3.10'), { major: 0, minor: 3, patch: 10, pre: null, raw: '0.3.10' });
+        assert.equal(parseVersion('0.4.0rc3').pre, 'rc3');
+        assert.equal(parseVersion('0.4.0+commit.e9db8d9f').raw, '0.4.0');
+        assert.equal(parseVersion('not a version'), null);
+    });
+
+    test('pre-releases sort before the release', () => {
+        assert.equal(compareVersions(parseVersion('0.4.0rc3'), parseVersion('0.4.0')) < 0, true);
+        assert.equal(compareVersions(parseVersion('0.3.10'), parseVersion('0.3.9')) > 0, true);
+    });
+});
+
+suite('satisfies', () => {
+    const cases = [
+        // npm
+        ['0.3.10', '^0.3.10', true],
+        ['0.3.9', '^0.3.10', false],
+        ['0.4.0', '^0.3.10', false],
+        ['0.0.4', '^0.0.4', true],
+        ['0.0.5', '^0.0.4', false],
+        ['0.3.1', '~0.3.1', true],
+        ['0.4.0', '~0.3.1', false],
+        ['0.3.7', '>=0.3.0 <0.3.8', true],
+        ['0.3.8', '>=0.3.0 <0.3.8', false],
+        ['0.3.10', '>= 0.3.10', true],
+        ['0.2.16', '^0.2.0 || ^0.3.0', true],
+        ['0.1.0', '^0.2.0 || ^0.3.0', false],
+        ['0.3.5', '0.3.x', true],
+        // PEP 440
+        ['0.4.1', '~=0.4.0', true],
+        ['0.5.0', '~=0.4.0', false],
+        ['1.5.0', '~=1.2', true],
+        ['2.0.0', '~=1.2', false],
+        ['0.4.3', '>=0.3.10,<0.5', true],
+        ['0.5.0', '>=0.3.10,<0.5', false],
+        ['0.4.2', '==0.4.*', true],
+        ['0.3.10', '==0.4.*', false],
+        ['0.3.10', '!=0.3.10', false],
+        ['0.3.10', '0.3.10', true],
+        // pre-releases and local versions
+        ['0.4.0rc3', '>=0.4.0', false],
+        ['0.4.0rc3', '<0.4.0', true],
+        ['0.4.0+commit.e9db8d9f', '==0.4.0', true]
+    ];
+    cases.forEach(([version, constraint, expected]) => {
+        test(`${version} ${expected ? 'satisfies' : 'does not satisfy'} ${constraint}`, () => {
+            assert.equal(satisfies(version, constraint), expected);
+        });
+    });
+
+    test('invalid input', () => {
+        assert.equal(satisfies('0.3.10', 'latest'), false);
+        assert.equal(satisfies('', '^0.3.10'), false);
+    });
+});
@@ -6,14 +6,13 @@ function run() {
 		reporter: undefined
 	});
 
-	// Mock tests for now since we don't have the full test environment set up
-	suite('Web Extension Test Suite', () => {
-		test('Sample test', () => {
-			if (true !== true) {
-				throw new Error('Assertion failed');
-			}
-		});
-	});
+	require('./compile.errors.test');
+	require('./compile.versions.test');
+	require('./keccak.test');
+	require('./abi.test');
+	require('./parser.test');
+	require('./lint.rules.test');
+	require('./migrate.test');
 
 	return new Promise((c, e) => {
 		try {
@@ -0,0 +1,31 @@
+'use strict';
+/**
+ * @file keccak.test.js
+ * @author github.com/zknpr
+ * @license MIT
+ */
+
+const assert = require('./assert');
+const { keccak256 } = require('../../features/keccak');
+
+suite('keccak256', () => {
+    test('empty input', () => {
+        assert.equal(keccak256(''), 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+        assert.equal(keccak256(new Uint8Array(0)), 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+    });
+
+    test('short input', () => {
+        assert.equal(keccak256('abc'), '4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45');
+    });
+
+    test('input of one block and more (136 bytes rate)', () => {
+        assert.equal(keccak256('a'.repeat(135)), '34367dc248bbd832f4e3e69dfaac2f92638bd0bbd18f2912ba4ef454919cf446');
+        assert.equal(keccak256('a'.repeat(136)), 'a6c4d403279fe3e0af03729caada8374b5ca54d8065329a3ebcaeb4b60aa386e');
+        assert.equal(keccak256('a'.repeat(200)), '96ea54061def936c4be90b518992fdc6f12f535068a256229aca54267b4d084d');
+        assert.equal(keccak256('a'.repeat(272)), 'cf7fcd4f705ee749930d19ca84561a9bf62516bd90a471545fa2f49fdc7e63c8');
+    });
+
+    test('strings are hashed as UTF-8', () => {
+        assert.equal(keccak256('é'), keccak256(new Uint8Array([0xc3, 0xa9])));
+    });
+});
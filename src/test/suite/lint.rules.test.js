@@ -0,0 +1,352 @@
+'use strict';
+/**
+ * @file lint.rules.test.js
+ * @author github.com/zknpr
+ * @license MIT
+ */
+
+const assert = require('./assert');
+const { parse } = require('../../features/parser');
+const { RULES } = require('../../features/lint.rules');
+
+const PRAGMA = '# pragma version ~=0.4.0\n';
+
+/**
+ * Source text of the findings of rule `id` in `source`.
+ */
+function report(id, source) {
+    const model = parse(source);
+    return RULES.find(rule => rule.id === id).check(model).map(finding => model.text.slice(finding.start, finding.end));
+}
+
+function contract(...lines) {
+    return PRAGMA + lines.join('\n') + '\n';
+}
+
+const HEADER = [
+    'interface T:',
+    '    def f() -> uint256: nonpayable',
+    'owner: address',
+    'bal: HashMap[address, uint256]',
+    'x: uint256',
+    'users: DynArray[address, 1000]',
+    ''
+];
+
+suite('lint rules', () => {
+    test('every rule has an id, a severity and a description', () => {
+        RULES.forEach(rule => {
+            assert.equal(typeof rule.id, 'string');
+            assert.equal(['error', 'warning', 'information', 'hint'].includes(rule.severity), true, rule.id);
+            assert.equal(typeof rule.description, 'string');
+        });
+        assert.equal(new Set(RULES.map(rule => rule.id)).size, RULES.length, 'duplicate rule id');
+    });
+});
+
+suite('missing-pragma', () => {
+    test('reported without a version pragma', () => {
+        assert.deepEqual(report('missing-pragma', 'x: uint256\n'), ['x: uint256']);
+    });
+
+    test('`pragma version` and `@version` pin the compiler', () => {
+        assert.deepEqual(report('missing-pragma', contract('x: uint256')), []);
+        assert.deepEqual(report('missing-pragma', '# @version ^0.3.10\nx: uint256\n'), []);
+    });
+});
+
+suite('reentrancy', () => {
+    test('state written after an external call', () => {
+        const source = contract(...HEADER,
+            '@external',
+            'def a(t: T):',
+            '    extcall t.f()',
+            '    self.x = 1'
+        );
+        assert.deepEqual(report('reentrancy', source), ['self.x']);
+    });
+
+    test('target of the statement making the call', () => {
+        const source = contract(...HEADER,
+            '@external',
+            'def a(t: T):',
+            '    self.bal[msg.sender] = extcall t.f()'
+        );
+        assert.deepEqual(report('reentrancy', source), ['self.bal']);
+    });
+
+    test('external call in an internal function', () => {
+        const source = contract(...HEADER,
+            '@internal',
+            'def _call(t: T):',
+            '    extcall t.f()',
+            '',
+            '@internal',
+            'def _deeper(t: T):',
+            '    self._call(t)',
+            '',
+            '@external',
+            'def a(t: T):',
+            '    self._deeper(t)',
+            '    self.bal[msg.sender] += 1'
+        );
+        assert.deepEqual(report('reentrancy', source), ['self.bal']);
+    });
+
+    test('raw_call and appends', () => {
+        const source = contract(...HEADER,
+            '@external',
+            'def a(to: address):',
+            '    raw_call(to, b"")',
+            '    self.users.append(to)'
+        );
+        assert.deepEqual(report('reentrancy', source), ['self.users']);
+    });
+
+    test('state written before the call', () => {
+        const source = contract(...HEADER,
+            '@external',
+            'def a(t: T):',
+            '    self.x = 1',
+            '    extcall t.f()'
+        );
+        assert.deepEqual(report('reentrancy', source), []);
+    });
+
+    test('@nonreentrant, static calls and the nonreentrancy pragma', () => {
+        const body = [
+            '@external',
+            '@nonreentrant',
+            'def a(t: T):',
+            '    extcall t.f()',
+            '    self.x = 1',
+            '',
+            '@external',
+            'def b(to: address):',
+            '    raw_call(to, b"", is_static_call=True)',
+            '    self.x = 2'
+        ];
+        assert.deepEqual(report('reentrancy', contract(...HEADER, ...body)), []);
+        const pragma = contract('# pragma nonreentrancy on', ...HEADER, '@external', 'def a(t: T):', '    extcall t.f()', '    self.x = 1');
+        assert.deepEqual(report('reentrancy', pragma), []);
+    });
+});
+
+suite('tx-origin-auth', () => {
+    test('tx.origin in a check', () => {
+        const source = contract(...HEADER,
+            '@external',
+            'def a():',
+            '    assert tx.origin == self.owner',
+            '    if tx.origin != self.owner:',
+            '        raise "no"'
+        );
+        assert.deepEqual(report('tx-origin-auth', source), ['tx.origin', 'tx.origin']);
+    });
+
+    test('tx.origin as a value', () => {
+        const source = contract(...HEADER,
+            '@external',
+            'def a():',
+            '    self.owner = tx.origin',
+            '    # assert tx.origin == self.owner'
+        );
+        assert.deepEqual(report('tx-origin-auth', source), []);
+    });
+});
+
+suite('unchecked-raw-call', () => {
+    test('result ignored or never read', () => {
+        const source = contract(...HEADER,
+            '@external',
+            'def a(to: address):',
+            '    raw_call(to, b"", revert_on_failure=False)',
+            '    ok: bool = raw_call(to, b"", revert_on_failure=False)',
+            '    _: bool = raw_call(to, b"", revert_on_failure=False)'
+        );
+        assert.deepEqual(report('unchecked-raw-call', source), ['raw_call', 'raw_call', 'raw_call']);
+    });
+
+    test('result checked or reverting call', () => {
+        const source = contract(...HEADER,
+            '@external',
+            'def a(to: address):',
+            '    ok: bool = raw_call(to, b"", revert_on_failure=False)',
+            '    assert ok',
+            '    raw_call(to, b"")'
+        );
+        assert.deepEqual(report('unchecked-raw-call', source), []);
+    });
+});
+
+suite('send', () => {
+    test('send is reported, other names are not', () => {
+        const source = contract(...HEADER,
+            '@external',
+            'def a(to: address):',
+            '    send(to, 1)',
+            '    self.resend(to)',
+            '    x: String[4] = "send(to, 1)"'
+        );
+        assert.deepEqual(report('send', source), ['send']);
+    });
+});
+
+suite('selfdestruct', () => {
+    test('selfdestruct is reported', () => {
+        const source = contract(...HEADER, '@external', 'def a():', '    selfdestruct(self.owner)');
+        assert.deepEqual(report('selfdestruct', source), ['selfdestruct']);
+        assert.deepEqual(report('selfdestruct', contract(...HEADER, '@external', 'def a():', '    pass  # selfdestruct(x)')), []);
+    });
+});
+
+suite('weak-randomness', () => {
+    test('block values hashed or reduced', () => {
+        const source = contract(...HEADER,
+            '@external',
+            'def a() -> uint256:',
+            '    return block.timestamp % 10',
+            '',
+            '@external',
+            'def b() -> bytes32:',
+            '    return keccak256(concat(blockhash(block.number - 1), b""))'
+        );
+        assert.deepEqual(report('weak-randomness', source), ['block.timestamp', 'blockhash', 'block.number']);
+    });
+
+    test('block values used as time', () => {
+        const source = contract(...HEADER, '@external', 'def a():', '    assert block.timestamp > 100');
+        assert.deepEqual(report('weak-randomness', source), []);
+    });
+});
+
+suite('unbounded-loop', () => {
+    test('loops over a storage DynArray', () => {
+        const source = contract(...HEADER,
+            '@external',
+            'def a():',
+            '    for u: address in self.users:',
+            '        pass',
+            '    for i: uint256 in range(len(self.users), bound=1000):',
+            '        pass'
+        );
+        assert.deepEqual(report('unbounded-loop', source), ['self.users', 'self.users']);
+    });
+
+    test('bounded loops', () => {
+        const source = contract(...HEADER,
+            '@external',
+            'def a(xs: DynArray[uint256, 10]):',
+            '    for x: uint256 in xs:',
+            '        pass',
+            '    for i: uint256 in range(10):',
+            '        pass'
+        );
+        assert.deepEqual(report('unbounded-loop', source), []);
+    });
+});
+
+suite('missing-access-control', () => {
+    test('state changing function without a msg.sender check', () => {
+        const source = contract(...HEADER,
+            '@external',
+            'def set_owner(o: address):',
+            '    self.owner = o',
+            '',
+            '@external',
+            'def set_x(v: uint256):',
+            '    self._set(v)',
+            '',
+            '@internal',
+            'def _set(v: uint256):',
+            '    self.x = v'
+        );
+        assert.deepEqual(report('missing-access-control', source), ['set_owner', 'set_x']);
+    });
+
+    test('checked, read-only or internal functions', () => {
+        const source = contract(...HEADER,
+            '@external',
+            'def set_owner(o: address):',
+            '    assert msg.sender == self.owner',
+            '    self.owner = o',
+            '',
+            '@external',
+            'def set_x(v: uint256):',
+            '    self._only_owner()',
+            '    self.x = v',
+            '',
+            '@internal',
+            'def _only_owner():',
+            '    assert msg.sender == self.owner',
+            '',
+            '@external',
+            '@view',
+            'def get() -> uint256:',
+            '    return self.x',
+            '',
+            '@deploy',
+            'def __init__():',
+            '    self.owner = msg.sender'
+        );
+        assert.deepEqual(report('missing-access-control', source), []);
+    });
+});
+
+suite('natspec rules', () => {
+    test('natspec-tag', () => {
+        const source = contract(
+            '@external',
+            'def a():',
+            '    """',
+            '    @notice hi',
+            '    @notice again',
+            '    @since 1',
+            '    @custom:Bad x',
+            '    @custom:good x',
+            '    """',
+            '    pass'
+        );
+        assert.deepEqual(report('natspec-tag', source), ['@notice', '@since', '@custom:Bad']);
+    });
+
+    test('natspec-param', () => {
+        const source = contract(
+            '@external',
+            'def a(x: uint256) -> uint256:',
+            '    """',
+            '    @param x first',
+            '    @param x again',
+            '    @param y missing',
+            '    @return one',
+            '    @return two',
+            '    """',
+            '    return x'
+        );
+        assert.deepEqual(report('natspec-param', source), ['x', 'y', '@return']);
+    });
+
+    test('natspec-missing', () => {
+        const source = contract(
+            '@external',
+            'def a(x: uint256):',
+            '    pass',
+            '',
+            '@external',
+            'def b(constructor: uint256) -> uint256:',
+            '    """',
+            '    @notice b',
+            '    """',
+            '    return constructor',
+            '',
+            '@external',
+            'def c(x: uint256) -> uint256:',
+            '    """',
+            '    @param x value',
+            '    @return value',
+            '    """',
+            '    return x'
+        );
+        assert.deepEqual(report('natspec-missing', source), ['a', 'constructor', 'b']);
+    });
+});
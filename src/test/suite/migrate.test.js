@@ -0,0 +1,237 @@
+'use strict';
+/**
+ * @file migrate.test.js
+ * @author github.com/zknpr
+ * @license MIT
+ */
+
+const assert = require('./assert');
+const { parse } = require('../../features/parser');
+const { migrationEdits } = require('../../features/migrate.edits');
+
+/**
+ * Stands in for navigation: methods of the interfaces declared in the contract.
+ */
+function resolver(model) {
+    const methods = model.declarations
+        .filter(declaration => declaration.kind === 'interface')
+        .flatMap(declaration => declaration.members);
+    return index => {
+        const symbol = methods.find(method => method.name === model.tokens[index].name);
+        return Promise.resolve(symbol ? { symbol } : null);
+    };
+}
+
+async function migrate(...lines) {
+    const text = lines.join('\n') + '\n';
+    const model = parse(text);
+    const { edits, review } = await migrationEdits(model, '0.4.1', resolver(model));
+    const migrated = edits.reduceRight((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), text);
+    return { text: migrated.split('\n').slice(0, -1), review };
+}
+
+suite('migrate to 0.4', () => {
+    test('version pragma', async () => {
+        assert.deepEqual((await migrate('# @version ^0.3.10', 'x: uint256')).text, ['# pragma version ~=0.4.1', 'x: uint256']);
+        assert.deepEqual((await migrate('x: uint256')).text, ['# pragma version ~=0.4.1', 'x: uint256']);
+        assert.deepEqual((await migrate('# pragma version ~=0.4.0', 'x: uint256')).text, ['# pragma version ~=0.4.0', 'x: uint256']);
+    });
+
+    test('enum to flag', async () => {
+        const { text } = await migrate(
+            '# pragma version ~=0.4.0',
+            'enum Role:',
+            '    ADMIN',
+            '    USER',
+            'x: String[10] = "enum A:"'
+        );
+        assert.deepEqual(text, [
+            '# pragma version ~=0.4.0',
+            'flag Role:',
+            '    ADMIN',
+            '    USER',
+            'x: String[10] = "enum A:"'
+        ]);
+    });
+
+    test('constructor and @nonreentrant keys', async () => {
+        const { text, review } = await migrate(
+            '# pragma version ~=0.4.0',
+            '@external',
+            'def __init__():',
+            '    pass',
+            '',
+            '@external',
+            '@nonreentrant("lock")',
+            'def a():',
+            '    pass',
+            '',
+            '@external',
+            '@nonreentrant("other")',
+            'def b():',
+            '    pass'
+        );
+        assert.deepEqual(text, [
+            '# pragma version ~=0.4.0',
+            '@deploy',
+            'def __init__():',
+            '    pass',
+            '',
+            '@external',
+            '@nonreentrant',
+            'def a():',
+            '    pass',
+            '',
+            '@external',
+            '@nonreentrant',
+            'def b():',
+            '    pass'
+        ]);
+        assert.deepEqual(review, ['`@nonreentrant` keys ("lock", "other") share a single lock in 0.4.']);
+    });
+
+    test('extcall and staticcall on interface calls', async () => {
+        const { text } = await migrate(
+            '# pragma version ~=0.4.0',
+            'interface Pool:',
+            '    def price() -> uint256: view',
+            '    def swap(amount: uint256): nonpayable',
+            'pool: Pool',
+            '',
+            '@external',
+            'def a(p: address) -> uint256:',
+            '    self.pool.swap(1)',
+            '    Pool(p).swap(Pool(p).price())',
+            '    extcall self.pool.swap(2)',
+            '    self._b()',
+            '    return staticcall self.pool.price()'
+        );
+        assert.deepEqual(text.slice(7), [
+            'def a(p: address) -> uint256:',
+            '    extcall self.pool.swap(1)',
+            '    extcall Pool(p).swap(staticcall Pool(p).price())',
+            '    extcall self.pool.swap(2)',
+            '    self._b()',
+            '    return staticcall self.pool.price()'
+        ]);
+    });
+
+    test('vyper.interfaces to ethereum.ercs', async () => {
+        const { text } = await migrate(
+            '# pragma version ~=0.4.0',
+            'from vyper.interfaces import ERC20',
+            'token: ERC20',
+            '',
+            '@external',
+            'def a(to: address) -> uint256:',
+            '    ERC20(to).transfer(to, 1)',
+            '    return self.token.balanceOf(to)'
+        );
+        assert.deepEqual(text, [
+            '# pragma version ~=0.4.0',
+            'from ethereum.ercs import IERC20',
+            'token: IERC20',
+            '',
+            '@external',
+            'def a(to: address) -> uint256:',
+            '    extcall IERC20(to).transfer(to, 1)',
+            '    return staticcall self.token.balanceOf(to)'
+        ]);
+    });
+
+    test('renamed and removed builtins', async () => {
+        const { text, review } = await migrate(
+            '# pragma version ~=0.4.0',
+            '@external',
+            'def a(x: uint256, y: uint256) -> Bytes[64]:',
+            '    b: Bytes[64] = _abi_encode(x, y)',
+            '    z: uint256 = _abi_decode(b, uint256)',
+            '    m: uint256 = bitwise_and(x, y + 1) + bitwise_not(x)',
+            '    s: uint256 = shift(x, -8)',
+            '    t: uint256 = shift(x, y)',
+            '    r: uint256 = block.difficulty',
+            '    return self.helper._abi_encode(b)'
+        );
+        assert.deepEqual(text.slice(3), [
+            '    b: Bytes[64] = abi_encode(x, y)',
+            '    z: uint256 = abi_decode(b, uint256)',
+            '    m: uint256 = (x & (y + 1)) + (~x)',
+            '    s: uint256 = x >> 8',
+            '    t: uint256 = shift(x, y)',
+            '    r: uint256 = block.prevrandao',
+            '    return self.helper._abi_encode(b)'
+        ]);
+        assert.deepEqual(review, ['`shift` in `a` (line 8) was removed, rewrite it with operators.']);
+    });
+
+    test('loop variable types', async () => {
+        const { text, review } = await migrate(
+            '# pragma version ~=0.4.0',
+            'users: DynArray[address, 10]',
+            'N: constant(uint8) = 3',
+            'BOUNDS: constant(uint256[3]) = [1, 2, 3]',
+            '',
+            '@external',
+            'def a(xs: DynArray[int128, 5]):',
+            '    for i in range(10):',
+            '        pass',
+            '    for j in range(convert(N, uint8)):',
+            '        pass',
+            '    for u in self.users:',
+            '        pass',
+            '    for x in xs:',
+            '        pass',
+            '    for b in BOUNDS:',
+            '        pass',
+            '    for k: uint256 in range(3):',
+            '        pass',
+            '    for v in self.values():',
+            '        pass'
+        );
+        assert.deepEqual(text.slice(7).filter(line => line.trim() !== 'pass'), [
+            '    for i: uint256 in range(10):',
+            '    for j: uint8 in range(convert(N, uint8)):',
+            '    for u: address in self.users:',
+            '    for x: int128 in xs:',
+            '    for b: uint256 in BOUNDS:',
+            '    for k: uint256 in range(3):',
+            '    for v in self.values():'
+        ]);
+        assert.deepEqual(review, ['Type of the loop variable `v` in `a` (line 20).']);
+    });
+
+    test('integer division is left for review', async () => {
+        const divides = await migrate(
+            '# pragma version ~=0.4.0',
+            '@external',
+            'def a(x: uint256) -> uint256:',
+            '    return x / 2'
+        );
+        assert.deepEqual(divides.text[3], '    return x / 2');
+        assert.deepEqual(divides.review, ['`/` is decimal division in 0.4, integer division is `//`.']);
+
+        const floor = await migrate(
+            '# pragma version ~=0.4.0',
+            '@external',
+            'def a(x: uint256) -> uint256:',
+            '    x //= 2',
+            '    return x // 2  # x / 2'
+        );
+        assert.deepEqual(floor.review, []);
+    });
+
+    test('a migrated contract needs no edits', async () => {
+        const { text, review } = await migrate(
+            '# pragma version ~=0.4.0',
+            'flag Role:',
+            '    ADMIN',
+            '',
+            '@deploy',
+            'def __init__():',
+            '    pass'
+        );
+        const model = parse(text.join('\n') + '\n');
+        assert.deepEqual((await migrationEdits(model, '0.4.1', resolver(model))).edits, []);
+        assert.deepEqual(review, []);
+    });
+});
@@ -0,0 +1,201 @@
+'use strict';
+/**
+ * @file parser.test.js
+ * @author github.com/zknpr
+ * @license MIT
+ */
+
+const assert = require('./assert');
+const { parse, parseImports, scan, splitTopLevel } = require('../../features/parser');
+
+const SOURCE = [
+    '# pragma version ~=0.4.0',
+    '"""',
+    '@title Demo',
+    'import notreal',
+    '"""',
+    'from ethereum.ercs import IERC20 as Token',
+    'import lib',
+    '',
+    'interface IFoo:',
+    '    def bar(x: uint256) -> bool: view',
+    '',
+    'flag Roles:',
+    '    ADMIN',
+    '    USER',
+    '',
+    'struct Point:',
+    '    x: int128',
+    '    y: int128',
+    '',
+    'event Moved:',
+    '    who: indexed(address)',
+    '',
+    'owner: public(address)',
+    'TOKEN: immutable(address)',
+    'MAX: constant(uint256) = 10',
+    'counts: HashMap[address, uint256]',
+    '',
+    'initializes: lib',
+    '',
+    '@external',
+    '@nonreentrant',
+    'def move(',
+    '    p: Point,',
+    '    amount: uint256 = 1,  # owner in a comment',
+    ') -> (uint256, bool):',
+    '    """',
+    '    @notice move owner',
+    '    """',
+    '    s: String[20] = "self.owner"',
+    '    total: uint256 = self.counts[msg.sender] + \\',
+    '        amount',
+    '    for i: uint256 in range(MAX):',
+    '        total += i',
+    '    return total, True',
+    ''
+].join('\n');
+
+const model = parse(SOURCE);
+
+function declaration(name) {
+    return model.declarations.find(candidate => candidate.name === name);
+}
+
+suite('parser', () => {
+    test('module docstring', () => {
+        assert.deepEqual(model.docstring, { value: '\n@title Demo\nimport notreal\n', line: 1, endLine: 4, column: 0 });
+    });
+
+    test('state variables, immutables and constants', () => {
+        const pick = symbol => [symbol.kind, symbol.name, symbol.type, symbol.public, symbol.value, symbol.line, symbol.column];
+        assert.deepEqual(['owner', 'TOKEN', 'MAX', 'counts'].map(name => pick(declaration(name))), [
+            ['variable', 'owner', 'address', true, null, 22, 0],
+            ['immutable', 'TOKEN', 'address', false, null, 23, 0],
+            ['constant', 'MAX', 'uint256', false, '10', 24, 0],
+            ['variable', 'counts', 'HashMap[address, uint256]', false, null, 25, 0]
+        ]);
+    });
+
+    test('interfaces', () => {
+        const iface = declaration('IFoo');
+        assert.deepEqual([iface.kind, iface.line, iface.column, iface.endLine], ['interface', 8, 10, 9]);
+        assert.deepEqual(iface.members, [{
+            kind: 'method',
+            name: 'bar',
+            line: 9,
+            column: 8,
+            params: [{ kind: 'parameter', name: 'x', type: 'uint256', default: null, line: 9, column: 12 }],
+            returns: 'bool',
+            mutability: 'view'
+        }]);
+    });
+
+    test('flags, structs and events', () => {
+        assert.deepEqual(declaration('Roles').members.map(member => [member.kind, member.name, member.line]), [
+            ['member', 'ADMIN', 12],
+            ['member', 'USER', 13]
+        ]);
+        assert.deepEqual(declaration('Point').members.map(member => [member.name, member.type]), [['x', 'int128'], ['y', 'int128']]);
+        assert.deepEqual(declaration('Moved').members.map(member => [member.name, member.type, member.indexed]), [['who', 'address', true]]);
+    });
+
+    test('functions with decorators and a multi-line signature', () => {
+        const fn = declaration('move');
+        assert.deepEqual(
+            [fn.kind, fn.line, fn.column, fn.startLine, fn.endLine, fn.visibility, fn.mutability, fn.returns],
+            ['function', 31, 4, 29, 43, 'external', 'nonpayable', '(uint256, bool)']
+        );
+        assert.deepEqual(fn.decorators.map(decorator => decorator.name), ['external', 'nonreentrant']);
+        assert.deepEqual(fn.params, [
+            { kind: 'parameter', name: 'p', type: 'Point', default: null, line: 32, column: 4 },
+            { kind: 'parameter', name: 'amount', type: 'uint256', default: '1', line: 33, column: 4 }
+        ]);
+        assert.deepEqual(fn.locals.map(local => [local.name, local.type, local.line]), [
+            ['s', 'String[20]', 38],
+            ['total', 'uint256', 39],
+            ['i', 'uint256', 41]
+        ]);
+        assert.equal(fn.docstring.value, '\n    @notice move owner\n    ');
+    });
+
+    test('directives', () => {
+        assert.deepEqual(model.directives, [{
+            kind: 'initializes', line: 27, column: 0, endLine: 27, value: 'lib', names: [{ name: 'lib', line: 27, column: 13 }]
+        }]);
+    });
+
+    test('imports', () => {
+        assert.deepEqual(declaration('Token').imported, { name: 'IERC20', alias: 'Token', binding: 'Token', line: 5, column: 26 });
+        assert.deepEqual(model.imports.map(statement => [statement.kind, statement.module, statement.line]), [
+            ['from', 'ethereum.ercs', 5],
+            ['import', 'lib', 6]
+        ]);
+    });
+
+    test('logical lines join continuations and brackets', () => {
+        const lines = model.statements.map(statement => [statement.line, statement.indent]);
+        assert.equal(lines.some(([line]) => line === 32 || line === 40), false);
+        assert.deepEqual(lines.filter(([line]) => line === 31 || line === 39), [[31, 0], [39, 4]]);
+    });
+
+    test('tokens and qualifiers skip strings and comments', () => {
+        assert.deepEqual(model.tokens.filter(token => token.name === 'owner').map(token => [token.line, token.column]), [[22, 0]]);
+        assert.deepEqual(model.tokens.filter(token => token.qualifier).map(token => `${token.qualifier}.${token.name}`), [
+            'ethereum.ercs',
+            'self.counts',
+            'msg.sender'
+        ]);
+        assert.equal(model.tokens.some(token => token.name === 'notreal'), false);
+    });
+});
+
+suite('parseImports', () => {
+    test('aliases, relative and parenthesized imports', () => {
+        const text = 'import foo as f  # import baz\nfrom .lib import (\n    a,  # from q import z\n    b as c\n)\nfrom ..x.y import z\n';
+        assert.deepEqual(parseImports(text), [
+            {
+                line: 0, kind: 'import', module: 'foo', level: 0, moduleColumn: 7,
+                names: [{ name: 'foo', alias: 'f', binding: 'f', line: 0, column: 7 }]
+            },
+            {
+                line: 1, kind: 'from', module: 'lib', level: 1, moduleColumn: 5,
+                names: [
+                    { name: 'a', alias: null, binding: 'a', line: 2, column: 4 },
+                    { name: 'b', alias: 'c', binding: 'c', line: 3, column: 4 }
+                ]
+            },
+            {
+                line: 5, kind: 'from', module: 'x.y', level: 2, moduleColumn: 5,
+                names: [{ name: 'z', alias: null, binding: 'z', line: 5, column: 18 }]
+            }
+        ]);
+    });
+
+    test('import lines in strings are not statements', () => {
+        assert.deepEqual(parseImports('"""\nimport bar\nfrom x import y\n"""\ns: String[10] = "import q"\n'), []);
+    });
+});
+
+suite('scan', () => {
+    test('strings and comments are blanked, offsets are kept', () => {
+        const text = 'x = "a#b" # c\ny = \'q\'';
+        const scanned = scan(text);
+        assert.equal(scanned.code, 'x = "   "    \ny = \' \'');
+        assert.equal(scanned.code.length, text.length);
+        assert.deepEqual(scanned.strings, [{ start: 4, end: 9, value: 'a#b' }, { start: 18, end: 21, value: 'q' }]);
+        assert.deepEqual(scanned.comments, [{ start: 10, end: 13, value: ' c' }]);
+    });
+
+    test('byte strings and escaped quotes', () => {
+        const scanned = scan('x = b"\\"#"');
+        assert.equal(scanned.comments.length, 0);
+        assert.deepEqual(scanned.strings.map(string => [string.start, string.end]), [[4, 10]]);
+    });
+});
+
+suite('splitTopLevel', () => {
+    test('commas inside brackets do not split', () => {
+        assert.deepEqual(splitTopLevel('a, HashMap[b, c], (d, e)').map(part => part.text.trim()), ['a', 'HashMap[b, c]', '(d, e)']);
+    });
+});